@@ -1,149 +1,132 @@
-import { initEntrada } from './entrada.js';
-
-const IMG_SRC = 'public/triangulo2.png';
-const CSV_ZSCORES = 'data/Matriz de Decisão - Zscores para dash.csv';
-const CSV_NOMES   = 'data/Matriz de Decisão - só nomes e coordenadas.csv';
-const SOLUTION_DESC = 'solution_description5.json';
+import { initEntrada, initPesos } from './entrada.js';
+import { DATASET_PARTS, readDatasetFiles, loadStoredDataset, storeDataset, clearStoredDataset } from './dataset.js';
+import {
+  SUPPORTED_LOCALES, initI18n, getLocale, saveLocale, t, localized, formatNumber, formatMoney, formatPercent, applyTranslations
+} from './i18n.js';
+import {
+  loadProject, getProject, projectStorageKey, projectHref, criterionLabel, branchLabel, leafColor, treeLegend
+} from './projects.js';
+import {
+  parseCSV, parseCSVStream, describeCsvWarning, headerLike, parseCoord, romanToInt, DEFAULT_CRITERIA, toWeightVector, describeWeights,
+  ZSCORE_TOLERANCE, STANDARDIZATION_METHODS, standardizeRaw, compareZScores, UTILITY_Z_MIN,
+  UTILITY_Z_MAX, UTILITY_TYPES, clampZ, parseUtilityPoints, parseUtility, utilityFunction, describeUtility, DEFAULT_AGGREGATION,
+  AGGREGATION_METHODS, rankingWinnerFn, rankReversalAnalysis,
+  describeRobustness, robustnessReport, simulateRankProbabilities, formatPct, pairwiseDominance,
+  enrichWithNames, describeMembership, TIERING_STRATEGIES, DEFAULT_TIERING,
+  smartCluster, getClusterName, TIER_BOOTSTRAP_RUNS, tierStability, attachTierStability,
+  rankSolutions, GROUP_METHODS, DEFAULT_GROUP_METHOD, groupRanking, scenarioSnapshot, compareScenarios,
+  COST_METRICS, COST_HORIZON_MAX, DEFAULT_COST_MODEL, isCostModelActive, describeCostModel, costFlow,
+  cumulativeCost, breakevenCrossings, applyCostModel, setTranslator, validateDataset, migrateDescriptions,
+  validateSchema, canonicalId, indexById, zRowRefs, selectZRows, integrityReport, INTEGRITY_TYPES,
+  MISSING_POLICIES, DEFAULT_MISSING_POLICY, applyMissingPolicy
+} from './engine/index.js';
+
+// Arquivos de dados, critérios e imagem do triângulo vêm do projeto (projects.json)
+const DESCRIPTION_SCHEMA = 'solution_description.schema.json';
 
 let solutionDescriptions = null;
-
-// -------- CSV util --------
-function parseCSV(text){
-  // Detecta separador: se tem ; e não tem , fora de aspas, usa ;, senão usa ,
-  const hasSemicolon = text.indexOf(';') > -1;
-  const hasComma = text.indexOf(',') > -1;
-  let sep = (hasSemicolon && !hasComma) ? ';' : ',';
-  
-  const lines = text.replace(/\r/g,'').split('\n').filter(l=>l.trim().length>0);
-  if(!lines.length) return {header:[], rows:[]};
-  
-  // Função para parsear linha CSV respeitando aspas
-  function parseCSVLine(line, separator){
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for(let i = 0; i < line.length; i++){
-      const char = line[i];
-      const nextChar = line[i + 1];
-      
-      if(char === '"'){
-        if(inQuotes && nextChar === '"'){
-          // Aspas duplas escapadas
-          current += '"';
-          i++; // Pula o próximo caractere
-        } else {
-          // Toggle estado de aspas
-          inQuotes = !inQuotes;
-        }
-      } else if(char === separator && !inQuotes){
-        // Separador fora de aspas - fim do campo
-        result.push(current.trim());
-        current = '';
-      } else {
-        current += char;
-      }
-    }
-    // Adiciona último campo
-    result.push(current.trim());
-    return result;
-  }
-  
-  const header = parseCSVLine(lines[0], sep).map(h=>h.trim());
-  const rows = [];
-  for(let i=1;i<lines.length;i++){
-    const cols = parseCSVLine(lines[i], sep);
-    const o = {}; header.forEach((h,j)=>o[h]=(cols[j]??'').trim());
-    rows.push(o);
-  }
-  return {header, rows};
-}
-const coerceNum = s => {
-  if (s === null || s === undefined || s === '') return 0;
-  // Remove aspas e substitui TODAS as vírgulas por ponto (formato brasileiro)
-  const cleaned = String(s).replace(/"/g, '').replace(/,/g, '.');
-  const num = parseFloat(cleaned);
-  return isNaN(num) ? 0 : num;
-};
+// Resultado da migração/validação das descrições (painel de desenvolvimento)
+let schemaReport = null;
+// id canônico -> posição em solutionDescriptions.itens
+let descriptionIndex = new Map();
+// Conjunto enviado no painel "Dados" (localStorage do projeto); cada parte presente
+// substitui o arquivo do projeto. Lido no bootstrap, depois de saber o projeto
+let uploadedDataset = null;
+
+// -------- Carregamento de dados --------
+// Arquivos do projeto são lidos em streaming direto da resposta; os enviados já estão em texto
+function readCSV(uploaded, url){
+  if(uploaded != null) return parseCSV(uploaded);
+  return fetch(url, {cache:'no-store'}).then(r => r.body ? parseCSVStream(r.body) : r.text().then(parseCSV));
+}
 
 async function loadCSVs(){
   const [zs, nm] = await Promise.allSettled([
-    fetch(CSV_ZSCORES, {cache:'no-store'}).then(r=>r.text()),
-    fetch(CSV_NOMES,   {cache:'no-store'}).then(r=>r.text())
+    readCSV(uploadedDataset?.zscores, getProject().dados.zscores),
+    readCSV(uploadedDataset?.nomes, getProject().dados.nomes)
   ]);
-  const zText = zs.status==='fulfilled' ? zs.value : '';
-  const nText = nm.status==='fulfilled' ? nm.value : '';
-  return { z: parseCSV(zText), n: parseCSV(nText) };
+  const z = zs.status==='fulfilled' ? zs.value : parseCSV('');
+  const n = nm.status==='fulfilled' ? nm.value : parseCSV('');
+  [...z.avisos, ...n.avisos].forEach(w => console.warn(`CSV: ${describeCsvWarning(w)}`));
+  return { z, n };
 }
 
+// Converte versões antigas para o formato atual e confere contra o esquema;
+// problemas não impedem o uso, vão para o painel de desenvolvimento (schemaReport)
 async function loadSolutionDescriptions(){
+  const descFile = getProject().dados.descricoes;
+  const arquivo = uploadedDataset?.descricoes ? uploadedDataset.arquivos?.descricoes || descFile : descFile;
   try {
-    const response = await fetch(SOLUTION_DESC, {cache:'no-store'});
-    if(!response.ok) throw new Error(`Não foi possível carregar ${SOLUTION_DESC}`);
-    solutionDescriptions = await response.json();
+    let json;
+    if(uploadedDataset?.descricoes){
+      json = JSON.parse(uploadedDataset.descricoes);
+    } else {
+      const response = await fetch(descFile, {cache:'no-store'});
+      if(!response.ok) throw new Error(`Não foi possível carregar ${descFile}`);
+      json = await response.json();
+    }
+    const migration = migrateDescriptions(json);
+    solutionDescriptions = migration.descricoes;
+    descriptionIndex = indexById(solutionDescriptions?.itens || [], item => item?.id).byId;
+    const schema = await loadDescriptionSchema();
+    schemaReport = {
+      arquivo, de: migration.de, para: migration.para, migrado: migration.migrado,
+      esquema: schema?.versao_esquema ?? null,
+      problemas: schema ? validateSchema(solutionDescriptions, schema) : null
+    };
+    if(migration.migrado) console.info(`${arquivo}: formato ${migration.de} convertido para ${migration.para}`);
+    if(schemaReport.problemas?.length) console.warn(`${arquivo}: ${schemaReport.problemas.length} problema(s) no esquema`, schemaReport.problemas);
     return solutionDescriptions;
   } catch(err) {
-    console.error(`Erro ao carregar ${SOLUTION_DESC}:`, err);
+    console.error(`Erro ao carregar ${descFile}:`, err);
+    schemaReport = { arquivo, erro: err.message || String(err) };
     return null;
   }
 }
 
-function findSolutionById(coordStr){
-  if(!solutionDescriptions || !solutionDescriptions.itens || !coordStr) return null;
-  
-  const normalizedCoord = coordStr.trim();
-  
-  // 1. Busca exata primeiro
-  let solution = solutionDescriptions.itens.find(item => item.id === normalizedCoord);
-  if(solution) return solution;
-  
-  // 2. Busca case-insensitive
-  solution = solutionDescriptions.itens.find(item => 
-    item.id.toLowerCase() === normalizedCoord.toLowerCase()
-  );
-  if(solution) return solution;
-  
-  // 3. Tenta variações comuns do formato
-  const variations = [
-    normalizedCoord,
-    normalizedCoord.toLowerCase(),
-    normalizedCoord.toUpperCase(),
-  ];
-  
-  // Se termina com número, tenta adicionar .a, .b, .c
-  if(/^[IVXLCDM]+\.\d+$/i.test(normalizedCoord)){
-    variations.push(
-      `${normalizedCoord}.a`, 
-      `${normalizedCoord}.b`, 
-      `${normalizedCoord}.c`,
-      `${normalizedCoord}.d`
-    );
+async function loadDescriptionSchema(){
+  try {
+    const response = await fetch(DESCRIPTION_SCHEMA, {cache:'no-store'});
+    if(!response.ok) throw new Error(response.statusText);
+    return await response.json();
+  } catch(err) {
+    console.warn(`Esquema ${DESCRIPTION_SCHEMA} indisponível; descrições sem validação:`, err.message || err);
+    return null;
   }
-  
-  // Tenta todas as variações
-  for(const variant of variations){
-    solution = solutionDescriptions.itens.find(item => item.id === variant);
-    if(solution) return solution;
-    
-    solution = solutionDescriptions.itens.find(item => 
-      item.id.toLowerCase() === variant.toLowerCase()
-    );
-    if(solution) return solution;
+}
+
+async function loadCriteria(){
+  const criteriaFile = getProject().dados.criterios;
+  try {
+    const response = await fetch(criteriaFile, {cache:'no-store'});
+    if(!response.ok) throw new Error(`Não foi possível carregar ${criteriaFile}`);
+    const data = await response.json();
+    const criterios = Array.isArray(data) ? data : data.criterios;
+    if(!Array.isArray(criterios) || criterios.length < 2) throw new Error(`${criteriaFile} deve listar ao menos 2 critérios`);
+    return criterios;
+  } catch(err) {
+    console.warn(`Usando critérios padrão (Custo, Qualidade, Prazo):`, err.message || err);
+    return DEFAULT_CRITERIA;
   }
-  
-  return null;
+}
+
+// Descrição pela coordenada canônica ("III.1a" e "III.1.a" são a mesma solução)
+function findSolutionById(coordStr){
+  const id = canonicalId(coordStr);
+  if(!id || !descriptionIndex.has(id)) return null;
+  return solutionDescriptions.itens[descriptionIndex.get(id)];
 }
 
 function findSolutionByName(nome){
   if(!solutionDescriptions || !solutionDescriptions.itens) return null;
   return solutionDescriptions.itens.find(item => 
-    item.nome_curto === nome || item.nome === nome
+    item.nome_curto === nome
   ) || null;
 }
 
 function formatCurrency(value){
   if(!value) return 'N/A';
-  return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(value);
+  return formatMoney(value);
 }
 
 function showSolutionModal(solutionName, coordStr){
@@ -154,7 +137,7 @@ function showSolutionModal(solutionName, coordStr){
   if(coordStr){
     solution = findSolutionById(coordStr);
     if(solution){
-      const nomeSol = solution.nome_curto || solution.nome || 'N/A';
+      const nomeSol = solution.nome_curto;
       console.log(`✅ Solução encontrada por ID: "${solution.id}" - "${nomeSol}"`);
     }
   }
@@ -163,7 +146,7 @@ function showSolutionModal(solutionName, coordStr){
   if(!solution){
     solution = findSolutionByName(solutionName);
     if(solution){
-      const nomeSol = solution.nome_curto || solution.nome || 'N/A';
+      const nomeSol = solution.nome_curto;
       console.log(`✅ Solução encontrada por nome: "${nomeSol}"`);
     }
   }
@@ -172,11 +155,11 @@ function showSolutionModal(solutionName, coordStr){
     console.warn(`❌ Solução não encontrada`);
     console.log('   Nome:', solutionName);
     console.log('   Coordenada:', coordStr);
-    console.log('💡 Soluções disponíveis:', solutionDescriptions?.itens?.map(i => `${i.id}: ${i.nome_curto || i.nome || 'N/A'}`) || []);
+    console.log('💡 Soluções disponíveis:', solutionDescriptions?.itens?.map(i => `${i.id}: ${i.nome_curto}`) || []);
     const modal = document.getElementById('solutionModal');
     const content = document.getElementById('solutionModalContent');
     if(modal && content){
-      content.innerHTML = `<p>Informações sobre "${solutionName}" (${coordStr || 'sem coordenada'}) não encontradas.</p>`;
+      content.innerHTML = `<p>${t('modal.naoEncontrada', { nome: escapeHtml(solutionName), coord: coordStr ? escapeHtml(coordStr) : t('modal.semCoordenada') })}</p>`;
       modal.showModal();
     }
     return;
@@ -186,82 +169,94 @@ function showSolutionModal(solutionName, coordStr){
   const content = document.getElementById('solutionModalContent');
   if(!modal || !content) return;
   
-  // Mapeia campos do novo formato para compatibilidade
-  const nome = solution.nome_curto || solution.nome || 'N/A';
-  const tronco = solution.linha || solution.tronco || 'N/A';
-  const descricao = solution.descricao_para_leigos || solution.descricao || 'N/A';
+  // Descrições já migradas para o formato atual (ver loadSolutionDescriptions)
+  const nome = solution.nome_curto || 'N/A';
+  const tronco = solution.linha || 'N/A';
+  const descricao = solution.descricao_para_leigos || 'N/A';
   const sinalDados = solution.sinal_dados || '';
   const processamentoDados = solution.processamento_dados || {};
+  // Política de dados faltantes aplicada a esta solução no último ranking
+  const faltantes = [...(currentRankingData?.items || []), ...(currentRankingData?.excluded || [])]
+    .find(it => it.coordStr ? it.coordStr === solution.id : it.nome === solutionName)?.faltantes;
   
   // Monta o HTML do modal
   const html = `
     <div class="solution-header">
-      <h2>${nome}</h2>
-      <div class="solution-id">${solution.id} • Tronco ${tronco}</div>
+      <h2>${escapeHtml(nome)}</h2>
+      <div class="solution-id">${escapeHtml(solution.id)} • ${t('modal.tronco', { tronco: escapeHtml(tronco) })}</div>
     </div>
 
     <div class="solution-section">
-      <h3>📋 Descrição</h3>
+      <h3>📋 ${t('modal.descricao')}</h3>
       <p>${descricao}</p>
     </div>
 
+    ${faltantes ? `
+    <div class="solution-section solution-warning">
+      <h3>🕳️ ${t('faltantes.titulo')}</h3>
+      <p class="solution-text">${t('faltantes.modal', { politica: optionLabel(MISSING_POLICIES, 'faltantes.politica', faltantes.politica), descricao: faltantes.descricao })}</p>
+    </div>
+    ` : ''}
+
     <div class="solution-section">
-      <h3>🎯 Escopo</h3>
+      <h3>🎯 ${t('modal.escopo')}</h3>
       <ul class="solution-list">
         ${solution.escopo ? solution.escopo.map(item => `<li>${item}</li>`).join('') : '<li>N/A</li>'}
       </ul>
     </div>
 
     <div class="solution-section">
-      <h3>🛡️ Governança</h3>
+      <h3>🛡️ ${t('modal.governanca')}</h3>
       ${sinalDados ? `<div class="governance-badges"><span class="gov-badge">${sinalDados}</span></div>` : ''}
-      ${processamentoDados.onde ? `<p class="solution-text"><strong>Processamento:</strong> ${processamentoDados.onde}</p>` : ''}
-      ${processamentoDados.contratos ? `<p class="solution-text"><strong>Contratos:</strong> ${Array.isArray(processamentoDados.contratos) ? processamentoDados.contratos.join(', ') : processamentoDados.contratos}</p>` : ''}
-      ${processamentoDados.dados_dormem ? `<p class="solution-text"><strong>Dados em repouso:</strong> ${processamentoDados.dados_dormem}</p>` : ''}
+      ${processamentoDados.onde ? `<p class="solution-text"><strong>${t('modal.processamento')}:</strong> ${processamentoDados.onde}</p>` : ''}
+      ${processamentoDados.contratos ? `<p class="solution-text"><strong>${t('modal.contratos')}:</strong> ${Array.isArray(processamentoDados.contratos) ? processamentoDados.contratos.join(', ') : processamentoDados.contratos}</p>` : ''}
+      ${processamentoDados.dados_dormem ? `<p class="solution-text"><strong>${t('modal.dadosRepouso')}:</strong> ${processamentoDados.dados_dormem}</p>` : ''}
     </div>
 
     <div class="solution-grid">
       <div class="solution-card">
-        <h3>💰 Custos</h3>
+        <h3>💰 ${t('modal.custos')}</h3>
         ${solution.preco_cliente ? `
         <div class="cost-item">
-          <strong>CAPEX:</strong> ${formatCurrency(solution.preco_cliente.capex_brl)}
+          <strong>${t('modal.capex')}:</strong> ${formatCurrency(solution.preco_cliente.capex_brl)}
         </div>
         <div class="cost-item">
-          <strong>OPEX Mensal:</strong> ${formatCurrency(solution.preco_cliente.opex_mensal_brl)}
+          <strong>${t('modal.opexMensal')}:</strong> ${formatCurrency(solution.preco_cliente.opex_mensal_brl)}
         </div>
         ` : `
         <div class="cost-item">
-          <strong>CAPEX:</strong> ${formatCurrency(solution.capex_brl)}
+          <strong>${t('modal.capex')}:</strong> ${formatCurrency(solution.capex_brl)}
         </div>
         <div class="cost-item">
-          <strong>OPEX Mensal:</strong> ${formatCurrency(solution.opex_mensal_brl)}
+          <strong>${t('modal.opexMensal')}:</strong> ${formatCurrency(solution.opex_mensal_brl)}
         </div>
         `}
       </div>
 
       <div class="solution-card">
-        <h3>⏱️ Prazos</h3>
+        <h3>⏱️ ${t('modal.prazos')}</h3>
         ${solution.prazos_dias ? `
         <div class="time-item">
-          <strong>Implantação:</strong> ${solution.prazos_dias.implantacao} dias
+          <strong>${t('modal.implantacao')}:</strong> ${t('unidade.dias', { n: solution.prazos_dias.implantacao })}
         </div>
         <div class="time-item">
-          <strong>Testes UAT:</strong> ${solution.prazos_dias.testes_UAT} dias
+          <strong>${t('modal.testesUat')}:</strong> ${t('unidade.dias', { n: solution.prazos_dias.testes_UAT })}
         </div>
         <div class="time-item">
-          <strong>Total:</strong> ${solution.prazos_dias.total} dias
+          <strong>${t('modal.total')}:</strong> ${t('unidade.dias', { n: solution.prazos_dias.total })}
         </div>
         <div class="time-item">
-          <strong>σ (Incerteza):</strong> ${solution.prazos_dias.sigma} dias
+          <strong>${t('modal.sigma')}:</strong> ${t('unidade.dias', { n: solution.prazos_dias.sigma })}
         </div>
         ` : '<div class="time-item">N/A</div>'}
       </div>
     </div>
 
+    <div class="solution-section solution-cost"></div>
+
     ${solution.indicadores ? `
     <div class="solution-section">
-      <h3>📊 Indicadores</h3>
+      <h3>📊 ${t('modal.indicadores')}</h3>
       <ul class="solution-list">
         ${Array.isArray(solution.indicadores) ? solution.indicadores.map(ind => `<li>${ind}</li>`).join('') : `<li>${solution.indicadores}</li>`}
       </ul>
@@ -271,7 +266,7 @@ function showSolutionModal(solutionName, coordStr){
     <div class="solution-grid">
       ${solution.riscos_chave && solution.riscos_chave.length > 0 ? `
       <div class="solution-card solution-warning">
-        <h3>⚠️ Riscos</h3>
+        <h3>⚠️ ${t('modal.riscos')}</h3>
         <ul class="solution-list">
           ${solution.riscos_chave.map(risco => `<li>${risco}</li>`).join('')}
         </ul>
@@ -280,7 +275,7 @@ function showSolutionModal(solutionName, coordStr){
 
       ${solution.mitigacoes && solution.mitigacoes.length > 0 ? `
       <div class="solution-card solution-success">
-        <h3>✅ Mitigações</h3>
+        <h3>✅ ${t('modal.mitigacoes')}</h3>
         <ul class="solution-list">
           ${solution.mitigacoes.map(mit => `<li>${mit}</li>`).join('')}
         </ul>
@@ -290,28 +285,28 @@ function showSolutionModal(solutionName, coordStr){
 
     ${solution.retorno_estimado ? `
     <div class="solution-section solution-highlight">
-      <h3>📈 Retorno Estimado</h3>
+      <h3>📈 ${t('modal.retorno')}</h3>
       <p>${solution.retorno_estimado}</p>
     </div>
     ` : ''}
 
     ${solution.viabilidade_preliminar ? `
     <div class="solution-section">
-      <h3>⚖️ Viabilidade Preliminar</h3>
+      <h3>⚖️ ${t('modal.viabilidade')}</h3>
     <div class="solution-grid">
         ${solution.viabilidade_preliminar.tecnica ? `
         <div class="solution-card">
-          <strong>Técnica:</strong> ${solution.viabilidade_preliminar.tecnica}
+          <strong>${t('modal.tecnica')}:</strong> ${solution.viabilidade_preliminar.tecnica}
         </div>
         ` : ''}
         ${solution.viabilidade_preliminar.economica ? `
         <div class="solution-card">
-          <strong>Econômica:</strong> ${solution.viabilidade_preliminar.economica}
+          <strong>${t('modal.economica')}:</strong> ${solution.viabilidade_preliminar.economica}
         </div>
         ` : ''}
         ${solution.viabilidade_preliminar.organizacional ? `
         <div class="solution-card">
-          <strong>Organizacional:</strong> ${solution.viabilidade_preliminar.organizacional}
+          <strong>${t('modal.organizacional')}:</strong> ${solution.viabilidade_preliminar.organizacional}
         </div>
         ` : ''}
       </div>
@@ -320,7 +315,7 @@ function showSolutionModal(solutionName, coordStr){
 
     ${solution.dependencias ? `
     <div class="solution-section">
-      <h3>🔗 Dependências</h3>
+      <h3>🔗 ${t('modal.dependencias')}</h3>
         <ul class="solution-list">
         ${Array.isArray(solution.dependencias) ? solution.dependencias.map(dep => `<li>${dep}</li>`).join('') : `<li>${solution.dependencias}</li>`}
         </ul>
@@ -329,7 +324,7 @@ function showSolutionModal(solutionName, coordStr){
 
     ${solution.saidas_esperadas ? `
     <div class="solution-section">
-      <h3>✅ Saídas Esperadas</h3>
+      <h3>✅ ${t('modal.saidas')}</h3>
       <ul class="solution-list">
         ${Array.isArray(solution.saidas_esperadas) ? solution.saidas_esperadas.map(saida => `<li>${saida}</li>`).join('') : `<li>${solution.saidas_esperadas}</li>`}
       </ul>
@@ -338,6 +333,7 @@ function showSolutionModal(solutionName, coordStr){
   `;
 
   content.innerHTML = html;
+  renderSolutionCostChart(content.querySelector('.solution-cost'), solution);
   modal.showModal();
 }
 
@@ -347,21 +343,16 @@ function setupSolutionLinks(){
     const link = e.target.closest('a');
     if(!link || !link.href) return;
     
-    // Verifica se é um link de detalhe.html ou link de solução
+    // Link de solução: ?sol=...&coord=... (links compartilháveis, ver solutionHref)
     const href = link.getAttribute('href');
-    if(href && (href.includes('detalhe.html?sol=') || href.includes('?sol='))){
+    if(href && href.startsWith('?') && new URLSearchParams(href).has('sol')){
       e.preventDefault();
       e.stopPropagation();
       
       // Extrai nome e coordenada do link
-      let solutionName = '';
-      let coordStr = '';
-      
-      if(href.includes('?')){
-      const urlParams = new URLSearchParams(href.split('?')[1]);
-        solutionName = decodeURIComponent(urlParams.get('sol') || '');
-        coordStr = decodeURIComponent(urlParams.get('coord') || '');
-      }
+      const urlParams = new URLSearchParams(href);
+      let solutionName = urlParams.get('sol') || '';
+      let coordStr = urlParams.get('coord') || '';
       
       // Tenta extrair coordenada do texto do link se não tiver na URL
       if(!coordStr){
@@ -376,306 +367,916 @@ function setupSolutionLinks(){
       
       if(solutionName || coordStr){
         showSolutionModal(solutionName, coordStr);
+        updateUrl({ sol: solutionName || null, coord: coordStr || null });
       }
     }
   });
 }
 
-// -------- helpers de header/coord --------
-function headerLike(header, key){
-  const norm = s => s.toLowerCase().replace(/\s+/g,'');
-  const K = norm(key);
-  return header.find(h => norm(h).includes(K));
+// -------- Idioma da interface --------
+// Rótulos dos seletores vêm do motor em pt-BR e não são alterados lá;
+// a tradução é feita na hora de exibir
+function optionLabel(labels, ns, key){
+  return labels[key] ? t(`${ns}.${key}`, {}, labels[key]) : key;
 }
 
-function parseCoord(s){
-  if(!s) return null;
-  // Aceita coordenadas com ou sem terceiro nível (ex: "I.1" ou "I.1.a")
-  const m = String(s).trim().match(/^([IVXLCDM]+)\s*[\.\-]\s*(\d+)\s*(?:[\.\-]\s*([a-z]))?$/i);
-  if(!m) return null;
-  return { 
-    pri: m[1].toUpperCase(), 
-    sec: parseInt(m[2],10), 
-    ter: (m[3] || '').toLowerCase() 
-  };
+function methodLabel(key){
+  const k = AGGREGATION_METHODS[key] ? key : DEFAULT_AGGREGATION;
+  return t(`agregacao.${k}`, {}, AGGREGATION_METHODS[k].label);
 }
-function romanToInt(r){
-  const map={I:1,V:5,X:10,L:50,C:100,D:500,M:1000}; let n=0, prev=0;
-  for(const ch of r.split('').reverse()){ const v=map[ch]||0; if(v<prev) n-=v; else n+=v, prev=v; }
-  return n;
-}
-
-// -------- ranking bruto --------
-function computeRanking(zData, {r,g,b}){
-  const {header, rows} = zData;
-  const ZC = headerLike(header,'zcusto');
-  const ZQ = headerLike(header,'zqual');
-  const ZP = headerLike(header,'zprazo');
-  const sC = headerLike(header,'s_zcusto') || headerLike(header,'szcusto');
-  const sQ = headerLike(header,'s_zqual')  || headerLike(header,'szqual');
-  const sP = headerLike(header,'s_zprazo') || headerLike(header,'szprazo');
-  
-  if(!ZC||!ZQ||!ZP) throw new Error('CSV de Zscores deve ter ZCusto, ZQualidade e ZPrazo.');
-  
-  // Verifica se temos covariâncias (últimas 3 colunas devem conter "cov" no nome)
-  const covCols = header.slice(-3);
-  const hasCovariances = covCols.length === 3 && 
-    covCols.some(col => col.toLowerCase().includes('cov'));
-  const hasErrors = sC && sQ && sP;
-
-  const results = rows.map((row, i)=>{
-    const zc=coerceNum(row[ZC]), zq=coerceNum(row[ZQ]), zp=coerceNum(row[ZP]);
-    
-    // r, g, b já estão entre 0 e 1 (não percentual) - vem do entrada.js
-    // Zranking = (-r*zc) + (g*zq) + (-b*zp)
-    const Zranking = (-r*zc) + (g*zq) + (-b*zp);
-    
-    let s_Zrank = 0;
-    
-    if(hasErrors){
-      const sc=coerceNum(row[sC] || 0);
-      const sq=coerceNum(row[sQ] || 0);
-      const sp=coerceNum(row[sP] || 0);
-      
-      // Validação: valores de erro padrão devem ser razoáveis (0 a 100)
-      // Se estiverem muito grandes, pode ser erro de parsing
-      if(sc > 100 || sq > 100 || sp > 100){
-        console.warn(`⚠️ Valores de erro padrão muito grandes na linha ${i+1}: sC=${sc}, sQ=${sq}, sP=${sp}`);
-        console.warn(`   Valores originais: sC="${row[sC]}", sQ="${row[sQ]}", sP="${row[sP]}"`);
-        console.warn(`   r=${r}, g=${g}, b=${b} (devem estar entre 0 e 1)`);
-      }
-      
-      if(hasCovariances){
-        // Fórmula COMPLETA com covariâncias
-        // Para Z = -r*C + g*Q - b*P
-        // Var(Z) = r²*Var(C) + g²*Var(Q) + b²*Var(P) 
-        //         - 2*r*g*Cov(C,Q) + 2*r*b*Cov(C,P) - 2*g*b*Cov(Q,P)
-        const cov_CQ = coerceNum(row[covCols[0]] || 0);
-        const cov_CP = coerceNum(row[covCols[1]] || 0);
-        const cov_QP = coerceNum(row[covCols[2]] || 0);
-        
-        const s0_squared = (r*sc)**2 + (g*sq)**2 + (b*sp)**2;
-        // Correção com covariâncias (não ao quadrado!)
-        const correction = 2 * (
-          -r*g * cov_CQ +  // sinal negativo porque -r*C e +g*Q
-          r*b * cov_CP +   // sinal positivo porque -r*C e -b*P
-          -g*b * cov_QP    // sinal negativo porque +g*Q e -b*P
-        );
-        
-        s_Zrank = Math.sqrt(Math.max(0, s0_squared + correction));
-      } else {
-        // Fórmula SIMPLES sem covariâncias
-        // Var(Z) = r²*Var(C) + g²*Var(Q) + b²*Var(P)
-        s_Zrank = Math.sqrt(
-          (r*sc)**2 + 
-          (g*sq)**2 + 
-          (b*sp)**2
-        );
-      }
-    }
-    
-    return { idx:i, id:(i+1), Zranking, s_Zrank };
+
+function tieringLabel(key){
+  const k = TIERING_STRATEGIES[key] ? key : DEFAULT_TIERING;
+  return t(`tiers.${k}`, {}, TIERING_STRATEGIES[k].label);
+}
+
+// Troca de idioma recarrega a página; o estado da decisão segue na URL
+function setupLanguageSwitcher(select){
+  if(!select) return;
+  select.innerHTML = Object.entries(SUPPORTED_LOCALES)
+    .map(([loc, label]) => `<option value="${loc}"${loc === getLocale() ? ' selected' : ''}>${label}</option>`).join('');
+  select.addEventListener('change', () => {
+    saveLocale(select.value);
+    window.location.reload();
   });
+}
 
-  // Reescalonamento para nota absoluta 0-10 baseado em distribuição gaussiana
-  const Z_MIN = -3;
-  const Z_MAX = 3;
-  const Z_RANGE = Z_MAX - Z_MIN; // 6
-  
-  // Calcula número de casas decimais baseado no menor erro (2 algarismos significativos)
-  function significativeDecimalPlaces(n){
-    if(n === 0) return 2;
-    const absN = Math.abs(n);
-    
-    // Converte para notação científica para identificar posição do primeiro dígito
-    const exp = Math.floor(Math.log10(absN));
-    
-    // Número de casas decimais para números < 1 é |expoente|, para >= 1 é 2
-    if(exp < 0){
-      // Para 0.01 (exp=-2), precisamos de 2 casas
-      // Para 0.001 (exp=-3), precisamos de 3 casas
-      return Math.abs(exp);
-    } else {
-      // Para números >= 1, sempre 2 casas
-      return 2;
-    }
+// -------- Projeto --------
+// Troca de projeto vai para /p/<id>/ sem o estado da decisão (os dados são outros)
+function setupProjectSwitcher(select, projetos, project){
+  if(!select) return;
+  const wrap = select.closest('label') || select;
+  if(projetos.length < 2){
+    wrap.style.display = 'none';
+    return;
   }
-  
-  const sZValues = results.map(r => r.s_Zrank).filter(e => e > 0);
-  // Se não houver erros, usa 2 casas decimais padrão
-  const numDecimals = sZValues.length > 0 
-    ? significativeDecimalPlaces(Math.min(...sZValues))
-    : 2;
-  
-  const processed = results.map(r => {
-    // Mapeia de [-3, +3] para [0, 10] - escala absoluta baseada em distribuição gaussiana
-    let nota;
-    if(r.Zranking <= Z_MIN) {
-      nota = 0; // Zranking <= -3 → nota 0
-    } else if(r.Zranking >= Z_MAX) {
-      nota = 10; // Zranking >= +3 → nota 10
-    } else {
-      // Interpolação linear entre -3 e +3
-      nota = ((r.Zranking - Z_MIN) / Z_RANGE) * 10;
-    }
-    
-    // Reescalona margem de erro proporcionalmente para a escala 0-10
-    const margemErroReescalada = (r.s_Zrank / Z_RANGE) * 10;
-    const multiplier = Math.pow(10, numDecimals);
-    return { 
-      ...r, 
-      nota: Math.round(nota * multiplier) / multiplier,
-      margemErro: Math.round(margemErroReescalada * multiplier) / multiplier
-    };
+  select.innerHTML = projetos
+    .map(p => `<option value="${p.id}"${p.id === project.id ? ' selected' : ''}>${localized(p.nome, p.id)}</option>`).join('');
+  select.addEventListener('change', () => {
+    window.location.href = projectHref(select.value);
   });
-  
-  // Retorna os resultados junto com o número de casas decimais
-  return { items: processed, decimals: numDecimals };
-}
-
-// -------- enriquece com nomes/coords --------
-function enrichWithNames(rows, namesParsed){
-  const nameCol  = headerLike(namesParsed.header, 'nome') || namesParsed.header[0];
-  const coordCol = headerLike(namesParsed.header, 'coordenadas') || headerLike(namesParsed.header,'coord');
-  return rows.map(r=>{
-    const nome = namesParsed.rows[r.idx]?.[nameCol] ?? `Sol ${r.id}`;
-    let coordStr = namesParsed.rows[r.idx]?.[coordCol] ?? '';
-    const coordOriginal = coordStr;
-    // Normaliza: III.1a -> III.1.a
-    coordStr = coordStr.replace(/(\d+)([a-z])/i, '$1.$2');
-    const coord = parseCoord(coordStr) || parseCoord(coordOriginal);
-    return { ...r, nome, coordStr, coordOriginal, coord };
+}
+
+// Projeto nos relatórios (PDF e reports.csv do backend)
+function reportProject(){
+  const project = getProject();
+  return { id: project.id, nome: localized(project.nome, project.id) };
+}
+
+// Textos do projeto na página: título da aba, rodapé e rótulos do triângulo
+function applyProjectTexts(project, criteria){
+  const nome = localized(project.nome);
+  if(nome) document.title = `${nome} — ${document.title}`;
+  const footer = document.querySelector('.footer-header-text');
+  if(footer && project.rodape != null) footer.textContent = localized(project.rodape);
+  if(criteria.length !== 3) return;
+  // Vértices na ordem de vertexToChannel (B, R, G): topo, esquerda, direita
+  [['.label-top', 2], ['.label-left', 0], ['.label-right', 1]].forEach(([sel, i]) => {
+    const el = document.querySelector(sel);
+    if(el) el.textContent = criteria[i].nome;
   });
 }
 
-// -------- Clustering GMM simplificado --------
-function gmmCluster(items, maxComponents = 8){
-  if(items.length <= 1) return items.map((item, i) => ({...item, cluster: 1}));
-  if(items.length <= 3) return items.map((item, i) => ({...item, cluster: i+1}));
-  
-  const x = items.map(item => item.nota);
-  const n = x.length;
-  
-  function findOptimalK(data, maxK){
-    if(data.length <= maxK) return Math.min(3, data.length);
-    
-    const sorted = [...data].sort((a,b) => a - b);
-    const bics = [];
-    
-    for(let k = 1; k <= Math.min(maxK, n-1); k++){
-      const centroids = kmeansInit(sorted, k);
-      const labels = assignClusters(sorted, centroids);
-      const bic = calculateBIC(sorted, labels, k);
-      bics.push(bic);
-    }
-    
-    let optimalK = 1;
-    let minBIC = bics[0];
-    for(let i = 1; i < bics.length; i++){
-      if(bics[i] < minBIC){
-        minBIC = bics[i];
-        optimalK = i + 1;
-      }
-    }
-    
-    return optimalK;
+// -------- Links compartilháveis (estado na URL) --------
+// pesos=30,40,30 (% na ordem dos critérios) & metodo & tiers & zscores & mc & pareto
+// & custo=tco|vpl & anos & taxa (% a.a.) & faltantes=reponderar|excluir
+// & preco/prazo (restrições máximas) & internos=1 & u.<critério>=tipo,param,... (curva fora do padrão)
+// & secao=podio|ranking|arvore & sol/coord (modal aberto) & dev=1 (painel do esquema)
+const SECTIONS = ['podio', 'ranking', 'arvore'];
+let urlState = {};
+
+// Curva de utilidade no link: "exponencial,2", "limiar,-1,1.5", "por_partes,-3:-3;0:1;3:3"
+// (parâmetros na ordem de UTILITY_PARAMS; ausentes valem o padrão do editor)
+function encodeUtility(cfg){
+  const params = (UTILITY_PARAMS[cfg.tipo] || []).map(p => p.key === 'pontos'
+    ? (cfg.pontos?.length ? cfg.pontos : parseUtilityPoints(p.def)).map(([x, y]) => `${x}:${y}`).join(';')
+    : (Number.isFinite(cfg[p.key]) ? cfg[p.key] : p.def));
+  return [cfg.tipo, ...params].join(',');
+}
+
+function readUrlState(search = window.location.search){
+  const params = new URLSearchParams(search);
+  const pesos = (params.get('pesos') || '').split(',').map(v => parseFloat(v)).filter(Number.isFinite);
+  const limite = key => Number.isFinite(parseFloat(params.get(key))) ? parseFloat(params.get(key)) : null;
+  const restricoes = { precoMax: limite('preco'), prazoMax: limite('prazo'), dadosInternos: params.get('internos') === '1' };
+  const utilidades = Object.fromEntries([...params]
+    .filter(([key]) => key.startsWith('u.'))
+    .map(([key, value]) => [key.slice(2), parseUtility(value)])
+    .filter(([, cfg]) => cfg));
+  return {
+    pesos: pesos.length ? pesos.map(v => v / 100) : null,
+    metodo: params.get('metodo'),
+    tiers: params.get('tiers'),
+    zscores: params.get('zscores'),
+    faltantes: params.get('faltantes'),
+    mc: params.get('mc') === '1',
+    pareto: params.get('pareto') === '1',
+    custo: params.get('custo') ? {
+      metrica: params.get('custo'),
+      horizonte: parseInt(params.get('anos'), 10) || DEFAULT_COST_MODEL.horizonte,
+      taxa: Number.isFinite(parseFloat(params.get('taxa'))) ? parseFloat(params.get('taxa')) / 100 : DEFAULT_COST_MODEL.taxa
+    } : null,
+    restricoes: hasActiveConstraints(restricoes) ? restricoes : null,
+    utilidades: Object.keys(utilidades).length ? utilidades : null,
+    secao: SECTIONS.includes(params.get('secao')) ? params.get('secao') : null,
+    sol: params.get('sol'),
+    coord: params.get('coord'),
+    dev: params.get('dev') === '1'
+  };
+}
+
+function urlSearch(state){
+  const params = new URLSearchParams();
+  if(state.pesos) params.set('pesos', state.pesos.map(v => parseFloat((v * 100).toFixed(2))).join(','));
+  if(state.metodo) params.set('metodo', state.metodo);
+  if(state.tiers) params.set('tiers', state.tiers);
+  if(state.zscores && state.zscores !== 'csv') params.set('zscores', state.zscores);
+  if(state.faltantes && state.faltantes !== DEFAULT_MISSING_POLICY) params.set('faltantes', state.faltantes);
+  if(state.mc) params.set('mc', '1');
+  if(state.pareto) params.set('pareto', '1');
+  if(state.custo){
+    params.set('custo', state.custo.metrica);
+    params.set('anos', state.custo.horizonte);
+    if(state.custo.metrica === 'vpl') params.set('taxa', parseFloat((state.custo.taxa * 100).toFixed(2)));
   }
-  
-  function kmeansInit(data, k){
-    const min = Math.min(...data);
-    const max = Math.max(...data);
-    const centroids = [];
-    for(let i = 0; i < k; i++){
-      centroids.push(min + (max - min) * (i + 0.5) / k);
-    }
-    return centroids;
+  if(state.restricoes){
+    if(Number.isFinite(state.restricoes.precoMax)) params.set('preco', state.restricoes.precoMax);
+    if(Number.isFinite(state.restricoes.prazoMax)) params.set('prazo', state.restricoes.prazoMax);
+    if(state.restricoes.dadosInternos) params.set('internos', '1');
   }
-  
-  function assignClusters(data, centroids){
-    return data.map(x => {
-      let minDist = Infinity;
-      let cluster = 0;
-      centroids.forEach((c, i) => {
-        const dist = Math.abs(x - c);
-        if(dist < minDist){
-          minDist = dist;
-          cluster = i;
-        }
+  Object.entries(state.utilidades || {}).forEach(([id, cfg]) => params.set(`u.${id}`, encodeUtility(cfg)));
+  if(state.secao && state.secao !== 'podio') params.set('secao', state.secao);
+  if(state.sol) params.set('sol', state.sol);
+  if(state.coord) params.set('coord', state.coord);
+  if(state.dev) params.set('dev', '1');
+  const search = params.toString().replace(/%2C/g, ',');
+  return search ? `?${search}` : '';
+}
+
+// Atualiza a barra de endereço sem recarregar (replaceState: não polui o histórico)
+function updateUrl(changes){
+  urlState = { ...urlState, ...changes };
+  window.history.replaceState(null, '', `${window.location.pathname}${urlSearch(urlState)}${window.location.hash}`);
+}
+
+// Link para o modal de uma solução, com os pesos e a visão atuais
+function solutionHref(item){
+  return urlSearch({ ...urlState, sol: item.nome, coord: item.coordStr || null });
+}
+
+// -------- Custo acumulado (TCO / VPL) --------
+// Modelo de custo escolhido no painel "Custo plurianual"; vale para ranking, modal e relatório
+let costModel = { ...DEFAULT_COST_MODEL };
+const COST_SERIES_COLORS = ['#ffd43b', '#74c0fc', '#ff8787', '#69db7c', '#da77f2', '#ffa94d'];
+
+// Curvas de custo acumulado; no VPL cada mês é descontado, no TCO não
+function costSeries(solutions, model = costModel){
+  const taxa = model.metrica === 'vpl' ? model.taxa : 0;
+  return (solutions || []).map(solution => {
+    const flow = costFlow(solution);
+    if(!flow) return null;
+    return { id: solution.id, label: solution.nome_curto || solution.id, curve: cumulativeCost(flow, { horizonte: model.horizonte, taxa }) };
+  }).filter(Boolean);
+}
+
+function formatMonth(mes){
+  return formatNumber(mes, 1);
+}
+
+// Cruzamentos da curva destacada com as demais (quem fica mais barata a partir de quando)
+function describeCrossings(base, others){
+  return others.flatMap(o => breakevenCrossings(base.curve, o.curve).map(c => ({
+    ...c,
+    outro: o.label,
+    texto: c.mais_barata === 'a'
+      ? t('custo.cruzamentoMaisBarata', { mes: formatMonth(c.mes), outro: escapeHtml(o.label), valor: formatCurrency(c.valor) })
+      : t('custo.cruzamentoOutra', { mes: formatMonth(c.mes), outro: escapeHtml(o.label), valor: formatCurrency(c.valor) })
+  }))).sort((a, b) => a.mes - b.mes);
+}
+
+// Gráfico de custo acumulado x mês; highlight (id) em destaque e cruzamentos marcados
+function drawCostChart(canvas, series, {highlight = null, crossings = [], title = ''} = {}){
+  const ctx = canvas.getContext('2d');
+  const width = canvas.width, height = canvas.height;
+  const padding = { top: 40, right: 20, bottom: 45, left: 80 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const months = Math.max(1, ...series.map(s => s.curve.length - 1));
+  const maxY = Math.max(1, ...series.flatMap(s => s.curve)) * 1.05;
+  const px = m => padding.left + (m / months) * plotWidth;
+  const py = v => padding.top + plotHeight - (v / maxY) * plotHeight;
+
+  ctx.fillStyle = '#0e0e0e';
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = '#cfcfcf';
+  ctx.font = 'bold 14px system-ui, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.fillText(title || t('custo.tituloGrafico', { modelo: describeCostModel(costModel) }), width / 2, 22);
+
+  // Grade: um tick por ano no eixo x, 5 faixas no eixo y
+  ctx.strokeStyle = '#222';
+  ctx.fillStyle = '#9a9a9a';
+  ctx.font = '11px system-ui, sans-serif';
+  ctx.lineWidth = 1;
+  for(let m = 0; m <= months; m += 12){
+    ctx.beginPath(); ctx.moveTo(px(m), padding.top); ctx.lineTo(px(m), padding.top + plotHeight); ctx.stroke();
+    ctx.textAlign = 'center';
+    ctx.fillText(m ? t('custo.eixoAno', { n: m / 12 }) : '0', px(m), padding.top + plotHeight + 16);
+  }
+  for(let k = 0; k <= 5; k++){
+    const v = maxY * k / 5;
+    ctx.beginPath(); ctx.moveTo(padding.left, py(v)); ctx.lineTo(padding.left + plotWidth, py(v)); ctx.stroke();
+    ctx.textAlign = 'right';
+    ctx.fillText(t('custo.eixoMil', { valor: formatNumber(Math.round(v / 1000), 0) }), padding.left - 6, py(v) + 4);
+  }
+
+  // Demais curvas esmaecidas primeiro, destaque por cima
+  const ordered = [...series].sort((a, b) => (a.id === highlight) - (b.id === highlight));
+  ordered.forEach(s => {
+    const strong = !highlight || s.id === highlight;
+    ctx.strokeStyle = s.color || '#888';
+    ctx.globalAlpha = strong ? 1 : 0.35;
+    ctx.lineWidth = s.id === highlight ? 3 : 1.5;
+    ctx.beginPath();
+    s.curve.forEach((v, m) => m ? ctx.lineTo(px(m), py(v)) : ctx.moveTo(px(m), py(v)));
+    ctx.stroke();
+  });
+  ctx.globalAlpha = 1;
+
+  crossings.forEach(c => {
+    ctx.beginPath();
+    ctx.arc(px(c.mes), py(c.valor), 5, 0, Math.PI * 2);
+    ctx.fillStyle = '#fff';
+    ctx.fill();
+    ctx.strokeStyle = '#0e0e0e';
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+  });
+
+  // Legenda
+  ctx.font = '11px system-ui, sans-serif';
+  ctx.textAlign = 'left';
+  let lx = padding.left, ly = height - 10;
+  series.filter(s => !highlight || s.id === highlight).forEach(s => {
+    const text = s.label;
+    const w = ctx.measureText(text).width + 28;
+    if(lx + w > width - padding.right){ lx = padding.left; ly -= 14; }
+    ctx.fillStyle = s.color || '#888';
+    ctx.fillRect(lx, ly - 8, 14, 3);
+    ctx.fillStyle = '#cfcfcf';
+    ctx.fillText(text, lx + 18, ly - 4);
+    lx += w;
+  });
+}
+
+// Seção do modal: curva da solução contra todas as outras, com os cruzamentos
+function renderSolutionCostChart(host, solution){
+  if(!host) return;
+  const series = costSeries(solutionDescriptions?.itens);
+  const base = series.find(s => s.id === solution.id);
+  if(!base){ host.innerHTML = ''; return; }
+  series.forEach(s => { s.color = s.id === solution.id ? COST_SERIES_COLORS[0] : '#8a8a8a'; });
+  const crossings = describeCrossings(base, series.filter(s => s !== base));
+  host.innerHTML = `
+    <h3>📉 ${t('custo.tituloModal', { modelo: describeCostModel(costModel) })}</h3>
+    <canvas width="640" height="300" class="cost-chart"></canvas>
+    <p class="solution-text"><strong>${t('custo.totalHorizonte')}:</strong> ${formatCurrency(base.curve[base.curve.length - 1])}</p>
+    ${crossings.length
+      ? `<ul class="solution-list cost-crossings">${crossings.map(c => `<li>${c.texto}</li>`).join('')}</ul>`
+      : `<p class="solution-text">${t('custo.semCruzamentos')}</p>`}`;
+  drawCostChart(host.querySelector('canvas'), series, { highlight: solution.id, crossings });
+}
+
+// Relatório: curvas das primeiras soluções do ranking e os cruzamentos entre elas
+function costReport(items, model = costModel, maxSeries = 4){
+  const top = [...items].sort((a, b) => b.nota - a.nota).slice(0, maxSeries)
+    .map(item => (item.coordStr && findSolutionById(item.coordStr)) || findSolutionByName(item.nome))
+    .filter(Boolean);
+  const series = costSeries(top, model);
+  if(series.length < 1) return null;
+  series.forEach((s, i) => { s.color = COST_SERIES_COLORS[i % COST_SERIES_COLORS.length]; });
+  const marks = [], cruzamentos = [];
+  series.forEach((a, i) => series.slice(i + 1).forEach(b => breakevenCrossings(a.curve, b.curve).forEach(c => {
+    marks.push(c);
+    cruzamentos.push({ a: a.label, b: b.label, mes: parseFloat(c.mes.toFixed(1)), valor: formatCurrency(c.valor), maisBarata: c.mais_barata === 'a' ? a.label : b.label });
+  })));
+  const canvas = document.createElement('canvas');
+  canvas.width = 900; canvas.height = 420;
+  drawCostChart(canvas, series, { crossings: marks, title: t('custo.tituloGrafico', { modelo: describeCostModel(model) }) });
+  return {
+    modelo: describeCostModel(model),
+    grafico: canvas.toDataURL('image/png'),
+    totais: series.map(s => ({ nome: s.label, id: s.id, total: formatCurrency(s.curve[s.curve.length - 1]) })),
+    cruzamentos
+  };
+}
+
+// -------- Fronteira de Pareto (independente dos pesos) --------
+function paretoBadge(item){
+  if(!item.dominatedBy?.length) return '';
+  const list = escapeHtml(item.dominatedBy.join(', '));
+  return `<span class="pareto-badge" title="${t('pareto.dica', { lista: list })}">${t('pareto.dominadaPor', { lista: list })}</span>`;
+}
+
+// -------- Dados faltantes --------
+// Excluídas por falta de dados já levam o motivo em exclusionReasons (exclusionBadge)
+function missingBadge(item){
+  if(!item.faltantes || item.faltantes.politica === 'excluir') return '';
+  const politica = optionLabel(MISSING_POLICIES, 'faltantes.politica', item.faltantes.politica);
+  return `<span class="missing-badge" title="${politica}">${item.faltantes.descricao}</span>`;
+}
+
+// -------- Restrições rígidas (elegibilidade) --------
+// Limites do cliente aplicados antes do pódio e do clustering, com base nos campos
+// de solution_description5.json. Campos de preço/prazo seguem ui_politicas quando definidos.
+const CONSTRAINT_FIELDS = {
+  preco: 'preco_cliente.preco_cliente_ano1_brl',
+  prazo: 'prazos_dias.total'
+};
+const SIGNAL_INTERNAL = '🟢';
+
+function getField(obj, path){
+  return String(path).split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function hasActiveConstraints(c){
+  return !!c && (Number.isFinite(c.precoMax) || Number.isFinite(c.prazoMax) || !!c.dadosInternos);
+}
+
+// Sinal de processamento dos dados: mapeamento_sinais tem prioridade sobre sinal_dados
+function dataSignal(solution){
+  return solutionDescriptions?.mapeamento_sinais?.[solution.id]?.processamento || solution.sinal_dados || null;
+}
+
+// Lista os motivos pelos quais a solução viola as restrições (vazia = elegível)
+function constraintViolations(solution, constraints){
+  if(!hasActiveConstraints(constraints)) return [];
+  if(!solution) return [t('restricao.semDescricao')];
+  const politicas = solutionDescriptions?.ui_politicas || {};
+  const reasons = [];
+
+  if(Number.isFinite(constraints.precoMax)){
+    const preco = getField(solution, politicas.campo_preco_cliente || CONSTRAINT_FIELDS.preco);
+    if(typeof preco !== 'number') reasons.push(t('restricao.semPreco'));
+    else if(preco > constraints.precoMax) reasons.push(t('restricao.precoAcima', { preco: formatCurrency(preco), max: formatCurrency(constraints.precoMax) }));
+  }
+  if(Number.isFinite(constraints.prazoMax)){
+    const prazo = getField(solution, politicas.campo_prazo_total || CONSTRAINT_FIELDS.prazo);
+    if(typeof prazo !== 'number') reasons.push(t('restricao.semPrazo'));
+    else if(prazo > constraints.prazoMax) reasons.push(t('restricao.prazoAcima', { prazo, max: constraints.prazoMax }));
+  }
+  if(constraints.dadosInternos){
+    const sinal = dataSignal(solution);
+    if(sinal !== SIGNAL_INTERNAL) reasons.push(t('restricao.dadosFora', { sinal: sinal || '?' }));
+  }
+  return reasons;
+}
+
+// Tira as soluções fora das restrições do zData antes do ranking (normalização,
+// Pareto, Monte Carlo e regiões de vencedor só enxergam as elegíveis). Excluídas
+// voltam com nome/coordenada e exclusionReasons, sem nota.
+function applyConstraints(zData, namesParsed, constraints){
+  if(!hasActiveConstraints(constraints)) return { zData, excluded: [] };
+  const keep = [], excluded = [];
+  enrichWithNames(zRowRefs(zData), namesParsed).forEach(ref => {
+    const reasons = constraintViolations(findSolutionById(ref.coordStr) || findSolutionByName(ref.nome), constraints);
+    if(reasons.length) excluded.push({ ...ref, exclusionReasons: reasons });
+    else keep.push(ref.idx);
+  });
+  return { zData: excluded.length ? selectZRows(zData, keep) : zData, excluded };
+}
+
+function exclusionBadge(item){
+  if(!item.exclusionReasons?.length) return '';
+  const list = item.exclusionReasons.join('; ');
+  return `<span class="excluded-badge" title="${list}">${t('restricao.excluida', { lista: list })}</span>`;
+}
+
+function describeConstraints(c){
+  if(!hasActiveConstraints(c)) return '';
+  const parts = [];
+  if(Number.isFinite(c.precoMax)) parts.push(t('restricao.descricaoPreco', { max: formatCurrency(c.precoMax) }));
+  if(Number.isFinite(c.prazoMax)) parts.push(t('restricao.descricaoPrazo', { max: c.prazoMax }));
+  if(c.dadosInternos) parts.push(t('restricao.descricaoDados', { sinal: SIGNAL_INTERNAL }));
+  return parts.join('; ');
+}
+
+// -------- Robustez a inversão de ranking --------
+function renderRobustness(analysis, items){
+  const host = document.getElementById('robustness');
+  if(!host) return;
+  if(!analysis || items.length < 2){ host.innerHTML = ''; return; }
+  const byIdx = new Map(items.map(it => [it.idx, it]));
+  const label = idx => { const it = byIdx.get(idx); return it ? escapeHtml(it.coordStr ? `${it.nome} (${it.coordStr})` : it.nome) : `#${idx + 1}`; };
+  const leader = byIdx.get(analysis.flips[0]?.a);
+  const clusterLabel = leader?.cluster ? `${getClusterName(leader.cluster, Math.max(...items.map(it => it.cluster || 0)))} — ${label(leader.idx)}` : label(leader?.idx);
+  const rows = analysis.flips.map(f => `<li>${f.posicao}º ↔ ${f.posicao + 1}º (${label(f.a)} × ${label(f.b)}): ${
+    f.distance === null ? t('robustez.naoInverte') : t('robustez.variacaoMinima', { pp: formatNumber(f.distance * 100, 1) })}</li>`).join('');
+  host.innerHTML = `
+    <p class="robustness-sentence">🛡️ ${describeRobustness(analysis, clusterLabel)}</p>
+    <details><summary>${t('robustez.inversoesVizinhas')}</summary><ul>${rows}</ul></details>`;
+}
+
+// -------- Simulação Monte Carlo (probabilidade de posição) --------
+// Mini-histograma da distribuição de posições (1º à esquerda)
+function renderRankDist(rankDist){
+  const max = Math.max(...rankDist, 1e-12);
+  const bars = rankDist.map((p, k) =>
+    `<span class="rank-dist-bar" style="height:${Math.max(1, Math.round(p / max * 18))}px" title="${k+1}º: ${formatPct(p)}"></span>`
+  ).join('');
+  return `<span class="rank-dist">${bars}</span>`;
+}
+
+// -------- Matriz de dominância P(A > B) --------
+function renderDominanceMatrix(items){
+  const host = document.getElementById('dominanceMatrix');
+  if(!host) return;
+  if(!items?.length){ host.innerHTML = ''; return; }
+
+  const { items: sorted, matrix } = pairwiseDominance(items);
+  const short = it => escapeHtml(it.coordStr || it.nome);
+  const cellColor = p => `hsl(${Math.round(p * 120)}, 55%, ${22 + Math.round(Math.abs(p - 0.5) * 20)}%)`;
+
+  const head = `<thead><tr><th>${t('dominancia.cabecalho')}</th>${sorted.map((it, j) => `<th title="${escapeHtml(it.nome)}">${j+1}. ${short(it)}</th>`).join('')}</tr></thead>`;
+  const body = sorted.map((a, i) => `<tr>
+      <th title="${escapeHtml(a.nome)}">${i+1}. ${short(a)}</th>
+      ${matrix[i].map((p, j) => p === null
+        ? '<td class="dom-diag">—</td>'
+        : `<td style="background:${cellColor(p)}" title="P(${short(a)} > ${short(sorted[j])}) = ${formatPercent(p, 1)}">${Math.round(p*100)}</td>`
+      ).join('')}
+    </tr>`).join('');
+
+  host.innerHTML = `
+    <h3>${t('dominancia.titulo')}</h3>
+    <div class="dominance-wrap"><table class="dominance-table">${head}<tbody>${body}</tbody></table></div>`;
+}
+
+// -------- Editor de curvas de utilidade --------
+// Uma linha por critério: tipo da curva, parâmetros e um mini gráfico de u(z).
+// O padrão de cada critério pode vir de "utilidade" em data/criterios.json.
+const UTILITY_PARAMS = {
+  linear:      [],
+  por_partes:  [{ key: 'pontos', label: 'Pontos (z:u; …)', def: '-3:-3; 0:1; 3:3' }],
+  exponencial: [{ key: 'rho', label: 'ρ', def: 2, step: 0.5 }],
+  limiar:      [{ key: 'limiar', label: 'Limiar Z', def: -1, step: 0.25 }, { key: 'saciedade', label: 'Saciedade Z', def: 1.5, step: 0.25 }]
+};
+
+function drawUtilityCurve(canvas, cfg, color){
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height, pad = 6;
+  const span = UTILITY_Z_MAX - UTILITY_Z_MIN;
+  const px = z => pad + (z - UTILITY_Z_MIN) / span * (W - 2*pad);
+  const py = u => H - pad - (clampZ(u) - UTILITY_Z_MIN) / span * (H - 2*pad);
+  ctx.clearRect(0, 0, W, H);
+
+  // referência linear (tracejada)
+  ctx.strokeStyle = '#444'; ctx.setLineDash([3, 3]); ctx.lineWidth = 1;
+  ctx.beginPath(); ctx.moveTo(px(UTILITY_Z_MIN), py(UTILITY_Z_MIN)); ctx.lineTo(px(UTILITY_Z_MAX), py(UTILITY_Z_MAX)); ctx.stroke();
+  ctx.setLineDash([]);
+
+  const u = utilityFunction(cfg);
+  ctx.strokeStyle = color || '#e6e6e6'; ctx.lineWidth = 2;
+  ctx.beginPath();
+  for(let i = 0; i <= 60; i++){
+    const z = UTILITY_Z_MIN + span * i / 60;
+    i ? ctx.lineTo(px(z), py(u(z))) : ctx.moveTo(px(z), py(u(z)));
+  }
+  ctx.stroke();
+}
+
+// Curva padrão do critério (campo 'utilidade' de criterios.json)
+const defaultUtility = c => ({ tipo: 'linear', ...(c.utilidade || {}) });
+
+function initUtilityEditor(host, criteria, onChange){
+  const config = {};
+  criteria.forEach(c => { config[c.id] = defaultUtility(c); });
+  // Só as curvas diferentes do padrão do critério (o que o link compartilhável precisa levar)
+  const getChanged = () => Object.fromEntries(criteria
+    .filter(c => encodeUtility(config[c.id]) !== encodeUtility(defaultUtility(c)))
+    .map(c => [c.id, config[c.id]]));
+  const renderers = {};
+  const setUtilities = cfgs => Object.entries(cfgs || {}).forEach(([id, cfg]) => {
+    if(!(id in config)) return;
+    config[id] = { ...cfg };
+    renderers[id]?.();
+  });
+  if(!host) return { getUtilities: () => config, getChanged, setUtilities };
+
+  host.innerHTML = criteria.map(c => `
+    <div class="utility-row" data-crit="${c.id}">
+      <span class="swatch" style="--c:${c.cor || '#888'}"></span>
+      <strong>${c.nome}</strong>
+      <select class="utility-type">${Object.keys(UTILITY_TYPES).map(k => `<option value="${k}">${optionLabel(UTILITY_TYPES, 'utilidade.tipo', k)}</option>`).join('')}</select>
+      <span class="utility-params"></span>
+      <canvas class="utility-plot" width="120" height="80" title="${t(c.direcao === 'menor' ? 'utilidade.dicaMenor' : 'utilidade.dicaMaior')}"></canvas>
+    </div>`).join('');
+
+  criteria.forEach(c => {
+    const row = host.querySelector(`[data-crit="${c.id}"]`);
+    const typeSel = row.querySelector('.utility-type');
+    const params = row.querySelector('.utility-params');
+    const canvas = row.querySelector('.utility-plot');
+
+    const renderParams = () => {
+      const cfg = config[c.id];
+      params.innerHTML = UTILITY_PARAMS[cfg.tipo].map(p => {
+        const value = p.key === 'pontos'
+          ? (cfg.pontos ? cfg.pontos.map(([x, y]) => `${x}:${y}`).join('; ') : p.def)
+          : (cfg[p.key] ?? p.def);
+        return p.key === 'pontos'
+          ? `<label>${t('utilidade.param.' + p.key, {}, p.label)} <input data-key="${p.key}" type="text" value="${value}" size="18" /></label>`
+          : `<label>${t('utilidade.param.' + p.key, {}, p.label)} <input data-key="${p.key}" type="number" step="${p.step}" value="${value}" /></label>`;
+      }).join('');
+      params.querySelectorAll('input').forEach(inp => inp.addEventListener('change', readParams));
+      readParams();
+    };
+    const readParams = () => {
+      const cfg = { tipo: typeSel.value };
+      params.querySelectorAll('input').forEach(inp => {
+        cfg[inp.dataset.key] = inp.dataset.key === 'pontos' ? parseUtilityPoints(inp.value) : parseFloat(inp.value);
       });
-      return cluster;
-    });
+      config[c.id] = cfg;
+      drawUtilityCurve(canvas, cfg, c.cor);
+      onChange?.(config);
+    };
+
+    renderers[c.id] = () => {
+      typeSel.value = config[c.id].tipo in UTILITY_TYPES ? config[c.id].tipo : 'linear';
+      renderParams();
+    };
+    typeSel.addEventListener('change', () => { config[c.id] = { tipo: typeSel.value }; renderParams(); });
+    renderers[c.id]();
+  });
+
+  return { getUtilities: () => config, getChanged, setUtilities };
+}
+
+// -------- Decisão em grupo --------
+const PARTICIPANT_COLORS = ['#ffd43b', '#ff8787', '#69db7c', '#74c0fc', '#da77f2', '#ffa94d', '#63e6be', '#f783ac'];
+
+function renderParticipants(host, participants, onRemove){
+  if(!host) return;
+  host.innerHTML = participants.length
+    ? participants.map((p, i) => `<li><span class="swatch" style="--c:${p.color}"></span> <strong>${escapeHtml(p.nome)}</strong>
+        <span class="group-weights">${describeWeights(p.weights, p.criteria)}</span>
+        <button class="ghost group-remove" data-i="${i}" title="${t('grupo.remover')}">×</button></li>`).join('')
+    : `<li><em>${t('grupo.vazio')}</em></li>`;
+  host.querySelectorAll('.group-remove').forEach(btn => btn.addEventListener('click', () => onRemove(Number(btn.dataset.i))));
+}
+
+function renderGroupResult(result, participants, criteria, excluded = []){
+  const host = document.getElementById('groupResult');
+  if(!host) return;
+  if(!result){ host.innerHTML = ''; return; }
+  const d = result.decimals;
+  const isBorda = result.combine === 'borda';
+  const spread = pos => {
+    const m = pos.reduce((a, b) => a + b, 0) / pos.length;
+    return Math.sqrt(pos.reduce((s, p) => s + (p - m) ** 2, 0) / pos.length);
+  };
+  const head = `<thead><tr><th>#</th><th>${t('tabela.solucao')}</th>
+      ${isBorda ? `<th class="num">${t('grupo.pontosBorda')}</th><th class="num">${t('grupo.notaMedia')}</th>` : `<th class="num">${t('tabela.nota')}</th><th class="num">${t('tabela.margemErro')}</th>`}
+      ${participants.map(p => `<th class="num"><span class="swatch" style="--c:${p.color}"></span> ${escapeHtml(p.nome)}</th>`).join('')}
+      <th class="num" title="${t('grupo.sigmaDica')}">${t('grupo.sigma')}</th></tr></thead>`;
+  const body = result.items.map((it, i) => `<tr>
+      <td>${i+1}</td>
+      <td>${escapeHtml(it.nome)} ${it.coordStr ? `(${escapeHtml(it.coordStr)})` : ''}</td>
+      ${isBorda ? `<td class="num">${it.pontosBorda}</td>` : ''}
+      <td class="num">${formatNumber(it.nota, d)}</td>
+      ${isBorda ? '' : `<td class="num">${formatNumber(it.margemErro, d)}</td>`}
+      ${it.posicoes.map(pos => `<td class="num">${pos}º</td>`).join('')}
+      <td class="num">${formatNumber(spread(it.posicoes), 1)}</td>
+    </tr>`).join('');
+  host.innerHTML = `
+    <p class="group-summary">
+      <strong>${optionLabel(GROUP_METHODS, 'grupo.metodo', result.combine)}</strong>${result.weights ? ` — ${t('grupo.pesosCombinados', { pesos: describeWeights(result.weights, criteria) })}` : ''}<br>
+      ${t('grupo.discordancia')}: <strong>${formatPercent(result.disagreement)}</strong>
+      <span class="group-note">${t('grupo.notaKendall', { w: formatNumber(result.kendallW, 2) })}</span>
+      ${excluded.length ? `<br><span class="group-note">${t('grupo.excluidas', { lista: excluded.map(it => escapeHtml(it.coordStr || it.nome)).join(', ') })}</span>` : ''}
+    </p>
+    <table class="table">${head}<tbody>${body}</tbody></table>`;
+}
+
+// -------- Cenários salvos e comparação --------
+// Cenários ficam no localStorage (por projeto); com a sincronização ligada, também no backend.
+const SCENARIOS_KEY = 'noetika_scenarios';
+const SCENARIOS_SYNC_KEY = 'noetika_scenarios_sync';
+const MAX_COMPARED = 3;
+
+function loadScenarios(){
+  try {
+    return JSON.parse(localStorage.getItem(projectStorageKey(SCENARIOS_KEY)) || '[]');
+  } catch(err) {
+    console.warn('Cenários salvos ilegíveis:', err.message || err);
+    return [];
   }
-  
-  function calculateBIC(data, labels, k){
-    const n = data.length;
-    if(k === 1){
-      const mean = data.reduce((a,b) => a+b, 0) / n;
-      const variance = data.reduce((sum, x) => sum + (x - mean)**2, 0) / n;
-      const logLikelihood = -n * 0.5 * Math.log(2 * Math.PI * variance) - n / 2;
-      return -2 * logLikelihood + k * Math.log(n);
-    }
-    
-    const clusters = {};
-    labels.forEach((label, i) => {
-      if(!clusters[label]) clusters[label] = [];
-      clusters[label].push(data[i]);
+}
+
+function storeScenarios(scenarios){
+  try {
+    localStorage.setItem(projectStorageKey(SCENARIOS_KEY), JSON.stringify(scenarios));
+  } catch(err) {
+    console.warn('Não foi possível salvar os cenários:', err.message || err);
+  }
+}
+
+// Sincronização opcional: falhas só geram aviso, o localStorage continua valendo
+async function fetchRemoteScenarios(){
+  try {
+    const res = await fetch(`/api/scenarios?projeto=${encodeURIComponent(getProject().id)}`);
+    if(!res.ok) throw new Error(res.statusText);
+    return await res.json();
+  } catch(err) {
+    console.warn('Backend indisponível para cenários:', err.message || err);
+    return null;
+  }
+}
+
+async function pushScenario(scenario){
+  try {
+    const res = await fetch('/api/scenarios', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...scenario, projeto: getProject().id })
     });
-    
-    let logLikelihood = 0;
-    Object.values(clusters).forEach(cluster => {
-      if(cluster.length === 0) return;
-      const mean = cluster.reduce((a,b) => a+b, 0) / cluster.length;
-      const variance = cluster.reduce((sum, x) => sum + (x - mean)**2, 0) / cluster.length || 0.001;
-      logLikelihood -= cluster.length * 0.5 * Math.log(2 * Math.PI * variance);
-      logLikelihood -= cluster.reduce((sum, x) => sum + (x - mean)**2, 0) / (2 * variance);
+    if(!res.ok) throw new Error(res.statusText);
+  } catch(err) {
+    console.warn('Cenário não sincronizado:', err.message || err);
+  }
+}
+
+async function deleteRemoteScenario(id){
+  try {
+    await fetch(`/api/scenarios/${encodeURIComponent(id)}?projeto=${encodeURIComponent(getProject().id)}`, { method: 'DELETE' });
+  } catch(err) {
+    console.warn('Cenário não removido do backend:', err.message || err);
+  }
+}
+
+function mergeScenarios(local, remote){
+  const ids = new Set(local.map(s => s.id));
+  return [...local, ...(remote || []).filter(s => s?.id && !ids.has(s.id))];
+}
+
+// Nomes vêm do usuário (e de outros usuários, com sincronização)
+function escapeHtml(text){
+  return String(text ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+function describeScenario(s){
+  const criteria = s.criterios || DEFAULT_CRITERIA;
+  return `${describeWeights(s.pesos, criteria)} · ${methodLabel(s.metodo)} · ${tieringLabel(s.tiering)}`;
+}
+
+function renderScenarioList(host, scenarios, selected, { onToggle, onRemove }){
+  if(!host) return;
+  host.innerHTML = scenarios.length
+    ? scenarios.map(s => `<li>
+        <label><input type="checkbox" class="scenario-pick" data-id="${s.id}"${selected.includes(s.id) ? ' checked' : ''} />
+          <strong>${escapeHtml(s.nome)}</strong></label>
+        <span class="scenario-meta">${describeScenario(s)}</span>
+        <button class="ghost scenario-remove" data-id="${s.id}" title="${t('cenario.apagar')}">×</button></li>`).join('')
+    : `<li><em>${t('cenario.vazio')}</em></li>`;
+  host.querySelectorAll('.scenario-pick').forEach(box => box.addEventListener('change', () => onToggle(box.dataset.id, box.checked)));
+  host.querySelectorAll('.scenario-remove').forEach(btn => btn.addEventListener('click', () => onRemove(btn.dataset.id)));
+}
+
+// Seta de variação em relação ao cenário base (positivo = subiu)
+function deltaArrow(delta, title){
+  if(!delta) return '';
+  const up = delta > 0;
+  return `<span class="delta ${up ? 'delta-up' : 'delta-down'}" title="${title}">${up ? '▲' : '▼'}${Math.abs(delta)}</span>`;
+}
+
+function renderScenarioComparison(scenarios){
+  const host = document.getElementById('scenarioComparison');
+  if(!host) return;
+  if(scenarios.length < 2){
+    host.innerHTML = scenarios.length ? `<p class="scenario-note">${t('cenario.maisUm')}</p>` : '';
+    return;
+  }
+  const rows = compareScenarios(scenarios);
+  const head = `<thead><tr><th>${t('tabela.solucao')}</th>
+      ${scenarios.map((s, i) => `<th class="num" title="${describeScenario(s)}">${escapeHtml(s.nome)}${i === 0 ? ` <small>(${t('cenario.base')})</small>` : ''}</th>`).join('')}
+    </tr></thead>`;
+  const cell = (c, i) => {
+    if(c.ausente) return `<td class="num excluded-cell">${c.excluida ? t('cenario.excluida') : '—'}</td>`;
+    return `<td class="num">${c.posicao}º ${i ? deltaArrow(c.deltaPosicao, t('cenario.deltaPosicao')) : ''}
+      <div class="scenario-tier">${c.tierNome} ${i ? deltaArrow(c.deltaTier, t('cenario.deltaTier')) : ''}</div></td>`;
+  };
+  const body = rows.map(r => `<tr>
+      <td>${escapeHtml(r.nome)} ${r.coordStr ? `(${escapeHtml(r.coordStr)})` : ''}</td>
+      ${r.cenarios.map(cell).join('')}
+    </tr>`).join('');
+  host.innerHTML = `<table class="table scenario-table">${head}<tbody>${body}</tbody></table>`;
+}
+
+function comparisonCSV(scenarios, rows){
+  const esc = v => /[",;\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  const header = [t('tabela.solucao'), 'Coord', ...scenarios.flatMap(s => ['csvPosicao', 'csvTier', 'csvDeltaPosicao', 'csvDeltaTier'].map(k => t(`cenario.${k}`, { nome: s.nome })))];
+  const lines = rows.map(r => [r.nome, r.coordStr, ...r.cenarios.flatMap(c => c.ausente
+    ? [c.excluida ? t('cenario.excluida') : '', '', '', '']
+    : [c.posicao, c.tierNome, c.deltaPosicao, c.deltaTier])]);
+  return [header, ...lines].map(line => line.map(esc).join(',')).join('\n');
+}
+
+function downloadBlob(blob, filename){
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+}
+
+async function exportComparisonReport(scenarios){
+  try {
+    const rows = compareScenarios(scenarios);
+    const sessionId = (typeof trackingSession !== 'undefined' && trackingSession?.sessionId)
+      ? trackingSession.sessionId
+      : (window.trackingSession?.sessionId || '');
+    const response = await fetch('/api/compare-report', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        cenarios: scenarios.map(s => ({
+          nome: s.nome,
+          criadoEm: s.criadoEm,
+          pesos: (s.criterios || []).map((c, i) => ({ nome: c.nome, peso: parseFloat(((s.pesos[i] || 0) * 100).toFixed(1)) })),
+          metodo: methodLabel(s.metodo),
+          tiers: tieringLabel(s.tiering),
+          restricoes: describeConstraints(s.restricoes)
+        })),
+        linhas: rows.map(r => ({
+          nome: r.nome,
+          coord: r.coordStr,
+          cenarios: r.cenarios.map(c => c.ausente
+            ? { ausente: true, excluida: c.excluida }
+            : { posicao: c.posicao, tier: c.tierNome, deltaPosicao: c.deltaPosicao, deltaTier: c.deltaTier })
+        })),
+        projeto: reportProject(),
+        sessionId
+      })
     });
-    
-    return -2 * logLikelihood + k * Math.log(n);
+    if(!response.ok) throw new Error(`Erro ao gerar relatório: ${response.status} ${response.statusText}`);
+    downloadBlob(await response.blob(), `Tribussula_comparacao_${new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5)}.pdf`);
+  } catch(err) {
+    console.error('Erro ao exportar comparação:', err);
+    alert(t('alerta.pdfComparacao') + '\n\n' + t('alerta.erro', { mensagem: err.message }));
   }
-  
-  const optimalK = findOptimalK(x, maxComponents);
-  const centroids = kmeansInit(x, optimalK);
-  
-  const sorted = [...items].sort((a,b) => b.nota - a.nota);
-  const sortedX = sorted.map(item => item.nota);
-  const labels = assignClusters(sortedX, centroids);
-  
-  const uniqueLabels = [...new Set(labels)].sort((a,b) => {
-    const meanA = sortedX.filter((_, i) => labels[i] === a).reduce((s,x) => s+x, 0) / labels.filter(l => l === a).length;
-    const meanB = sortedX.filter((_, i) => labels[i] === b).reduce((s,x) => s+x, 0) / labels.filter(l => l === b).length;
-    return meanB - meanA;
-  });
-  
-  const labelMap = {};
-  uniqueLabels.forEach((oldLabel, i) => {
-    labelMap[oldLabel] = i + 1;
-  });
-  
-  return sorted.map((item, i) => ({
-    ...item,
-    cluster: labelMap[labels[i]]
-  }));
 }
 
-function smartCluster(items){
-  return gmmCluster(items, 8);
+// -------- Conjunto de dados (upload) --------
+const DATASET_LABELS = { zscores: 'dados.arquivoZscores', nomes: 'dados.arquivoNomes', descricoes: 'dados.arquivoDescricoes', alinhamento: 'dados.arquivoAlinhamento' };
+
+// Valida as partes enviadas; as que faltam vêm do conjunto em uso (current: {z, n, descriptions})
+function validateUpload(incoming, current, criteria){
+  let descriptions = current.descriptions, jsonError = null;
+  if(incoming.descricoes != null){
+    try { descriptions = JSON.parse(incoming.descricoes); } catch(err) { descriptions = null; jsonError = err; }
+  }
+  const report = validateDataset({
+    zData: incoming.zscores != null ? parseCSV(incoming.zscores) : current.z,
+    namesParsed: incoming.nomes != null ? parseCSV(incoming.nomes) : current.n,
+    descriptions
+  }, criteria);
+  if(jsonError){
+    report.erros = [{ nivel: 'erro', arquivo: 'descricoes', mensagem: t('dados.jsonInvalido', { mensagem: jsonError.message }) }, ...report.erros.filter(i => i.arquivo !== 'descricoes')];
+    report.ok = false;
+  }
+  return report;
 }
 
-// -------- Nomes dos clusters --------
-function getClusterName(clusterId, totalClusters){
-  const names = ['Ouro', 'Prata', 'Bronze', 'Ferro', 'Barro', 'Lama', 'Nem Olhe', 'Olhe Menos'];
-  if(!clusterId || isNaN(clusterId) || clusterId < 1) return 'N/A';
-  if(clusterId <= names.length && clusterId > 0) return names[clusterId - 1];
-  return `Cluster ${clusterId}`;
+function renderDatasetReport(host, report, dataset){
+  if(!host) return;
+  if(!report){ host.innerHTML = ''; return; }
+  const files = DATASET_PARTS.map(part => `<li><strong>${t(DATASET_LABELS[part])}:</strong> ${
+    dataset.arquivos[part] ? escapeHtml(dataset.arquivos[part]) : `<em>${t('dados.atual')}</em>`}</li>`).join('');
+  const ignored = dataset.ignorados?.length
+    ? `<p class="dataset-note">${t('dados.ignorados', { lista: escapeHtml(dataset.ignorados.join(', ')) })}</p>` : '';
+  const summary = !report.ok
+    ? `❌ ${t('dados.comErros', { n: report.erros.length })}`
+    : report.avisos.length ? `⚠️ ${t('dados.okComAvisos', { n: report.avisos.length })}` : `✅ ${t('dados.ok')}`;
+  const issues = [...report.erros, ...report.avisos].map(i =>
+    `<li class="dataset-${i.nivel}"><span class="dataset-file">${t(DATASET_LABELS[i.arquivo])}</span> ${escapeHtml(i.mensagem)}</li>`).join('');
+  host.innerHTML = `
+    <p class="dataset-summary">${summary} — ${t('dados.resumo', report.resumo)}</p>
+    <ul class="dataset-files">${files}</ul>
+    ${ignored}
+    ${issues ? `<ul class="dataset-issues">${issues}</ul>` : ''}`;
+}
+
+// -------- Integridade dos dados (faixa de aviso) --------
+// Órfãos, duplicados e ids fora das linhas ativas entre Zscores, nomes e descrições
+const INTEGRITY_LABELS = { orfao: 'integridade.orfaos', duplicado: 'integridade.duplicados', inativo: 'integridade.inativos', invalido: 'integridade.invalidos' };
+
+function renderIntegrityBanner(report){
+  const host = document.getElementById('integrityBanner');
+  if(!host) return;
+  if(!report?.problemas.length){ host.style.display = 'none'; host.innerHTML = ''; return; }
+
+  const counts = INTEGRITY_TYPES.filter(tipo => report.contagem[tipo])
+    .map(tipo => t(INTEGRITY_LABELS[tipo], { n: report.contagem[tipo] })).join(' · ');
+  const issues = report.problemas.map(p =>
+    `<li class="dataset-${p.nivel}"><span class="dataset-file">${t(DATASET_LABELS[p.arquivo])}</span> ${escapeHtml(p.mensagem)}</li>`).join('');
+  console.warn(`Integridade dos dados: ${report.problemas.length} problema(s)`, report.problemas);
+  host.style.display = 'block';
+  host.innerHTML = `
+    <details>
+      <summary>⚠️ ${t('integridade.titulo')}: ${counts}</summary>
+      <ul class="dataset-issues">${issues}</ul>
+    </details>`;
+}
+
+// -------- Conferência dos Zscores calculados --------
+function renderZScoreCheck(result, method, namesParsed){
+  const host = document.getElementById('zscoreCheck');
+  if(!host) return;
+  if(!result){ host.style.display = 'none'; host.innerHTML = ''; return; }
+
+  const nameCol = namesParsed ? (headerLike(namesParsed.header, 'nome') || namesParsed.header[0]) : null;
+  const rowLabel = i => i === null ? '—' : (nameCol && namesParsed.rows[i]?.[nameCol]) || t('zscore.linha', { n: i + 1 });
+  const fmt = v => typeof v === 'number' ? v.toFixed(3) : v;
+  const summary = result.diffs.length
+    ? `⚠️ ${t('zscore.divergencias', { n: result.diffs.length, tolerancia: ZSCORE_TOLERANCE, comparados: result.compared })}`
+    : `✅ ${t('zscore.conferem', { comparados: result.compared, tolerancia: ZSCORE_TOLERANCE })}`;
+  const rows = result.diffs.map(d => `<tr>
+      <td>${escapeHtml(rowLabel(d.linha))}</td><td>${d.criterio ?? '—'}</td><td>${d.campo}</td>
+      <td class="num">${fmt(d.calculado)}</td><td class="num">${fmt(d.arquivo)}</td><td class="num">${fmt(d.diferenca)}</td>
+    </tr>`).join('');
+
+  if(result.diffs.length) console.warn(`Zscores (${optionLabel(STANDARDIZATION_METHODS, 'padronizacao', method)}): ${result.diffs.length} divergência(s) com o CSV pré-calculado`, result.diffs);
+  host.style.display = 'block';
+  host.innerHTML = `
+    <details>
+      <summary>${summary} — ${t('zscore.padronizacao', { metodo: optionLabel(STANDARDIZATION_METHODS, 'padronizacao', method) })}</summary>
+      ${rows ? `<table class="table"><thead><tr><th>${t('tabela.solucao')}</th><th>${t('zscore.criterio')}</th><th>${t('zscore.campo')}</th><th class="num">${t('zscore.calculado')}</th><th class="num">CSV</th><th class="num">${t('zscore.diferenca')}</th></tr></thead><tbody>${rows}</tbody></table>` : ''}
+    </details>`;
+}
+
+// -------- Painel de desenvolvimento: esquema das descrições --------
+function renderSchemaCheck(report, always = false){
+  const host = document.getElementById('schemaCheck');
+  if(!host) return;
+  const problems = report?.problemas || [];
+  const clean = report && !report.erro && !report.migrado && report.problemas && !problems.length;
+  if(!report || (clean && !always)){
+    host.style.display = 'none'; host.innerHTML = ''; return;
+  }
+
+  const arquivo = escapeHtml(report.arquivo);
+  const summary = report.erro ? `❌ ${t('esquema.erroCarga', { arquivo, mensagem: escapeHtml(report.erro) })}`
+    : !report.problemas ? `⚠️ ${t('esquema.semEsquema', { arquivo })}`
+    : problems.length ? `⚠️ ${t('esquema.problemas', { n: problems.length, arquivo, versao: report.esquema })}`
+    : `✅ ${t('esquema.conforme', { arquivo, versao: report.esquema })}`;
+  const migrated = report.migrado ? ` — ${t('esquema.migrado', { de: report.de, para: report.para })}` : '';
+  const rows = problems.map(p => `<tr><td><code>${escapeHtml(p.caminho)}</code></td><td>${escapeHtml(p.mensagem)}</td></tr>`).join('');
+
+  host.style.display = 'block';
+  host.innerHTML = `
+    <details>
+      <summary>${summary}${migrated}</summary>
+      ${rows ? `<table class="table"><thead><tr><th>${t('esquema.campo')}</th><th>${t('esquema.problema')}</th></tr></thead><tbody>${rows}</tbody></table>` : ''}
+    </details>`;
+}
+
+// -------- Estratégias de tiers --------
+// Estratégia escolhida na interface; usada por pódio, tabela, gráfico e relatório
+let tieringStrategy = DEFAULT_TIERING;
+
+// -------- Estabilidade dos tiers (bootstrap) --------
+function renderCoassignmentMatrix(items, result){
+  const host = document.getElementById('tierStability');
+  if(!host) return;
+  if(!items?.length || !result){ host.innerHTML = ''; return; }
+
+  const order = items.map((it, i) => i).sort((a, b) => items[b].nota - items[a].nota);
+  const short = it => escapeHtml(it.coordStr || it.nome);
+  const cellColor = p => `hsl(${Math.round(200 + p * 20)}, 55%, ${14 + Math.round(p * 30)}%)`;
+  const head = `<thead><tr><th>${t('tier.mesmoTier')}</th>${order.map((i, k) => `<th title="${escapeHtml(items[i].nome)}">${k+1}. ${short(items[i])}</th>`).join('')}</tr></thead>`;
+  const body = order.map((i, k) => `<tr>
+      <th title="${escapeHtml(items[i].nome)}">${k+1}. ${short(items[i])}</th>
+      ${order.map(j => i === j
+        ? `<td class="dom-diag" title="${t('tier.dicaPermanencia', { tier: getClusterName(items[i].cluster, 8), pct: formatPct(result.stability[i]) })}">${Math.round(result.stability[i]*100)}</td>`
+        : `<td style="background:${cellColor(result.coassignment[i][j])}" title="${t('tier.dicaCoatribuicao', { a: short(items[i]), b: short(items[j]), pct: formatPct(result.coassignment[i][j]) })}">${Math.round(result.coassignment[i][j]*100)}</td>`
+      ).join('')}
+    </tr>`).join('');
+
+  host.innerHTML = `
+    <h3>${t('tier.coatribuicao', { n: TIER_BOOTSTRAP_RUNS })}</h3>
+    <div class="dominance-wrap"><table class="dominance-table">${head}<tbody>${body}</tbody></table></div>`;
 }
 
 // -------- PÓDIO por cluster --------
 function renderPodiumClusters(items, decimals){
   const host = document.getElementById('podium');
   if(!host) return;
+  if(!items?.length){ host.innerHTML = `<em>${t('podio.nenhumaElegivel')}</em>`; return; }
 
   // Aplica clustering inteligente
-  const clustered = smartCluster(items);
+  const clustered = smartCluster(items, tieringStrategy);
   
   // Agrupa por cluster
   const clusters = new Map();
@@ -699,48 +1300,78 @@ function renderPodiumClusters(items, decimals){
     group.items.sort((a,b)=> b.nota - a.nota);
     const topItems = group.items;
     const links = topItems.map(it=>{
-      const label = `${it.nome} (${it.coordStr || ''})`;
-      const coord = it.coordStr || '';
-      const href  = `detalhe.html?sol=${encodeURIComponent(it.nome)}&coord=${encodeURIComponent(coord)}`;
-      return `<a class="podium-link" href="${href}">${label}</a>`;
+      const label = escapeHtml(`${it.nome} (${it.coordStr || ''})`);
+      return `<a class="podium-link" href="${solutionHref(it)}">${label}</a>${paretoBadge(it)}`;
     }).join('');
     const best = group.items[0];
-    const scoreLine = best ? `<div class="podium-score">melhor nota: ${best.nota.toFixed(decimals)} • margem de erro: ${best.margemErro.toFixed(decimals)}</div>` : '';
+    const scoreLine = best ? `<div class="podium-score">${t('podio.melhorNota', { nota: formatNumber(best.nota, decimals), margem: formatNumber(best.margemErro, decimals) })}</div>` : '';
+    // Probabilidades da simulação Monte Carlo (se ativada)
+    const mcLine = best?.mc ? `<div class="podium-mc">
+        ${t('podio.chances', { primeiro: formatPct(best.mc.pFirst), top3: formatPct(best.mc.pTop3) })}
+        ${i === 0 && best.mc.pFirst < 0.5 ? `<div class="podium-mc-warn">⚠️ ${t('podio.liderancaIncerta')}</div>` : ''}
+      </div>` : '';
+    // Estabilidade do tier: média da fração de sorteios em que os itens ficam nele
+    const stab = group.items.filter(it => it.tierStability != null);
+    const stabValue = stab.length ? stab.reduce((acc, it) => acc + it.tierStability, 0) / stab.length : null;
+    const stabLine = stabValue !== null
+      ? `<div class="podium-stability" title="${t('podio.estabilidadeDica', { n: TIER_BOOTSTRAP_RUNS })}">${t('podio.estabilidade', { pct: formatPct(stabValue) })}</div>`
+      : '';
     const clusterName = getClusterName(cid, totalClusters);
     return `
       <div class="podium-card">
         <div class="podium-medal ${classes[i]}">${medals[i]} ${clusterName}</div>
         ${links}
         ${scoreLine}
+        ${mcLine}
+        ${stabLine}
       </div>`;
   }).join('');
 
-  host.innerHTML = cards || '<em>Sem dados.</em>';
+  host.innerHTML = cards || `<em>${t('geral.semDados')}</em>`;
 }
 
 // -------- Tabela (ranking completo) --------
-function renderTable(items, decimals, priorities){
+function renderTable(items, decimals, priorities, excluded = []){
   const host = document.getElementById('table');
-  if(!items?.length){ host.innerHTML = '<em>Nenhum resultado.</em>'; return; }
+  if(!items?.length && !excluded.length){ host.innerHTML = `<em>${t('tabela.nenhumResultado')}</em>`; return; }
   
   // Aplica clustering e ordena por nota
-  const clustered = smartCluster(items);
+  const clustered = smartCluster(items, tieringStrategy);
   const sorted = clustered.sort((a,b) => b.nota - a.nota);
   
-  const head = `<thead><tr><th>#</th><th>Cluster</th><th>Nome</th><th class="num">Nota</th><th class="num">Margem de Erro</th></tr></thead>`;
+  const hasMC = sorted.some(r => r.mc);
+  const mcHead = hasMC ? `<th class="num">P(1º)</th><th class="num">P(top 3)</th><th>${t('tabela.posicoes')}</th>` : '';
+  const hasPareto = sorted.some(r => r.dominatedBy);
+  const paretoHead = hasPareto ? '<th>Pareto</th>' : '';
+  const head = `<thead><tr><th>#</th><th>${t('tabela.cluster')}</th><th>${t('tabela.nome')}</th><th class="num">${t('tabela.nota')}</th><th class="num">${t('tabela.margemErro')}</th>${mcHead}${paretoHead}</tr></thead>`;
   const body = sorted.map((r,i)=>{
-    const coord = r.coordStr || '';
-    const href = `detalhe.html?sol=${encodeURIComponent(r.nome)}&coord=${encodeURIComponent(coord)}`;
+    const href = solutionHref(r);
     const clusterName = getClusterName(r.cluster, Math.max(...clustered.map(x => x.cluster)));
+    const membership = describeMembership(r, Math.max(...clustered.map(x => x.cluster)));
     return `<tr>
       <td>${i+1}</td>
-      <td><span class="cluster-badge cluster-${r.cluster}">${clusterName}</span></td>
-      <td><a href="${href}">${r.nome} ${r.coordStr?`(${r.coordStr})`:''}</a></td>
-      <td class="num">${r.nota.toFixed(decimals)}</td>
-      <td class="num">${r.margemErro.toFixed(decimals)}</td>
+      <td><span class="cluster-badge cluster-${r.cluster}">${clusterName}</span>${membership ? `<div class="membership">${membership}</div>` : ''}</td>
+      <td><a href="${href}">${escapeHtml(r.nome)} ${r.coordStr?`(${escapeHtml(r.coordStr)})`:''}</a>${missingBadge(r)}</td>
+      <td class="num">${formatNumber(r.nota, decimals)}</td>
+      <td class="num">${formatNumber(r.margemErro, decimals)}</td>
+      ${hasMC ? (r.mc ? `<td class="num">${formatPct(r.mc.pFirst)}</td>
+      <td class="num">${formatPct(r.mc.pTop3)}</td>
+      <td>${renderRankDist(r.mc.rankDist)}</td>` : '<td></td><td></td><td></td>') : ''}
+      ${hasPareto ? `<td>${r.dominatedBy?.length ? paretoBadge(r) : `<span class="pareto-front" title="${t('pareto.fronteiraDica')}">${t('pareto.fronteira')}</span>`}</td>` : ''}
     </tr>`;
   }).join('');
-  host.innerHTML = `<table class="table">${head}<tbody>${body}</tbody></table>`;
+  // Soluções fora das restrições: ao final, acinzentadas e sem posição
+  const colspan = (hasMC ? 3 : 0) + (hasPareto ? 1 : 0);
+  // (as fora das restrições não têm nota e vão por último)
+  const excludedBody = [...excluded].sort((a,b) => (b.nota ?? -Infinity) - (a.nota ?? -Infinity) || 0).map(r => `<tr class="excluded-row">
+      <td>—</td>
+      <td>${exclusionBadge(r)}</td>
+      <td>${escapeHtml(r.nome)} ${r.coordStr?`(${escapeHtml(r.coordStr)})`:''}</td>
+      <td class="num">${formatNumber(r.nota, decimals)}</td>
+      <td class="num">${formatNumber(r.margemErro, decimals)}</td>
+      ${colspan ? `<td colspan="${colspan}"></td>` : ''}
+    </tr>`).join('');
+  host.innerHTML = `<table class="table">${head}<tbody>${body}${excludedBody}</tbody></table>`;
   
   // Renderiza gráfico de clusters
   renderClusterPlot(clustered, decimals, priorities);
@@ -790,27 +1421,24 @@ function renderClusterPlot(items, decimals, priorities){
   ctx.fillStyle = '#cfcfcf';
   ctx.font = 'bold 16px system-ui, sans-serif';
   ctx.textAlign = 'center';
-  ctx.fillText('Nota x Classificação', width / 2, 22);
+  ctx.fillText(t('grafico.titulo', { tiers: tieringLabel(tieringStrategy) }), width / 2, 22);
   
   if(priorities){
-    const rPct = (priorities.r * 100).toFixed(1);
-    const gPct = (priorities.g * 100).toFixed(1);
-    const bPct = (priorities.b * 100).toFixed(1);
     ctx.fillStyle = '#b8b8b8';
     ctx.font = '13px system-ui, sans-serif';
-    ctx.fillText(`com prioridades em: ${rPct}% Custo, ${gPct}% Qualidade e ${bPct}% Prazo`, width / 2, 42);
+    ctx.fillText(t('grafico.prioridades', { pesos: describeWeights(priorities.weights, priorities.criteria) }), width / 2, 42);
   }
   
   const maxCluster = Math.max(...clusters);
+  // Ferro/Barro em quadrado, Lama/Nem Olhe/Olhe Menos em X (pelo id, o nome depende do idioma)
   function drawMarker(ctx, x, y, clusterId, color){
-    const name = getClusterName(clusterId, maxCluster);
-    if(name === 'Ferro' || name === 'Barro'){
+    if(clusterId === 4 || clusterId === 5){
       ctx.fillStyle = color;
       ctx.fillRect(x - 5, y - 5, 10, 10);
       ctx.strokeStyle = '#000';
       ctx.lineWidth = 0.5;
       ctx.strokeRect(x - 5, y - 5, 10, 10);
-    } else if(name === 'Lama' || name === 'Nem Olhe' || name === 'Olhe Menos'){
+    } else if(clusterId >= 6 && clusterId <= 8){
       ctx.strokeStyle = color;
       ctx.lineWidth = 2;
       ctx.beginPath();
@@ -836,7 +1464,7 @@ function renderClusterPlot(items, decimals, priorities){
   ctx.fillStyle = '#cfcfcf';
   ctx.font = 'bold 12px system-ui, sans-serif';
   ctx.textAlign = 'left';
-  ctx.fillText('Legenda:', padding.left, 60);
+  ctx.fillText(t('grafico.legenda'), padding.left, 60);
   
   ctx.font = '11px system-ui, sans-serif';
   let legendX = padding.left;
@@ -888,7 +1516,7 @@ function renderClusterPlot(items, decimals, priorities){
   for(let i = 0; i <= 10; i++){
     const value = i;
     const yPos = adjustedPaddingTop + adjustedPlotHeight - ((value / 10) * adjustedPlotHeight);
-    ctx.fillText(value.toFixed(decimals), padding.left - 12, yPos + 5);
+    ctx.fillText(formatNumber(value, decimals), padding.left - 12, yPos + 5);
   }
   
   ctx.fillStyle = '#eaeaea';
@@ -897,7 +1525,7 @@ function renderClusterPlot(items, decimals, priorities){
   ctx.translate(18, (adjustedPaddingTop + adjustedPlotHeight / 2));
   ctx.rotate(-Math.PI / 2);
   ctx.textAlign = 'center';
-  ctx.fillText('Nota', 0, 0);
+  ctx.fillText(t('tabela.nota'), 0, 0);
   ctx.restore();
   
   ctx.fillStyle = '#b8b8b8';
@@ -912,7 +1540,7 @@ function renderClusterPlot(items, decimals, priorities){
   ctx.fillStyle = '#eaeaea';
   ctx.font = 'bold 14px system-ui, sans-serif';
   ctx.textAlign = 'center';
-  ctx.fillText('Classificação', width / 2, height - 8);
+  ctx.fillText(t('grafico.classificacao'), width / 2, height - 8);
   
   sorted.forEach((item, i) => {
     const clusterId = item.cluster;
@@ -943,7 +1571,8 @@ function renderClusterPlot(items, decimals, priorities){
       ctx.stroke();
     }
     
-    ctx.globalAlpha = 0.9;
+    // Opacidade proporcional à certeza do cluster (membership do EM)
+    ctx.globalAlpha = 0.25 + 0.65 * (item.certainty ?? 1);
     drawMarker(ctx, xPos, yPos, clusterId, color);
   });
   
@@ -959,7 +1588,7 @@ let currentPriorities = null;
 async function generateReport() {
   try {
     if (!currentRankingData || !currentPriorities) {
-      alert('Erro: Dados do ranking não disponíveis.');
+      alert(t('alerta.semRanking'));
       return;
     }
 
@@ -989,13 +1618,19 @@ async function generateReport() {
         name: item.nome,
         coord: item.coordStr || '',
         nota: item.nota.toFixed(currentRankingData.decimals),
-        margemErro: item.margemErro.toFixed(currentRankingData.decimals)
+        margemErro: item.margemErro.toFixed(currentRankingData.decimals),
+        ...(item.mc ? {
+          pPrimeiro: formatPct(item.mc.pFirst),
+          pTop3: formatPct(item.mc.pTop3)
+        } : {}),
+        dominadaPor: item.dominatedBy || [],
+        ...(item.faltantes ? { faltantes: item.faltantes.descricao } : {})
       };
     });
     
     let clustered = currentRankingData.items;
     if(!currentRankingData.items[0]?.cluster) {
-      clustered = smartCluster(currentRankingData.items);
+      clustered = smartCluster(currentRankingData.items, currentRankingData.tiering);
     }
     
     const clusters = new Map();
@@ -1014,8 +1649,10 @@ async function generateReport() {
     const podiumData = podiumClusters.map(([cid, group], index) => {
       group.items.sort((a,b)=> b.nota - a.nota);
       const clusterName = cid ? getClusterName(cid, ordered.length) : 'N/A';
+      const stab = group.items.filter(item => item.tierStability != null);
       return {
         categoria: clusterName,
+        ...(stab.length ? { estabilidade: formatPct(stab.reduce((acc, item) => acc + item.tierStability, 0) / stab.length) } : {}),
         items: group.items.map(item => {
           let solutionInfo = null;
           if(item.coordStr) {
@@ -1032,17 +1669,43 @@ async function generateReport() {
             margemErro: item.margemErro.toFixed(currentRankingData.decimals),
             solutionData: solutionInfo ? {
               ...solutionInfo,
-              nome: solutionInfo.nome_curto || solutionInfo.nome,
-              tronco: solutionInfo.linha || solutionInfo.tronco
+              // Nomes de campo esperados pelo PDF do backend
+              nome: solutionInfo.nome_curto,
+              tronco: solutionInfo.linha,
+              descricao: solutionInfo.descricao_para_leigos,
+              riscos: solutionInfo.riscos_chave,
+              custo: solutionInfo.preco_cliente ? {
+                setup_brl: solutionInfo.preco_cliente.capex_brl,
+                mensal_brl: solutionInfo.preco_cliente.opex_mensal_brl,
+                anual_brl: solutionInfo.preco_cliente.preco_cliente_ano1_brl
+              } : undefined
             } : null
           };
         })
       };
     });
 
-    const rPct = (currentPriorities.r * 100).toFixed(1);
-    const gPct = (currentPriorities.g * 100).toFixed(1);
-    const bPct = (currentPriorities.b * 100).toFixed(1);
+    // Matriz de dominância P(A > B), na mesma ordem do ranking
+    const dominance = pairwiseDominance(currentRankingData.items);
+    const dominanceMatrix = {
+      labels: dominance.items.map(item => item.coordStr || item.nome),
+      matrix: dominance.matrix.map(row => row.map(p => p === null ? null : Math.round(p * 1000) / 10))
+    };
+
+    // Coatribuição de tiers (bootstrap), na mesma ordem dos itens salvos
+    const stabilityData = currentRankingData.stability;
+    const coassignment = stabilityData ? {
+      labels: currentRankingData.items.map(item => item.coordStr || item.nome),
+      matrix: stabilityData.coassignment.map(row => row.map(p => Math.round(p * 1000) / 10)),
+      estabilidade: stabilityData.stability.map(p => Math.round(p * 1000) / 10)
+    } : null;
+
+    // Pesos em % por critério; r/g/b mantidos para o layout de 3 critérios do relatório
+    const { weights: prioWeights, criteria: prioCriteria } = currentPriorities;
+    const pct = v => parseFloat(((v || 0) * 100).toFixed(1));
+    const rgbPriorities = prioCriteria.length === 3
+      ? { r: pct(prioWeights[0]), g: pct(prioWeights[1]), b: pct(prioWeights[2]) }
+      : {};
 
     // Obtém sessionId do tracking (tracking.js deve estar carregado antes)
     const sessionId = (typeof trackingSession !== 'undefined' && trackingSession?.sessionId) 
@@ -1056,11 +1719,38 @@ async function generateReport() {
         rankingTable,
         podiumData,
         priorities: {
-          r: parseFloat(rPct),
-          g: parseFloat(gPct),
-          b: parseFloat(bPct)
+          ...rgbPriorities,
+          criterios: prioCriteria.map((c, i) => ({ nome: c.nome, peso: pct(prioWeights[i]) }))
         },
         graphImage,
+        dominanceMatrix,
+        coatribuicaoTiers: coassignment,
+        restricoes: {
+          descricao: describeConstraints(currentRankingData.constraints),
+          excluidas: (currentRankingData.excluded || []).map(item => ({
+            name: item.nome,
+            coord: item.coordStr || '',
+            motivos: item.exclusionReasons
+          }))
+        },
+        dadosFaltantes: {
+          politica: optionLabel(MISSING_POLICIES, 'faltantes.politica', currentRankingData.missingPolicy),
+          afetadas: [...currentRankingData.items, ...(currentRankingData.excluded || [])]
+            .filter(item => item.faltantes)
+            .map(item => ({ name: item.nome, coord: item.coordStr || '', descricao: item.faltantes.descricao }))
+        },
+        robustez: robustnessReport(currentRankingData.robustness, currentRankingData.items, prioCriteria),
+        curvasUtilidade: prioCriteria.map(c => ({ nome: c.nome, curva: describeUtility(currentPriorities.utilities?.[c.id]) })),
+        custoPlurianual: costReport(currentRankingData.items, currentRankingData.costModel),
+        estrategiaTiers: {
+          id: currentRankingData.tiering || DEFAULT_TIERING,
+          label: tieringLabel(currentRankingData.tiering)
+        },
+        metodoAgregacao: {
+          id: currentRankingData.method || DEFAULT_AGGREGATION,
+          label: methodLabel(currentRankingData.method)
+        },
+        projeto: reportProject(),
         sessionId
       })
     });
@@ -1083,67 +1773,15 @@ async function generateReport() {
     
     // Se for erro 502 (Bad Gateway), o backend não está disponível
     if (err.message && err.message.includes('502')) {
-      alert('Backend não está disponível. A geração de relatório requer o servidor backend em execução.\n\n' +
-            'Em produção, certifique-se de que o backend Python está rodando corretamente.');
+      alert(t('alerta.backendIndisponivel'));
     } else {
-      alert('Erro ao gerar relatório. Verifique o console para mais detalhes.\n\n' +
-            'Erro: ' + err.message);
+      alert(t('alerta.erroRelatorio') + '\n\n' + t('alerta.erro', { mensagem: err.message }));
     }
   }
 }
 
 // -------- Árvore --------
-const TREE_STRUCTURE = {
-  root: { label: 'seu problema', color: '#000' },
-  branches: {
-    'I': { 
-      label: 'Soluções prontas',
-      children: {
-        '1': { label: '1', solutions: ['I.1', 'I.2', 'I.3'] }
-      }
-    },
-    'II': { 
-      label: 'IA por API',
-      children: {
-        '1': { 
-          label: 'sem anonimização',
-          solutions: ['II.1.a', 'II.1.b']
-        },
-        '2': { 
-          label: 'com anonimização',
-          solutions: ['II.2.a', 'II.2.b']
-        }
-      }
-    },
-    'III': { 
-      label: 'IA própria',
-      children: {
-        '1': { 
-          label: 'sem engenharia reversa',
-          solutions: ['III.1a', 'III.1.b']
-        },
-        '2': { 
-          label: 'com engenharia reversa',
-          solutions: ['III.2.a', 'III.2.b', 'III.2.c']
-        }
-      }
-    }
-  }
-};
-
-// Função para converter romano para inteiro (necessária para ordenação)
-function romanToInt(r){
-  const map={I:1,V:5,X:10,L:50,C:100,D:500,M:1000}; 
-  let n=0, prev=0;
-  for(const ch of r.split('').reverse()){ 
-    const v=map[ch]||0; 
-    if(v<prev) n-=v; 
-    else n+=v, prev=v; 
-  }
-  return n;
-}
-
-// parseCoord já existe acima, não duplicar
+// romanToInt e parseCoord já existem acima, não duplicar
 
 // Função para comparar coordenadas
 function compareCoords(a,b){
@@ -1177,11 +1815,17 @@ function buildTree(items){
   return tree;
 }
 
+// Ramo com o nome dado pelo projeto, quando houver ("II.1 — sem anonimização")
+function branchHtml(coord){
+  const label = branchLabel(coord);
+  return `<span class="branch">${coord}${label ? ` — ${label}` : ''}</span>`;
+}
+
 function renderTree(tree, decimals){
   const host = document.getElementById('tree');
   if(!host){ return; }
   if(!tree || tree.size === 0){ 
-    host.innerHTML='<em>Nenhuma solução mapeada.</em>'; 
+    host.innerHTML=`<em>${t('arvore.vazia')}</em>`; 
     return; 
   }
 
@@ -1194,56 +1838,36 @@ function renderTree(tree, decimals){
       const leaves = secs.get(sec);
       const leafHtml = leaves.map(l => {
         const coordStr = l.coordStr || '';
-        const nota = l.nota ? l.nota.toFixed(decimals || 2) : 'N/A';
-        const margemErro = l.margemErro ? l.margemErro.toFixed(decimals || 2) : 'N/A';
+        const nota = l.nota ? formatNumber(l.nota, decimals || 2) : 'N/A';
+        const margemErro = l.margemErro ? formatNumber(l.margemErro, decimals || 2) : 'N/A';
         
-        // Aplica cores baseadas na coordenada
-        let colorClass = '';
-        let colorStyle = '';
-        if(coordStr) {
-          if(/^I\.(1|2|3)$/.test(coordStr)) {
-            colorStyle = 'color: #ff4444;';
-          } else if(/^II\.(2|2\.a|3|2\.b)$/.test(coordStr) || coordStr === 'II.2' || coordStr === 'II.3') {
-            colorStyle = 'color: #4299e1;';
-          } else if(/^III\.1a$/.test(coordStr) || coordStr === 'III.1a') {
-            colorStyle = 'color: #4299e1;';
-          } else if(/^III\.1\.b$/.test(coordStr) || coordStr === 'III.1.b') {
-            colorStyle = 'color: #ff8c00;';
-          } else if(/^III\.2\.(a|b)$/.test(coordStr)) {
-            colorStyle = 'color: #ff8c00;';
-          } else if(/^III\.2\.c$/.test(coordStr)) {
-            colorStyle = 'color: #4299e1;';
-          }
-        }
+        // Cor da folha pela legenda do projeto
+        const cor = leafColor(coordStr);
+        const colorStyle = cor ? `color: ${cor};` : '';
         
-        return `<li><span class="leaf" style="${colorStyle}"><a href="#" onclick="event.preventDefault(); showSolutionModal('${l.nome.replace(/'/g, "\\'")}', '${coordStr}'); return false;">${l.nome}</a> ${coordStr ? `(${coordStr})` : ''}</span> <span class="score">(Nota=${nota}, σ=${margemErro})</span></li>`;
+        return `<li${l.exclusionReasons?.length ? ' class="excluded-leaf"' : ''}><span class="leaf" style="${colorStyle}"><a href="${solutionHref(l)}">${escapeHtml(l.nome)}</a> ${coordStr ? `(${escapeHtml(coordStr)})` : ''}</span> <span class="score">(${t('tabela.nota')}=${nota}, σ=${margemErro})</span> ${paretoBadge(l)}${missingBadge(l)}${exclusionBadge(l)}</li>`;
       }).join('');
-      return `<li><span class="branch">${pri}.${sec}</span><ul>${leafHtml}</ul></li>`;
+      return `<li>${branchHtml(`${pri}.${sec}`)}<ul>${leafHtml}</ul></li>`;
     }).join('');
-    return `<li><span class="branch">${pri}</span><ul>${secHtml}</ul></li>`;
+    return `<li>${branchHtml(pri)}<ul>${secHtml}</ul></li>`;
   }).join('');
 
   host.innerHTML = `<ul>${html}</ul>`;
   
-  // Adicionar legenda
+  // Legenda do projeto (cores das folhas); projeto sem legenda não mostra o quadro
+  const entries = treeLegend();
+  if(!entries.length) return;
   const legend = document.createElement('div');
   legend.className = 'tree-legend';
   legend.style.cssText = 'margin-top: 20px; padding: 15px; background: #1a1a1a; border-radius: 8px; border: 1px solid #333; color: #cfcfcf; font-size: 13px;';
   
   legend.innerHTML = `
-    <div style="margin-bottom: 10px; font-weight: bold;">Legenda:</div>
-    <div style="display: flex; align-items: center; margin-bottom: 8px;">
-      <div style="width: 20px; height: 20px; background: #ff4444; border-radius: 3px; margin-right: 10px; border: 1px solid #555;"></div>
-      <span>confia? essas empresas terão dados da SEG</span>
-    </div>
+    <div style="margin-bottom: 10px; font-weight: bold;">${t('grafico.legenda')}</div>
+    ${entries.map(({ cor, texto }) => `
     <div style="display: flex; align-items: center; margin-bottom: 8px;">
-      <div style="width: 20px; height: 20px; background: #4299e1; border-radius: 3px; margin-right: 10px; border: 1px solid #555;"></div>
-      <span>plataformas com login a partir de qualquer lugar, e em qualquer horário</span>
-    </div>
-    <div style="display: flex; align-items: center; margin-bottom: 8px;">
-      <div style="width: 20px; height: 20px; background: #ff8c00; border-radius: 3px; margin-right: 10px; border: 1px solid #555;"></div>
-      <span>pode demandar instalação de novos terminais</span>
-    </div>
+      <div style="width: 20px; height: 20px; background: ${cor}; border-radius: 3px; margin-right: 10px; border: 1px solid #555;"></div>
+      <span>${texto}</span>
+    </div>`).join('')}
   `;
   
   host.appendChild(legend);
@@ -1256,9 +1880,36 @@ function toggle(el){ el.style.display = (el.style.display==='none' || !el.style.
 
 // -------- Bootstrap --------
 (async () => {
-    const entrada = await initEntrada({ imgSrc: IMG_SRC, vertexToChannel: ['B','R','G'] });
+    // Idioma antes de tudo: textos do HTML, do motor e rótulos dos seletores
+    await initI18n();
+    setTranslator(t, getLocale());
+    applyTranslations();
+    setupLanguageSwitcher(document.getElementById('langSelect'));
+
+    // Projeto do endereço (/p/<id>/): arquivos, rótulos, triângulo e árvore
+    const { project, projetos } = await loadProject();
+    setupProjectSwitcher(document.getElementById('projectSelect'), projetos, project);
+    if(typeof trackingSession !== 'undefined') trackingSession.projectId = project.id;
+    uploadedDataset = loadStoredDataset();
+
+    // Com 3 critérios usa o triângulo; com N critérios, sliders vinculados
+    const CRITERIA = (await loadCriteria()).map(c => ({ ...c, nome: criterionLabel(c, t(`criterio.${c.id}`, {}, c.nome)) }));
+    applyProjectTexts(project, CRITERIA);
+    const useTriangle = CRITERIA.length === 3;
+    if(!useTriangle){
+      document.querySelectorAll('.tri-wrap, .rgb-input, .triangle-only').forEach(el => { el.style.display = 'none'; });
+      const panel = document.getElementById('weightsPanel');
+      if(panel) panel.style.display = '';
+    }
+    const entrada = useTriangle
+      ? await initEntrada({ imgSrc: project.triangulo, vertexToChannel: ['B','R','G'], t, formatNumber })
+      : initPesos({ criterios: CRITERIA, t, formatNumber });
     const CSVS = await loadCSVs();
     await loadSolutionDescriptions();
+    // Painel do esquema: aparece com problemas/migração ou com ?dev=1 (que continua no link)
+    urlState.dev = readUrlState().dev;
+    renderSchemaCheck(schemaReport, urlState.dev);
+    renderIntegrityBanner(integrityReport({ zData: CSVS.z, namesParsed: CSVS.n, descriptions: solutionDescriptions }));
     setupSolutionLinks();
 
     // Configura fechamento do modal
@@ -1271,52 +1922,416 @@ function toggle(el){ el.style.display = (el.style.display==='none' || !el.style.
     modal.addEventListener('click', (e) => {
       if(e.target === modal) modal.close();
     });
+    // Modal fechado sai do link compartilhável
+    modal.addEventListener('close', () => updateUrl({ sol: null, coord: null }));
+  }
+
+  // Seletor do método de agregação
+  const aggSelect = document.getElementById('aggMethod');
+  if(aggSelect){
+    aggSelect.innerHTML = Object.keys(AGGREGATION_METHODS)
+      .map(key => `<option value="${key}"${key === DEFAULT_AGGREGATION ? ' selected' : ''}>${methodLabel(key)}</option>`)
+      .join('');
+  }
+
+  // Estratégia de tiers (Ouro/Prata/Bronze...)
+  const tierSelect = document.getElementById('tierStrategy');
+  if(tierSelect){
+    tierSelect.innerHTML = Object.keys(TIERING_STRATEGIES)
+      .map(key => `<option value="${key}"${key === DEFAULT_TIERING ? ' selected' : ''}>${tieringLabel(key)}</option>`)
+      .join('');
+  }
+
+  // Fonte dos Zscores: CSV pré-calculado ou padronização dos valores brutos no navegador
+  const zSourceSel = document.getElementById('zSource');
+  if(zSourceSel){
+    zSourceSel.innerHTML = `<option value="csv">${t('zscore.fonteCsv')}</option>` + Object.keys(STANDARDIZATION_METHODS)
+      .map(key => `<option value="${key}">${t('zscore.fonteCalculada', { metodo: optionLabel(STANDARDIZATION_METHODS, 'padronizacao', key) })}</option>`).join('');
+  }
+  // Política para Zscores/erros faltantes (aplicada depois do modelo de custo)
+  const missingSel = document.getElementById('missingPolicy');
+  if(missingSel){
+    missingSel.innerHTML = Object.keys(MISSING_POLICIES)
+      .map(key => `<option value="${key}"${key === DEFAULT_MISSING_POLICY ? ' selected' : ''}>${optionLabel(MISSING_POLICIES, 'faltantes.politica', key)}</option>`).join('');
+  }
+  // Modelo de custo plurianual: TCO/VPL repadronizado no lugar do ZCusto
+  const costMetricSel = document.getElementById('costMetric');
+  const costHorizonSel = document.getElementById('costHorizon');
+  const costRateInput = document.getElementById('costRate');
+  const costNote = document.getElementById('costNote');
+  if(costMetricSel){
+    costMetricSel.innerHTML = Object.keys(COST_METRICS)
+      .map(key => `<option value="${key}"${key === DEFAULT_COST_MODEL.metrica ? ' selected' : ''}>${optionLabel(COST_METRICS, 'custo.metrica', key)}</option>`).join('');
+  }
+  if(costHorizonSel){
+    costHorizonSel.innerHTML = Array.from({ length: COST_HORIZON_MAX }, (_, i) => i + 1)
+      .map(n => `<option value="${n}"${n === DEFAULT_COST_MODEL.horizonte ? ' selected' : ''}>${n > 1 ? t('custo.anos', { n }) : t('custo.ano', { n })}</option>`).join('');
+  }
+  if(costRateInput) costRateInput.value = DEFAULT_COST_MODEL.taxa * 100;
+  const readCostModel = () => {
+    const taxa = parseFloat(String(costRateInput?.value ?? '').replace(',', '.'));
+    return {
+      metrica: costMetricSel?.value || DEFAULT_COST_MODEL.metrica,
+      horizonte: parseInt(costHorizonSel?.value, 10) || DEFAULT_COST_MODEL.horizonte,
+      taxa: Number.isFinite(taxa) ? taxa / 100 : DEFAULT_COST_MODEL.taxa
+    };
+  };
+  const syncCostControls = () => {
+    costModel = readCostModel();
+    if(costRateInput) costRateInput.disabled = costModel.metrica !== 'vpl';
+  };
+  syncCostControls();
+
+  const getZData = () => {
+    const src = zSourceSel?.value || 'csv';
+    let zData = CSVS.z;
+    if(src === 'csv'){
+      renderZScoreCheck(null);
+    } else {
+      zData = standardizeRaw(CSVS.n, CRITERIA, { method: src });
+      renderZScoreCheck(compareZScores(zData, CSVS.z, CRITERIA), src, CSVS.n);
+    }
+    syncCostControls();
+    zData = applyCostModel(zData, CSVS.n, solutionDescriptions?.itens, costModel, {
+      criteria: CRITERIA, method: src === 'csv' ? 'wmedian' : src
+    });
+    // Sem capex/opex: o custo dessas soluções segue a política de dados faltantes
+    const semDados = zData.costModel?.semDados || [];
+    if(costNote){
+      costNote.hidden = !semDados.length;
+      costNote.textContent = semDados.length ? t('custo.semDados', { lista: semDados.join(', ') }) : '';
+    }
+    return applyMissingPolicy(zData, missingSel?.value || DEFAULT_MISSING_POLICY, { criteria: CRITERIA });
+  };
+
+  // Restrições rígidas (campos vazios = sem limite)
+  const readConstraints = () => {
+    const num = id => {
+      const v = parseFloat(String(document.getElementById(id)?.value ?? '').replace(',', '.'));
+      return Number.isFinite(v) ? v : null;
+    };
+    return {
+      precoMax: num('maxPreco'),
+      prazoMax: num('maxPrazo'),
+      dadosInternos: !!document.getElementById('dadosInternos')?.checked
+    };
+  };
+
+  // Curvas de utilidade por critério (aplicadas antes da agregação)
+  let updateRegions = null;
+  const utilityEditor = initUtilityEditor(document.getElementById('utilityRows'), CRITERIA, () => updateRegions?.());
+
+  // Overlay de regiões de vencedor no triângulo
+  if(useTriangle){
+    try {
+      updateRegions = () => {
+        try {
+          const { zData } = applyConstraints(getZData(), CSVS.n, readConstraints());
+          const labels = enrichWithNames(zRowRefs(zData), CSVS.n)
+            .map(it => it.coordStr ? `${it.nome} (${it.coordStr})` : it.nome);
+          entrada.setWinnerRegions({ winnerAt: rankingWinnerFn(zData, aggSelect?.value, CRITERIA, utilityEditor.getUtilities()), labels });
+        } catch(err) {
+          console.warn('Regiões de vencedor indisponíveis:', err.message || err);
+        }
+      };
+      updateRegions();
+      aggSelect?.addEventListener('change', updateRegions);
+      zSourceSel?.addEventListener('change', updateRegions);
+      missingSel?.addEventListener('change', updateRegions);
+      ['maxPreco', 'maxPrazo', 'dadosInternos'].forEach(id => document.getElementById(id)?.addEventListener('change', updateRegions));
+      [costMetricSel, costHorizonSel, costRateInput].forEach(el => el?.addEventListener('change', updateRegions));
+    } catch(err) {
+      console.warn('Regiões de vencedor indisponíveis:', err.message || err);
+    }
+  }
+  [costMetricSel, costHorizonSel, costRateInput].forEach(el => el?.addEventListener('change', syncCostControls));
+  const regionsToggle = document.getElementById('regionsToggle');
+  if(regionsToggle && useTriangle){
+    regionsToggle.addEventListener('change', () => entrada.toggleWinnerRegions(regionsToggle.checked));
+  }
+
+  // Decisão em grupo: cada participante registra seus pesos; o grupo combina
+  const groupParticipants = [];
+  const participantList = document.getElementById('participantList');
+  const groupMethodSel = document.getElementById('groupMethod');
+  if(groupMethodSel){
+    groupMethodSel.innerHTML = Object.keys(GROUP_METHODS)
+      .map(key => `<option value="${key}"${key === DEFAULT_GROUP_METHOD ? ' selected' : ''}>${optionLabel(GROUP_METHODS, 'grupo.metodo', key)}</option>`)
+      .join('');
+  }
+  const refreshParticipants = () => {
+    renderParticipants(participantList, groupParticipants, i => {
+      groupParticipants.splice(i, 1);
+      refreshParticipants();
+    });
+    if(useTriangle){
+      entrada.setParticipants(groupParticipants.map(p => ({
+        label: p.nome, color: p.color, rgb: { r: p.weights[0], g: p.weights[1], b: p.weights[2] }
+      })));
+    }
+  };
+  refreshParticipants();
+  document.getElementById('participantAdd')?.addEventListener('click', () => {
+    const nameInput = document.getElementById('participantName');
+    const nome = nameInput?.value.trim() || t('grupo.participantePadrao', { n: groupParticipants.length + 1 });
+    const weights = toWeightVector(useTriangle ? entrada.getRGB() : entrada.getWeights());
+    groupParticipants.push({ nome, weights, criteria: CRITERIA, color: PARTICIPANT_COLORS[groupParticipants.length % PARTICIPANT_COLORS.length] });
+    if(nameInput) nameInput.value = '';
+    refreshParticipants();
+  });
+  document.getElementById('groupRun')?.addEventListener('click', () => {
+    if(groupParticipants.length < 2){
+      alert(t('alerta.minParticipantes'));
+      return;
+    }
+    try{
+      const { zData, excluded } = applyConstraints(getZData(), CSVS.n, readConstraints());
+      const result = groupRanking(zData, CSVS.n, groupParticipants, {
+        combine: groupMethodSel?.value || DEFAULT_GROUP_METHOD,
+        method: aggSelect?.value || DEFAULT_AGGREGATION,
+        criteria: CRITERIA,
+        utilities: utilityEditor.getUtilities()
+      });
+      renderGroupResult(result, groupParticipants, CRITERIA, excluded);
+    }catch(err){
+      console.error(err); alert(err.message || t('alerta.erroGrupo'));
+    }
+  });
+
+  // Cenários nomeados: salva o ranking confirmado e compara 2 ou 3 lado a lado
+  let scenarios = loadScenarios();
+  let comparedIds = [];
+  const scenarioList = document.getElementById('scenarioList');
+  const scenarioSync = document.getElementById('scenarioSync');
+  const compared = () => comparedIds.map(id => scenarios.find(s => s.id === id)).filter(Boolean);
+  const refreshScenarios = () => {
+    comparedIds = comparedIds.filter(id => scenarios.some(s => s.id === id));
+    renderScenarioList(scenarioList, scenarios, comparedIds, {
+      onToggle: (id, checked) => {
+        comparedIds = comparedIds.filter(x => x !== id);
+        if(checked) comparedIds.push(id);
+        // a base é o primeiro marcado; passando do limite, sai o mais antigo
+        if(comparedIds.length > MAX_COMPARED) comparedIds.shift();
+        refreshScenarios();
+      },
+      onRemove: id => {
+        scenarios = scenarios.filter(s => s.id !== id);
+        storeScenarios(scenarios);
+        if(scenarioSync?.checked) deleteRemoteScenario(id);
+        refreshScenarios();
+      }
+    });
+    renderScenarioComparison(compared());
+  };
+  const pullScenarios = async () => {
+    const remote = await fetchRemoteScenarios();
+    if(!remote) return;
+    scenarios = mergeScenarios(scenarios, remote);
+    storeScenarios(scenarios);
+    refreshScenarios();
+  };
+  refreshScenarios();
+  if(scenarioSync){
+    scenarioSync.checked = localStorage.getItem(SCENARIOS_SYNC_KEY) === '1';
+    scenarioSync.addEventListener('change', () => {
+      localStorage.setItem(SCENARIOS_SYNC_KEY, scenarioSync.checked ? '1' : '0');
+      if(scenarioSync.checked){
+        scenarios.forEach(pushScenario);
+        pullScenarios();
+      }
+    });
+    if(scenarioSync.checked) pullScenarios();
   }
+  document.getElementById('scenarioSave')?.addEventListener('click', () => {
+    if(!currentRankingData || !currentPriorities){
+      alert(t('alerta.confirmeAntesCenario'));
+      return;
+    }
+    const nameInput = document.getElementById('scenarioName');
+    const nome = nameInput?.value.trim() || t('cenario.nomePadrao', { n: scenarios.length + 1 });
+    const scenario = scenarioSnapshot(nome, {
+      items: currentRankingData.items,
+      excluded: currentRankingData.excluded,
+      decimals: currentRankingData.decimals,
+      weights: currentPriorities.weights,
+      criteria: currentPriorities.criteria,
+      method: currentRankingData.method,
+      tiering: currentRankingData.tiering,
+      utilities: currentPriorities.utilities,
+      constraints: currentRankingData.constraints
+    });
+    scenarios.push(scenario);
+    storeScenarios(scenarios);
+    if(scenarioSync?.checked) pushScenario(scenario);
+    if(nameInput) nameInput.value = '';
+    refreshScenarios();
+  });
+  document.getElementById('scenarioExportPdf')?.addEventListener('click', () => {
+    if(compared().length < 2){ alert(t('alerta.selecioneCenarios')); return; }
+    exportComparisonReport(compared());
+  });
+  document.getElementById('scenarioExportCsv')?.addEventListener('click', () => {
+    const selected = compared();
+    if(selected.length < 2){ alert(t('alerta.selecioneCenarios')); return; }
+    const csv = comparisonCSV(selected, compareScenarios(selected));
+    downloadBlob(new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' }), `Tribussula_comparacao_${selected.map(s => s.nome).join('_vs_').replace(/[^\w.-]+/g, '-')}.csv`);
+  });
+
+  // Conjunto de dados: arquivos soltos (ou .zip) validados antes de substituir os de data/
+  const datasetDrop = document.getElementById('datasetDrop');
+  const datasetInput = document.getElementById('datasetInput');
+  const datasetApply = document.getElementById('datasetApply');
+  const datasetReset = document.getElementById('datasetReset');
+  const datasetStatus = document.getElementById('datasetStatus');
+  let pendingDataset = null;
+  if(datasetStatus && uploadedDataset){
+    datasetStatus.textContent = t('dados.emUso', {
+      arquivos: Object.values(uploadedDataset.arquivos || {}).join(', '),
+      data: new Date(uploadedDataset.enviadoEm).toLocaleString(getLocale())
+    });
+  }
+  if(datasetReset) datasetReset.style.display = uploadedDataset ? '' : 'none';
+  const inspectDataset = async files => {
+    try {
+      const incoming = await readDatasetFiles(files, CRITERIA);
+      const report = validateUpload(incoming, { z: CSVS.z, n: CSVS.n, descriptions: solutionDescriptions }, CRITERIA);
+      // Partes já enviadas antes continuam valendo se não vierem de novo
+      const merged = { arquivos: { ...(uploadedDataset?.arquivos || {}), ...incoming.arquivos }, ignorados: incoming.ignorados };
+      DATASET_PARTS.forEach(part => {
+        const text = incoming[part] ?? uploadedDataset?.[part];
+        if(text != null) merged[part] = text;
+      });
+      pendingDataset = report.ok && DATASET_PARTS.some(part => incoming[part] != null) ? merged : null;
+      renderDatasetReport(document.getElementById('datasetReport'), report, { ...merged, arquivos: incoming.arquivos });
+      if(datasetApply) datasetApply.disabled = !pendingDataset;
+    } catch(err) {
+      console.error('Erro ao ler o conjunto de dados:', err);
+      alert(t('alerta.erroLeituraDados', { mensagem: err.message }));
+    }
+  };
+  if(datasetDrop){
+    datasetDrop.addEventListener('click', () => datasetInput?.click());
+    datasetDrop.addEventListener('dragover', e => { e.preventDefault(); datasetDrop.classList.add('dragging'); });
+    datasetDrop.addEventListener('dragleave', () => datasetDrop.classList.remove('dragging'));
+    datasetDrop.addEventListener('drop', e => {
+      e.preventDefault();
+      datasetDrop.classList.remove('dragging');
+      if(e.dataTransfer?.files?.length) inspectDataset(e.dataTransfer.files);
+    });
+  }
+  datasetInput?.addEventListener('change', () => {
+    if(datasetInput.files.length) inspectDataset(datasetInput.files);
+    datasetInput.value = '';
+  });
+  // Recarrega a página: os dados entram no lugar dos de data/ e o estado segue na URL
+  datasetApply?.addEventListener('click', () => {
+    if(!pendingDataset) return;
+    try {
+      storeDataset(pendingDataset);
+    } catch(err) {
+      console.error('Conjunto de dados não salvo:', err);
+      alert(t('alerta.dadosNaoSalvos', { mensagem: err.message }));
+      return;
+    }
+    window.location.reload();
+  });
+  datasetReset?.addEventListener('click', () => {
+    clearStoredDataset();
+    window.location.reload();
+  });
 
   // Botões de navegação
   const btnRanking = document.getElementById('btnRanking');
   const btnTree = document.getElementById('btnTree');
   const rankingSection = document.getElementById('rankingSection');
   const treeSection = document.getElementById('treeSection');
+  const visible = el => el && el.style.display !== 'none' && !!el.style.display;
+  const currentSection = () => visible(rankingSection) ? (visible(treeSection) ? 'arvore' : 'ranking') : 'podio';
 
-  entrada.onConfirm(({r,g,b})=>{
+  entrada.onConfirm((weights)=>{
     try{
-      // ranking - retorna {items, decimals}
-      const rankingResult = computeRanking(CSVS.z, {r,g,b});
-      const rows = rankingResult.items;
-      const numDecimals = rankingResult.decimals;
-      rows.sort((a,b)=> b.Zranking - a.Zranking);
-
-      // enriquece com nomes/coords
-      const items = enrichWithNames(rows, CSVS.n);
+      // pesos na ordem dos critérios ({r,g,b} do triângulo vira [r,g,b])
+      const w = toWeightVector(weights);
+
+      // Restrições rígidas antes do ranking: as excluídas não entram no escore,
+      // no Pareto, no Monte Carlo nem no clustering
+      const constraints = readConstraints();
+      const { zData, excluded: constraintExcluded } = applyConstraints(getZData(), CSVS.n, constraints);
+
+      // ranking (motor em engine/index.js): escore, ordenação, nomes/coords e Pareto
+      const method = aggSelect?.value || DEFAULT_AGGREGATION;
+      const utilities = utilityEditor.getUtilities();
+      const paretoSigma = document.getElementById('paretoSigma');
+      const mcToggle = document.getElementById('mcToggle');
+      tieringStrategy = tierSelect?.value || DEFAULT_TIERING;
+
+      // Estado no link compartilhável (antes de renderizar: os links de solução usam os pesos atuais)
+      updateUrl({
+        pesos: w, metodo: method, tiers: tieringStrategy, zscores: zSourceSel?.value, faltantes: missingSel?.value,
+        mc: !!mcToggle?.checked, pareto: !!paretoSigma?.checked,
+        custo: isCostModelActive(costModel) ? costModel : null,
+        restricoes: hasActiveConstraints(constraints) ? constraints : null,
+        utilidades: utilityEditor.getChanged()
+      });
+
+      const { items: eligible, excluded: missingExcluded, decimals: numDecimals } = rankSolutions(zData, CSVS.n, w, {
+        method, criteria: CRITERIA, utilities, paretoUncertainty: !!paretoSigma?.checked
+      });
+      const excluded = [...missingExcluded, ...constraintExcluded];
+
+      // Simulação Monte Carlo (opcional): probabilidade de cada posição,
+      // disputada só entre as elegíveis (sem as excluídas por dados faltantes)
+      if(mcToggle?.checked){
+        const mc = simulateRankProbabilities(zData, w, { method, criteria: CRITERIA, utilities, rows: eligible.map(item => item.idx) });
+        eligible.forEach(item => { item.mc = mc[item.idx]; });
+      }
       
-      // Aplica clustering aos itens
-      const clusteredItems = smartCluster(items);
+      // Aplica clustering aos itens e mede a estabilidade dos tiers
+      const referenceTiers = smartCluster(eligible, tieringStrategy);
+      const stability = tierStability(referenceTiers, { cluster: items => smartCluster(items, tieringStrategy) });
+      const clusteredItems = attachTierStability(referenceTiers, stability);
 
       // PÓDIO por cluster
       renderPodiumClusters(clusteredItems, numDecimals);
 
+      // Robustez: quanto os pesos precisam mudar para inverter posições
+      const order = [...clusteredItems].sort((a,b) => b.Zranking - a.Zranking).map(it => it.idx);
+      const robustness = rankReversalAnalysis(zData, w, order, { method, criteria: CRITERIA, utilities });
+      renderRobustness(robustness, clusteredItems);
+
       // Ranking completo (mantém oculto até clicar)
-      renderTable(clusteredItems, numDecimals, {r,g,b});
+      renderTable(clusteredItems, numDecimals, { weights: w, criteria: CRITERIA }, excluded);
+
+      // Matriz de dominância entre pares e coatribuição de tiers
+      renderDominanceMatrix(eligible);
+      renderCoassignmentMatrix(clusteredItems, stability);
 
       // Salva dados para geração de relatório
       currentRankingData = {
         items: clusteredItems,
-        decimals: numDecimals
+        decimals: numDecimals,
+        method,
+        excluded,
+        constraints,
+        missingPolicy: zData.missingPolicy || missingSel?.value || DEFAULT_MISSING_POLICY,
+        robustness,
+        stability,
+        tiering: tieringStrategy,
+        costModel: { ...costModel }
       };
-      currentPriorities = {r, g, b};
+      currentPriorities = { weights: w, criteria: CRITERIA, utilities: structuredClone(utilities) };
 
       // Árvore (mantém oculta até clicar)
-      const tree = buildTree(items);
+      const tree = buildTree([...eligible, ...excluded]);
       renderTree(tree, numDecimals);
 
       // listeners (uma vez só)
       if(!btnRanking.dataset.bound){
-        btnRanking.addEventListener('click', ()=> toggle(rankingSection));
+        btnRanking.addEventListener('click', ()=> { toggle(rankingSection); updateUrl({ secao: currentSection() }); });
         btnRanking.dataset.bound = '1';
       }
       if(!btnTree.dataset.bound){
-        btnTree.addEventListener('click', ()=> toggle(treeSection));
+        btnTree.addEventListener('click', ()=> { toggle(treeSection); updateUrl({ secao: currentSection() }); });
         btnTree.dataset.bound = '1';
       }
 
@@ -1329,7 +2344,7 @@ function toggle(el){ el.style.display = (el.style.display==='none' || !el.style.
       if(btnGenerateReport && !btnGenerateReport.dataset.bound){
         btnGenerateReport.addEventListener('click', () => {
           if(!currentRankingData || !currentPriorities){
-            alert('Por favor, confirme as prioridades primeiro para gerar o relatório.');
+            alert(t('alerta.confirmeAntesRelatorio'));
             return;
           }
           reportConfirmDlg.showModal();
@@ -1351,9 +2366,62 @@ function toggle(el){ el.style.display = (el.style.display==='none' || !el.style.
         btnGenerateReport.dataset.bound = '1';
       }
 
-      console.log('(r,g,b) puros ->', r.toFixed(6), g.toFixed(6), b.toFixed(6));
+      console.log('pesos puros ->', w.map(v => v.toFixed(6)).join(' '));
     }catch(err){
-      console.error(err); alert(err.message || 'Erro ao processar CSV.');
+      console.error(err); alert(err.message || t('alerta.erroCsv'));
+    }
+  });
+
+  // Copia o link da visão atual (pesos, opções, seção e modal)
+  document.getElementById('btnShareLink')?.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      alert(t('alerta.linkCopiado'));
+    } catch(err) {
+      window.prompt(t('alerta.copieLink'), window.location.href);
     }
   });
+
+  // Link compartilhado: restaura pesos e opções, recalcula e reabre a seção/modal
+  const shared = readUrlState();
+  const selectIf = (sel, value) => {
+    if(sel && value && [...sel.options].some(o => o.value === value)) sel.value = value;
+  };
+  if(shared.pesos?.length === CRITERIA.length){
+    entrada.setWeights(shared.pesos);
+    selectIf(aggSelect, shared.metodo);
+    selectIf(tierSelect, shared.tiers);
+    selectIf(zSourceSel, shared.zscores);
+    selectIf(missingSel, shared.faltantes);
+    const mcToggle = document.getElementById('mcToggle');
+    const paretoSigma = document.getElementById('paretoSigma');
+    if(mcToggle) mcToggle.checked = shared.mc;
+    if(paretoSigma) paretoSigma.checked = shared.pareto;
+    if(shared.custo){
+      selectIf(costMetricSel, shared.custo.metrica);
+      selectIf(costHorizonSel, String(shared.custo.horizonte));
+      if(costRateInput) costRateInput.value = parseFloat((shared.custo.taxa * 100).toFixed(2));
+      syncCostControls();
+    }
+    if(shared.restricoes){
+      const setValue = (id, v) => { const el = document.getElementById(id); if(el && Number.isFinite(v)) el.value = v; };
+      setValue('maxPreco', shared.restricoes.precoMax);
+      setValue('maxPrazo', shared.restricoes.prazoMax);
+      const internos = document.getElementById('dadosInternos');
+      if(internos) internos.checked = shared.restricoes.dadosInternos;
+    }
+    utilityEditor.setUtilities(shared.utilidades);
+    updateRegions?.();
+    entrada.confirm();
+    if(shared.secao === 'ranking' || shared.secao === 'arvore') show(rankingSection);
+    if(shared.secao === 'arvore') show(treeSection);
+    updateUrl({ secao: currentSection() });
+    (shared.secao === 'arvore' ? treeSection : shared.secao === 'ranking' ? rankingSection : null)?.scrollIntoView({ behavior: 'smooth' });
+  } else if(shared.pesos){
+    console.warn(`Link com ${shared.pesos.length} pesos, mas há ${CRITERIA.length} critérios; pesos ignorados.`);
+  }
+  if(shared.sol || shared.coord){
+    showSolutionModal(shared.sol || '', shared.coord || '');
+    updateUrl({ sol: shared.sol, coord: shared.coord });
+  }
 })();
@@ -4,7 +4,7 @@ Simple Flask Backend for Noetika Tracking System
 This receives and stores user tracking data to CSV files
 """
 
-from flask import Flask, request, jsonify, send_from_directory
+from flask import Flask, request, jsonify, send_from_directory, redirect
 from flask_cors import CORS
 import csv
 import requests
@@ -15,6 +15,7 @@ from dotenv import load_dotenv
 # Carrega variáveis de ambiente do arquivo .env (se existir)
 load_dotenv()
 import hashlib
+import threading
 import base64
 import smtplib
 from email.mime.multipart import MIMEMultipart
@@ -24,6 +25,7 @@ from email import encoders
 from datetime import datetime
 from pathlib import Path
 from io import BytesIO
+from xml.sax.saxutils import escape
 from reportlab.lib.pagesizes import letter, A4
 from reportlab.lib.units import inch
 from reportlab.lib import colors
@@ -45,6 +47,33 @@ SESSIONS_CSV = DATA_DIR / 'sessions.csv'
 EVENTS_CSV = DATA_DIR / 'events.csv'
 REPORTS_CSV = DATA_DIR / 'reports.csv'
 
+# Cenários nomeados sincronizados pelo dashboard
+SCENARIOS_JSON = DATA_DIR / 'scenarios.json'
+# Serializa o ler-alterar-gravar de scenarios.json entre requisições simultâneas
+SCENARIOS_LOCK = threading.Lock()
+
+# Projetos de decisão (mesmo manifesto lido pelo dashboard e pelo server.js)
+PROJECTS_JSON = Path('projects.json')
+FALLBACK_PROJECT_ID = 'seg'
+
+# -------- Projetos --------
+def load_projects():
+    """Return (ids, default id) from projects.json"""
+    try:
+        with open(PROJECTS_JSON, 'r', encoding='utf-8') as f:
+            manifest = json.load(f)
+        ids = [p['id'] for p in manifest.get('projetos', []) if p.get('id')]
+        padrao = manifest.get('padrao') if manifest.get('padrao') in ids else (ids[0] if ids else FALLBACK_PROJECT_ID)
+        return ids, padrao
+    except Exception as e:
+        print(f"⚠️ {PROJECTS_JSON} ilegível: {e}")
+        return [], FALLBACK_PROJECT_ID
+
+def resolve_project_id(project_id):
+    """Known project id as sent by the dashboard; empty or unknown -> default project"""
+    ids, padrao = load_projects()
+    return project_id if project_id in ids else padrao
+
 # Health check endpoint
 @app.route('/api/health', methods=['GET'])
 def health_check():
@@ -63,24 +92,41 @@ def init_csv_files():
             writer.writerow([
                 'session_id', 'start_time', 'user_agent', 'screen_resolution',
                 'language', 'referrer', 'ip', 'city', 'region', 'country',
-                'country_code', 'latitude', 'longitude', 'timezone'
+                'country_code', 'latitude', 'longitude', 'timezone', 'project_id'
             ])
     
     if not EVENTS_CSV.exists():
         with open(EVENTS_CSV, 'w', newline='', encoding='utf-8') as f:
             writer = csv.writer(f)
             writer.writerow([
-                'session_id', 'event_type', 'timestamp', 'page', 'event_data'
+                'session_id', 'event_type', 'timestamp', 'page', 'event_data', 'project_id'
             ])
     
     if not REPORTS_CSV.exists():
         with open(REPORTS_CSV, 'w', newline='', encoding='utf-8') as f:
             writer = csv.writer(f)
             writer.writerow([
-                'hash', 'session_id', 'generated_at', 'ip', 'city', 'priorities'
+                'hash', 'session_id', 'generated_at', 'ip', 'city', 'priorities', 'project_id'
             ])
 
+# Arquivos de antes dos projetos ganham a coluna project_id; as linhas antigas
+# vêm todas do projeto padrão (o único que existia)
+def add_project_column(path):
+    with open(path, 'r', newline='', encoding='utf-8') as f:
+        rows = list(csv.reader(f))
+    if not rows or 'project_id' in rows[0]:
+        return
+    _, padrao = load_projects()
+    width = len(rows[0])
+    upgraded = [rows[0] + ['project_id']]
+    upgraded += [row + [''] * (width - len(row)) + [padrao] for row in rows[1:] if row]
+    with open(path, 'w', newline='', encoding='utf-8') as f:
+        csv.writer(f).writerows(upgraded)
+    print(f"📁 {path}: coluna project_id adicionada ({len(upgraded) - 1} linhas)")
+
 init_csv_files()
+for csv_path in (SESSIONS_CSV, EVENTS_CSV, REPORTS_CSV):
+    add_project_column(csv_path)
 
 @app.route('/')
 def index():
@@ -92,6 +138,20 @@ def serve_static(path):
     """Serve static files"""
     return send_from_directory('.', path)
 
+# Projeto em /p/<id>/: mesmos arquivos da raiz (como no server.js)
+@app.route('/p/<slug>')
+@app.route('/p/<slug>/')
+@app.route('/p/<slug>/<path:path>')
+def serve_project(slug, path=''):
+    """Serve the dashboard for a project listed in projects.json"""
+    ids, _ = load_projects()
+    if slug not in ids:
+        return jsonify({'status': 'error', 'message': f'Projeto não encontrado: {slug}'}), 404
+    if not request.path.endswith('/') and not path:
+        query = request.query_string.decode()
+        return redirect(f"/p/{slug}/" + (f"?{query}" if query else ''), code=301)
+    return send_from_directory('.', path or 'index.html')
+
 @app.route('/api/get-location', methods=['GET'])
 def get_location():
     """Get user location from IP using backend (avoids CORS issues)"""
@@ -185,6 +245,11 @@ def track_event():
             if client_ip and client_ip not in ['127.0.0.1', '::1', 'localhost']:
                 session['ip'] = client_ip
         
+        # Projeto da sessão (na raiz do site, o padrão); cada evento leva o seu,
+        # pois a mesma sessão pode seguir em outro projeto
+        session_project = resolve_project_id(session.get('projectId'))
+        event_project = resolve_project_id(event.get('projectId') or session.get('projectId'))
+        
         # Save session info (update if exists or if location was updated)
         session_id = session.get('sessionId')
         if session_id:
@@ -228,7 +293,8 @@ def track_event():
                         location.get('country_code', '') if location else '',
                         str(location.get('latitude', '')) if location else '',
                         str(location.get('longitude', '')) if location else '',
-                        location.get('timezone', '') if location else ''
+                        location.get('timezone', '') if location else '',
+                        session_project
                     ])
             elif has_location_data and not session_has_location:
                 # Update existing session with new location data
@@ -274,7 +340,8 @@ def track_event():
                             location.get('country_code', '') if location else '',
                             str(location.get('latitude', '')) if location else '',
                             str(location.get('longitude', '')) if location else '',
-                            location.get('timezone', '') if location else ''
+                            location.get('timezone', '') if location else '',
+                            session_project
                         ])
         
         # Save event
@@ -286,7 +353,8 @@ def track_event():
                     event.get('type', ''),
                     event.get('timestamp', ''),
                     event.get('page', ''),
-                    json.dumps(event.get('data', {}))
+                    json.dumps(event.get('data', {})),
+                    event_project
                 ])
         
         return jsonify({'status': 'success'}), 200
@@ -355,6 +423,179 @@ def get_stats():
     except Exception as e:
         return jsonify({'status': 'error', 'message': str(e)}), 500
 
+# -------- Cenários nomeados (sincronização opcional do localStorage) --------
+def load_scenarios():
+    if not SCENARIOS_JSON.exists():
+        return []
+    with open(SCENARIOS_JSON, 'r', encoding='utf-8') as f:
+        return json.load(f)
+
+def save_scenarios(scenarios):
+    # Grava num temporário e troca de uma vez: o arquivo nunca fica pela metade
+    tmp = SCENARIOS_JSON.with_name(SCENARIOS_JSON.name + '.tmp')
+    with open(tmp, 'w', encoding='utf-8') as f:
+        json.dump(scenarios, f, ensure_ascii=False)
+    os.replace(tmp, SCENARIOS_JSON)
+
+def scenario_project(scenario, ids, padrao):
+    """Project a saved scenario belongs to"""
+    # Cenários de antes dos projetos (sem 'projeto') são do projeto padrão
+    return scenario.get('projeto') if scenario.get('projeto') in ids else padrao
+
+@app.route('/api/scenarios', methods=['GET'])
+def get_scenarios():
+    """List saved scenarios of a project (?projeto=<id>, default project if omitted)"""
+    try:
+        ids, padrao = load_projects()
+        project_id = resolve_project_id(request.args.get('projeto'))
+        return jsonify([s for s in load_scenarios() if scenario_project(s, ids, padrao) == project_id]), 200
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/scenarios', methods=['POST'])
+def upsert_scenario():
+    """Create or replace a scenario by id"""
+    try:
+        scenario = request.json or {}
+        if not scenario.get('id') or not scenario.get('nome'):
+            return jsonify({'status': 'error', 'message': 'Cenário sem id ou nome'}), 400
+        ids, padrao = load_projects()
+        scenario['projeto'] = resolve_project_id(scenario.get('projeto'))
+        with SCENARIOS_LOCK:
+            scenarios = load_scenarios()
+            # Mesmo id em outro projeto não é sobrescrito
+            if any(s.get('id') == scenario['id'] and scenario_project(s, ids, padrao) != scenario['projeto'] for s in scenarios):
+                return jsonify({'status': 'error', 'message': 'Cenário pertence a outro projeto'}), 409
+            scenarios = [s for s in scenarios if s.get('id') != scenario['id']]
+            scenarios.append(scenario)
+            save_scenarios(scenarios)
+        return jsonify({'status': 'success'}), 200
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/scenarios/<scenario_id>', methods=['DELETE'])
+def delete_scenario(scenario_id):
+    """Delete a scenario by id within a project (?projeto=<id>, default project if omitted)"""
+    try:
+        ids, padrao = load_projects()
+        project_id = resolve_project_id(request.args.get('projeto'))
+        with SCENARIOS_LOCK:
+            scenarios = load_scenarios()
+            keep = [s for s in scenarios if not (s.get('id') == scenario_id and scenario_project(s, ids, padrao) == project_id)]
+            if len(keep) == len(scenarios):
+                return jsonify({'status': 'error', 'message': 'Cenário não encontrado neste projeto'}), 404
+            save_scenarios(keep)
+        return jsonify({'status': 'success'}), 200
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/compare-report', methods=['POST'])
+def compare_report():
+    """Generate PDF comparing 2-3 saved scenarios side by side"""
+    try:
+        data = request.json or {}
+        cenarios = data.get('cenarios') or []
+        linhas = data.get('linhas') or []
+        if len(cenarios) < 2:
+            return jsonify({'status': 'error', 'message': 'Selecione ao menos 2 cenários'}), 400
+
+        now = datetime.now()
+        date_str = now.strftime('%d/%m/%Y')
+        time_str = now.strftime('%H:%M:%S')
+
+        buffer = BytesIO()
+        doc = SimpleDocTemplate(buffer, pagesize=A4,
+                               rightMargin=54, leftMargin=54,
+                               topMargin=72, bottomMargin=72)
+        elements = []
+        styles = getSampleStyleSheet()
+        title_style = ParagraphStyle(
+            'CompareTitle',
+            parent=styles['Heading1'],
+            fontSize=22,
+            textColor=colors.HexColor('#000000'),
+            spaceAfter=24,
+            alignment=TA_CENTER
+        )
+        small_style = ParagraphStyle('CompareSmall', parent=styles['Normal'], fontSize=8, leading=10, alignment=TA_CENTER)
+
+        projeto = data.get('projeto') or {}
+        project_name = projeto.get('nome') or resolve_project_id(projeto.get('id'))
+        elements.append(Paragraph("Tribússula — comparação de cenários", title_style))
+        elements.append(Paragraph(f"<b>Projeto:</b> {escape(str(project_name))}", styles['Normal']))
+        elements.append(Paragraph(f"Gerado em {date_str} {time_str}", styles['Normal']))
+        elements.append(Spacer(1, 16))
+
+        # Premissas de cada cenário
+        for i, c in enumerate(cenarios):
+            pesos = ', '.join(f"{p['nome']} {p['peso']:.1f}%" for p in c.get('pesos') or [])
+            base = ' (base)' if i == 0 else ''
+            elements.append(Paragraph(f"<b>{escape(c.get('nome', ''))}{base}</b>: {escape(pesos)}", styles['Normal']))
+            detalhes = f"Método: {c.get('metodo', '')} · Tiers: {c.get('tiers', '')}"
+            if c.get('restricoes'):
+                detalhes += f" · Restrições: {c['restricoes']}"
+            elements.append(Paragraph(escape(detalhes), styles['Normal']))
+            elements.append(Spacer(1, 6))
+        elements.append(Spacer(1, 12))
+        elements.append(Paragraph(
+            "Variações em relação à base (em verde subiu, em vermelho caiu), em posições e em tiers.",
+            styles['Normal']
+        ))
+        elements.append(Spacer(1, 8))
+
+        # Fontes padrão do PDF não têm ▲▼: variação com sinal e cor
+        def seta(delta):
+            if not delta:
+                return ''
+            cor = '#2b8a3e' if delta > 0 else '#c92a2a'
+            return f" <font color='{cor}'>{'+' if delta > 0 else '-'}{abs(delta)}</font>"
+
+        table_data = [['Solução'] + [Paragraph(f"<b>{escape(c.get('nome', ''))}</b>", small_style) for c in cenarios]]
+        for linha in linhas:
+            nome = linha.get('nome', '') + (f" ({linha['coord']})" if linha.get('coord') else '')
+            row = [Paragraph(escape(nome), small_style)]
+            for i, cel in enumerate(linha.get('cenarios') or []):
+                if cel.get('ausente'):
+                    row.append('excluída' if cel.get('excluida') else '—')
+                    continue
+                pos = f"{cel['posicao']}º" + (seta(cel.get('deltaPosicao')) if i else '')
+                tier = f"{cel.get('tier', '')}" + (seta(cel.get('deltaTier')) if i else '')
+                row.append(Paragraph(f"{pos}<br/>{tier}", small_style))
+            table_data.append(row)
+
+        sol_width = 2.2 * inch
+        col_width = (A4[0] - 108 - sol_width) / len(cenarios)
+        compare_table = Table(table_data, colWidths=[sol_width] + [col_width] * len(cenarios), repeatRows=1)
+        compare_table.setStyle(TableStyle([
+            ('BACKGROUND', (0, 0), (-1, 0), colors.grey),
+            ('TEXTCOLOR', (0, 0), (-1, 0), colors.whitesmoke),
+            ('ALIGN', (0, 0), (-1, -1), 'CENTER'),
+            ('VALIGN', (0, 0), (-1, -1), 'MIDDLE'),
+            ('FONTNAME', (0, 0), (-1, 0), 'Helvetica-Bold'),
+            ('FONTSIZE', (0, 0), (-1, -1), 8),
+            ('BACKGROUND', (0, 1), (-1, -1), colors.beige),
+            ('GRID', (0, 0), (-1, -1), 1, colors.black),
+        ]))
+        elements.append(compare_table)
+
+        doc.build(elements)
+        buffer.seek(0)
+
+        from flask import Response
+        return Response(
+            buffer.getvalue(),
+            mimetype='application/pdf',
+            headers={
+                'Content-Disposition': f'attachment; filename=Tribussula_comparacao_{date_str.replace("/", "")}_{time_str.replace(":", "")}.pdf'
+            }
+        )
+
+    except Exception as e:
+        print(f"Erro ao gerar comparação: {e}")
+        import traceback
+        traceback.print_exc()
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
 @app.route('/api/generate-report', methods=['POST'])
 def generate_report():
     """Generate PDF report and send via email"""
@@ -364,6 +605,18 @@ def generate_report():
         podium = data.get('podiumData', data.get('podium', []))  # Dados do podium (Ouro, Prata, Bronze)
         priorities = data.get('priorities', {})
         graph_image_base64 = data.get('graphImage', '')
+        dominance = data.get('dominanceMatrix') or {}
+        metodo = data.get('metodoAgregacao') or {}
+        estrategia_tiers = data.get('estrategiaTiers') or {}
+        curvas = data.get('curvasUtilidade') or []
+        restricoes = data.get('restricoes') or {}
+        dados_faltantes = data.get('dadosFaltantes') or {}
+        robustez = data.get('robustez') or {}
+        coatribuicao = data.get('coatribuicaoTiers') or {}
+        custo_plurianual = data.get('custoPlurianual') or {}
+        projeto = data.get('projeto') or {}
+        project_id = resolve_project_id(projeto.get('id'))
+        project_name = projeto.get('nome') or project_id
         session_id = data.get('sessionId', '')
         
         # Get current date and time
@@ -424,6 +677,10 @@ def generate_report():
         elements.append(Paragraph(f"<b>Hash:</b> {report_hash}", styles['Normal']))
         elements.append(Spacer(1, 6))
         
+        # Projeto de decisão
+        elements.append(Paragraph(f"<b>Projeto:</b> {escape(str(project_name))}", styles['Normal']))
+        elements.append(Spacer(1, 6))
+        
         # IP and City
         elements.append(Paragraph(
             f"Requisitado a partir de: {user_ip}, {user_city}",
@@ -441,21 +698,68 @@ def generate_report():
             g_pct = g_pct * 100
             b_pct = b_pct * 100
         priorities_text = f"Ranking priorizando {r_pct:.1f}% custo, {g_pct:.1f}% qualidade e {b_pct:.1f}% prazo"
+        # N critérios (sem r/g/b): lista genérica de {nome, peso}
+        criterios = priorities.get('criterios') or []
+        if criterios and priorities.get('r') is None:
+            partes = [f"{c.get('peso', 0):.1f}% {str(c.get('nome', '')).lower()}" for c in criterios]
+            priorities_text = "Ranking priorizando " + (", ".join(partes[:-1]) + " e " + partes[-1] if len(partes) > 1 else partes[0])
         elements.append(Paragraph(priorities_text, styles['Normal']))
+        if metodo.get('label'):
+            elements.append(Spacer(1, 6))
+            elements.append(Paragraph(f"Método de agregação: {metodo['label']}", styles['Normal']))
+        if estrategia_tiers.get('label'):
+            elements.append(Paragraph(f"Estratégia de tiers: {estrategia_tiers['label']}", styles['Normal']))
+        if custo_plurianual.get('modelo'):
+            elements.append(Paragraph(f"Critério de custo: {custo_plurianual['modelo']}", styles['Normal']))
+        # Curvas de utilidade aplicadas a cada critério antes da agregação
+        if curvas:
+            elements.append(Paragraph("Curvas de utilidade: " + "; ".join(f"{c['nome']} — {c['curva']}" for c in curvas), styles['Normal']))
+        # Restrições rígidas e soluções excluídas do ranking
+        if restricoes.get('descricao'):
+            elements.append(Spacer(1, 6))
+            elements.append(Paragraph(f"Restrições: {escape(restricoes['descricao'])}", styles['Normal']))
+            for excl in restricoes.get('excluidas') or []:
+                nome = f"{excl.get('name', '')} ({excl['coord']})" if excl.get('coord') else excl.get('name', '')
+                elements.append(Paragraph(f"• Excluída: {escape(nome)} — {escape('; '.join(excl.get('motivos') or []))}", styles['Normal']))
+        # Política de dados faltantes e soluções afetadas por ela
+        if dados_faltantes.get('afetadas'):
+            elements.append(Spacer(1, 6))
+            elements.append(Paragraph(f"Dados faltantes: {dados_faltantes.get('politica', '')}", styles['Normal']))
+            for falt in dados_faltantes['afetadas']:
+                nome = f"{falt.get('name', '')} ({falt['coord']})" if falt.get('coord') else falt.get('name', '')
+                elements.append(Paragraph(f"• {escape(nome)} — {escape(falt.get('descricao', ''))}", styles['Normal']))
         elements.append(Spacer(1, 30))
         
         # Ranking table - Centralizada
-        table_data = [['#', 'Categoria', 'Nome', 'Nota', 'Margem de Erro']]
+        # Colunas de probabilidade só aparecem se a simulação Monte Carlo foi usada
+        has_mc = any('pPrimeiro' in item for item in ranking)
+        table_data = [['#', 'Categoria', 'Nome', 'Nota', 'Margem de Erro'] + (['P(1º)', 'P(top 3)'] if has_mc else [])]
+        small_style = ParagraphStyle('RankingSmall', parent=styles['Normal'], fontSize=8, leading=10, alignment=TA_CENTER)
         for item in ranking:
-            table_data.append([
+            name_cell = item['name'] + (f" ({item['coord']})" if item.get('coord') else '')
+            notas = []
+            if item.get('dominadaPor'):
+                notas.append(f"<font color='#a33'>dominada por {escape(', '.join(item['dominadaPor']))}</font>")
+            if item.get('faltantes'):
+                notas.append(f"<font color='#a60'>{escape(item['faltantes'])}</font>")
+            if notas:
+                # Paragraph para quebrar linha quando a lista de dominantes é longa
+                name_cell = Paragraph(f"{escape(name_cell)}<br/>" + "<br/>".join(notas), small_style)
+            row = [
                 str(item['position']),
                 item.get('categoria', item.get('cluster', 'N/A')),  # Suporta ambos para compatibilidade
-                item['name'] + (f" ({item['coord']})" if item.get('coord') else ''),
+                name_cell,
                 item['nota'],
                 item['margemErro']
-            ])
+            ]
+            if has_mc:
+                row += [item.get('pPrimeiro', ''), item.get('pTop3', '')]
+            table_data.append(row)
         
-        ranking_table = Table(table_data, colWidths=[0.5*inch, 1*inch, 3*inch, 0.8*inch, 1*inch])
+        col_widths = [0.5*inch, 1*inch, 3*inch, 0.8*inch, 1*inch]
+        if has_mc:
+            col_widths = [0.4*inch, 0.9*inch, 2.3*inch, 0.6*inch, 0.9*inch, 0.6*inch, 0.7*inch]
+        ranking_table = Table(table_data, colWidths=col_widths)
         ranking_table.setStyle(TableStyle([
             ('BACKGROUND', (0, 0), (-1, 0), colors.grey),
             ('TEXTCOLOR', (0, 0), (-1, 0), colors.whitesmoke),
@@ -502,6 +806,198 @@ def generate_report():
                 print(f"Erro ao adicionar gráfico ao PDF: {e}")
                 elements.append(Paragraph(f"<i>Gráfico não disponível: {str(e)}</i>", styles['Normal']))
         
+        # Matriz de dominância P(A > B) - nova página
+        dom_labels = dominance.get('labels', [])
+        dom_matrix = dominance.get('matrix', [])
+        if dom_labels and dom_matrix:
+            elements.append(PageBreak())
+            elements.append(Paragraph("Probabilidade de dominância entre pares", heading_style))
+            elements.append(Paragraph(
+                "Cada célula indica P(linha &gt; coluna) em %, a partir da diferença de Zranking e das margens de erro.",
+                styles['Normal']
+            ))
+            elements.append(Spacer(1, 12))
+            
+            dom_data = [[''] + [str(j + 1) for j in range(len(dom_labels))]]
+            for i, label in enumerate(dom_labels):
+                dom_data.append([f"{i + 1}. {label}"] + [
+                    '—' if p is None else f"{p:.0f}" for p in dom_matrix[i]
+                ])
+            
+            cell_width = min(0.45*inch, (6.2*inch - 1.1*inch) / max(len(dom_labels), 1))
+            dom_table = Table(dom_data, colWidths=[1.1*inch] + [cell_width] * len(dom_labels))
+            dom_style = [
+                ('ALIGN', (0, 0), (-1, -1), 'CENTER'),
+                ('ALIGN', (0, 1), (0, -1), 'LEFT'),
+                ('VALIGN', (0, 0), (-1, -1), 'MIDDLE'),
+                ('FONTNAME', (0, 0), (-1, 0), 'Helvetica-Bold'),
+                ('FONTSIZE', (0, 0), (-1, -1), 7),
+                ('GRID', (0, 0), (-1, -1), 0.5, colors.grey),
+            ]
+            # Verde = linha provavelmente melhor, vermelho = provavelmente pior
+            for i, row in enumerate(dom_matrix):
+                for j, p in enumerate(row):
+                    if p is None:
+                        continue
+                    t = p / 100.0
+                    dom_style.append(('BACKGROUND', (j + 1, i + 1), (j + 1, i + 1),
+                                      colors.Color(1 - 0.6 * t, 0.4 + 0.6 * t, 0.5)))
+            dom_table.setStyle(TableStyle(dom_style))
+            elements.append(dom_table)
+        
+        # Coatribuição de tiers (bootstrap) - nova página
+        co_labels = coatribuicao.get('labels', [])
+        co_matrix = coatribuicao.get('matrix', [])
+        if co_labels and co_matrix:
+            elements.append(PageBreak())
+            elements.append(Paragraph("Estabilidade dos tiers", heading_style))
+            elements.append(Paragraph(
+                "Cada célula indica em quantos % dos sorteios (notas perturbadas dentro da margem de erro) "
+                "as duas soluções caíram no mesmo tier. A diagonal mostra quantas vezes a solução manteve o próprio tier.",
+                styles['Normal']
+            ))
+            elements.append(Spacer(1, 12))
+
+            estabilidade = coatribuicao.get('estabilidade') or []
+            co_data = [[''] + [str(j + 1) for j in range(len(co_labels))]]
+            for i, label in enumerate(co_labels):
+                co_data.append([f"{i + 1}. {label}"] + [
+                    f"{(estabilidade[i] if i == j and i < len(estabilidade) else p):.0f}" for j, p in enumerate(co_matrix[i])
+                ])
+
+            cell_width = min(0.45*inch, (6.2*inch - 1.1*inch) / max(len(co_labels), 1))
+            co_table = Table(co_data, colWidths=[1.1*inch] + [cell_width] * len(co_labels))
+            co_style = [
+                ('ALIGN', (0, 0), (-1, -1), 'CENTER'),
+                ('ALIGN', (0, 1), (0, -1), 'LEFT'),
+                ('VALIGN', (0, 0), (-1, -1), 'MIDDLE'),
+                ('FONTNAME', (0, 0), (-1, 0), 'Helvetica-Bold'),
+                ('FONTSIZE', (0, 0), (-1, -1), 7),
+                ('GRID', (0, 0), (-1, -1), 0.5, colors.grey),
+            ]
+            # Azul mais escuro = pares que quase sempre ficam juntos
+            for i, row in enumerate(co_matrix):
+                for j, p in enumerate(row):
+                    t = p / 100.0
+                    co_style.append(('BACKGROUND', (j + 1, i + 1), (j + 1, i + 1),
+                                     colors.Color(1 - 0.6 * t, 1 - 0.4 * t, 1)))
+            co_table.setStyle(TableStyle(co_style))
+            elements.append(co_table)
+
+        # Robustez a inversão de ranking - nova página
+        inversoes = robustez.get('inversoes') or []
+        if inversoes:
+            elements.append(PageBreak())
+            elements.append(Paragraph("Robustez do ranking", heading_style))
+            if robustez.get('frase'):
+                elements.append(Paragraph(escape(robustez['frase']), styles['Normal']))
+            elements.append(Spacer(1, 12))
+
+            fmt_pct = lambda v: '—' if v is None else f"{v:.1f}%"
+            tolerancias = robustez.get('tolerancias') or []
+            if tolerancias:
+                tol_data = [['Critério', 'Peso atual', '1º se mantém de', 'até']]
+                for t in tolerancias:
+                    tol_data.append([t.get('criterio', ''), fmt_pct(t.get('peso')),
+                                     fmt_pct(t.get('min')) if t.get('min') is not None else '0%',
+                                     fmt_pct(t.get('max')) if t.get('max') is not None else '100%'])
+                tol_table = Table(tol_data, colWidths=[2*inch, 1.2*inch, 1.4*inch, 1.2*inch])
+                tol_table.setStyle(TableStyle([
+                    ('BACKGROUND', (0, 0), (-1, 0), colors.grey),
+                    ('TEXTCOLOR', (0, 0), (-1, 0), colors.whitesmoke),
+                    ('ALIGN', (0, 0), (-1, -1), 'CENTER'),
+                    ('FONTNAME', (0, 0), (-1, 0), 'Helvetica-Bold'),
+                    ('FONTSIZE', (0, 0), (-1, -1), 9),
+                    ('BACKGROUND', (0, 1), (-1, -1), colors.beige),
+                    ('GRID', (0, 0), (-1, -1), 1, colors.black),
+                ]))
+                elements.append(tol_table)
+                elements.append(Spacer(1, 16))
+
+            elements.append(Paragraph(
+                "Menor variação dos pesos (distância em pontos percentuais) que empata cada par de posições vizinhas.",
+                styles['Normal']
+            ))
+            elements.append(Spacer(1, 8))
+            small_style = ParagraphStyle('RobustezSmall', parent=styles['Normal'], fontSize=8, leading=10, alignment=TA_CENTER)
+            inv_data = [['Posições', 'Soluções', 'Variação mínima', 'Pesos no empate']]
+            for inv in inversoes:
+                pesos = inv.get('pesos')
+                pesos_txt = ', '.join(f"{p['nome']} {p['peso']:.1f}%" for p in pesos) if pesos else 'não inverte'
+                inv_data.append([
+                    f"{inv['posicao']}º ↔ {inv['posicao'] + 1}º",
+                    Paragraph(f"{escape(str(inv.get('a', '')))} × {escape(str(inv.get('b', '')))}", small_style),
+                    '—' if inv.get('distancia') is None else f"{inv['distancia']:.1f} p.p.",
+                    Paragraph(escape(pesos_txt), small_style)
+                ])
+            inv_table = Table(inv_data, colWidths=[0.9*inch, 1.8*inch, 1.1*inch, 2.4*inch])
+            inv_table.setStyle(TableStyle([
+                ('BACKGROUND', (0, 0), (-1, 0), colors.grey),
+                ('TEXTCOLOR', (0, 0), (-1, 0), colors.whitesmoke),
+                ('ALIGN', (0, 0), (-1, -1), 'CENTER'),
+                ('VALIGN', (0, 0), (-1, -1), 'MIDDLE'),
+                ('FONTNAME', (0, 0), (-1, 0), 'Helvetica-Bold'),
+                ('FONTSIZE', (0, 0), (-1, -1), 8),
+                ('BACKGROUND', (0, 1), (-1, -1), colors.beige),
+                ('GRID', (0, 0), (-1, -1), 1, colors.black),
+            ]))
+            elements.append(inv_table)
+
+        # Custo acumulado (TCO/VPL) das primeiras do ranking - nova página
+        if custo_plurianual.get('grafico'):
+            elements.append(PageBreak())
+            elements.append(Paragraph("Custo ao longo do tempo", heading_style))
+            elements.append(Paragraph(f"Modelo de custo: {custo_plurianual.get('modelo', '')}", styles['Normal']))
+            elements.append(Spacer(1, 12))
+            try:
+                cost_image = custo_plurianual['grafico']
+                if ',' in cost_image:
+                    cost_image = cost_image.split(',')[1]
+                img = PILImage.open(BytesIO(base64.b64decode(cost_image)))
+                if img.mode == 'RGBA':
+                    rgb_img = PILImage.new('RGB', img.size, (255, 255, 255))
+                    rgb_img.paste(img, mask=img.split()[3])
+                    img = rgb_img
+                img_buffer = BytesIO()
+                img.save(img_buffer, format='PNG')
+                img_buffer.seek(0)
+                elements.append(Image(img_buffer, width=6*inch, height=2.8*inch))
+            except Exception as e:
+                print(f"Erro ao adicionar gráfico de custo ao PDF: {e}")
+                elements.append(Paragraph(f"<i>Gráfico de custo não disponível: {str(e)}</i>", styles['Normal']))
+            elements.append(Spacer(1, 12))
+
+            totais = custo_plurianual.get('totais') or []
+            if totais:
+                tot_data = [['Solução', 'Custo no horizonte']]
+                for t in totais:
+                    tot_data.append([f"{t.get('nome', '')} ({t.get('id', '')})", t.get('total', '')])
+                tot_table = Table(tot_data, colWidths=[3.6*inch, 1.8*inch])
+                tot_table.setStyle(TableStyle([
+                    ('BACKGROUND', (0, 0), (-1, 0), colors.grey),
+                    ('TEXTCOLOR', (0, 0), (-1, 0), colors.whitesmoke),
+                    ('ALIGN', (0, 0), (-1, -1), 'CENTER'),
+                    ('FONTNAME', (0, 0), (-1, 0), 'Helvetica-Bold'),
+                    ('FONTSIZE', (0, 0), (-1, -1), 9),
+                    ('BACKGROUND', (0, 1), (-1, -1), colors.beige),
+                    ('GRID', (0, 0), (-1, -1), 1, colors.black),
+                ]))
+                elements.append(tot_table)
+                elements.append(Spacer(1, 12))
+
+            cruzamentos = custo_plurianual.get('cruzamentos') or []
+            if cruzamentos:
+                elements.append(Paragraph("Pontos de equilíbrio (breakeven) entre as soluções:", styles['Normal']))
+                for c in cruzamentos:
+                    mes = f"{c.get('mes', 0):.1f}".replace('.', ',')
+                    elements.append(Paragraph(
+                        f"• {escape(str(c.get('a', '')))} × {escape(str(c.get('b', '')))}: no mês {mes} ({escape(str(c.get('valor', '')))}); "
+                        f"depois, {escape(str(c.get('maisBarata', '')))} fica mais barata",
+                        styles['Normal']
+                    ))
+            else:
+                elements.append(Paragraph("Sem cruzamentos entre as curvas no horizonte.", styles['Normal']))
+
         # Podium section - Ouro, Prata, Bronze (nova página)
         if podium and len(podium) > 0:
             elements.append(PageBreak())
@@ -518,6 +1014,8 @@ def generate_report():
                 
                 # Título da categoria
                 elements.append(Paragraph(f"<b>{categoria}</b>", styles['Heading3']))
+                if podium_item.get('estabilidade'):
+                    elements.append(Paragraph(f"Estabilidade do tier: {podium_item['estabilidade']}", styles['Normal']))
                 elements.append(Spacer(1, 12))
                 
                 # Para cada solução nesta categoria
@@ -643,12 +1141,13 @@ def generate_report():
                 now.isoformat(),
                 user_ip,
                 user_city,
-                json.dumps(priorities)
+                json.dumps(priorities),
+                project_id
             ])
         
         # Send email with PDF
         try:
-            send_email_with_pdf(pdf_data, date_str, time_str, report_hash)
+            send_email_with_pdf(pdf_data, date_str, time_str, report_hash, project_name)
             print(f"✅ Email enviado com sucesso!")
         except Exception as e:
             print(f"❌ Erro ao enviar email: {e}")
@@ -672,7 +1171,7 @@ def generate_report():
         traceback.print_exc()
         return jsonify({'status': 'error', 'message': str(e)}), 500
 
-def send_email_with_pdf(pdf_data, date_str, time_str, report_hash):
+def send_email_with_pdf(pdf_data, date_str, time_str, report_hash, project_name=''):
     """Send PDF report via email"""
     try:
         # Email configuration
@@ -703,6 +1202,7 @@ def send_email_with_pdf(pdf_data, date_str, time_str, report_hash):
 Relatório Tribússola gerado
 
 Hash: {report_hash}
+Projeto: {project_name}
 Data: {date_str}
 Hora: {time_str}
 
@@ -0,0 +1,98 @@
+// -------- Conjunto de dados enviado pelo usuário --------
+// Lê os arquivos soltos na área de upload (CSV de Zscores, CSV de nomes, JSON de
+// descrições, soltos ou num .zip), identifica cada um e guarda o conjunto no
+// localStorage (uma chave por projeto); ao recarregar, o app usa esses textos no
+// lugar dos arquivos do projeto.
+import { parseCSV, headerLike, DEFAULT_CRITERIA } from './engine/index.js';
+import { projectStorageKey } from './projects.js';
+
+const DATASET_KEY = 'noetika_dataset';
+export const DATASET_PARTS = ['zscores', 'nomes', 'descricoes'];
+
+// -------- .zip (sem dependências) --------
+// Diretório central -> cabeçalho local -> dados; métodos 0 (stored) e 8 (deflate)
+async function inflateRaw(bytes){
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export async function readZip(buffer){
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for(let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--){
+    if(view.getUint32(i, true) === 0x06054b50){ eocd = i; break; }
+  }
+  if(eocd < 0) throw new Error('Arquivo .zip inválido (fim do diretório central não encontrado).');
+
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder('utf-8');
+  const entries = [];
+  for(let k = 0; k < count; k++){
+    if(view.getUint32(p, true) !== 0x02014b50) throw new Error('Arquivo .zip inválido (diretório central corrompido).');
+    const method = view.getUint16(p + 10, true);
+    const compressedSize = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    const localOffset = view.getUint32(p + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, p + 46, nameLen));
+    p += 46 + nameLen + extraLen + commentLen;
+    if(name.endsWith('/') || name.startsWith('__MACOSX/')) continue;
+
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const raw = new Uint8Array(buffer, start, compressedSize);
+    if(method !== 0 && method !== 8) throw new Error(`${name}: compressão não suportada (método ${method}).`);
+    const bytes = method === 8 ? await inflateRaw(raw) : raw;
+    entries.push({ name: name.split('/').pop(), text: decoder.decode(bytes) });
+  }
+  return entries;
+}
+
+// -------- Identificação dos arquivos --------
+// JSON = descrições; CSV com coluna Z de algum critério = Zscores; demais CSV = nomes
+export function classifyFile(name, text, criteria = DEFAULT_CRITERIA){
+  const lower = name.toLowerCase();
+  if(lower.endsWith('.json')) return 'descricoes';
+  if(!lower.endsWith('.csv')) return null;
+  const { header } = parseCSV(text);
+  return criteria.some(c => headerLike(header, c.coluna)) ? 'zscores' : 'nomes';
+}
+
+// Arquivos do input/drop (e o conteúdo de .zip) -> { zscores, nomes, descricoes, arquivos, ignorados }
+export async function readDatasetFiles(fileList, criteria = DEFAULT_CRITERIA){
+  const entries = [];
+  for(const file of fileList){
+    if(file.name.toLowerCase().endsWith('.zip')) entries.push(...await readZip(await file.arrayBuffer()));
+    else entries.push({ name: file.name, text: await file.text() });
+  }
+  const dataset = { arquivos: {}, ignorados: [] };
+  entries.forEach(({ name, text }) => {
+    const clean = text.replace(/^\uFEFF/, '');
+    const part = classifyFile(name, clean, criteria);
+    if(!part || dataset[part]){ dataset.ignorados.push(name); return; }
+    dataset[part] = clean;
+    dataset.arquivos[part] = name;
+  });
+  return dataset;
+}
+
+// -------- Persistência --------
+export function loadStoredDataset(){
+  try {
+    return JSON.parse(localStorage.getItem(projectStorageKey(DATASET_KEY)) || 'null');
+  } catch(err) {
+    console.warn('Conjunto de dados salvo ilegível:', err.message || err);
+    return null;
+  }
+}
+
+// Lança erro se não couber no localStorage (quem chama mostra ao usuário)
+export function storeDataset(dataset){
+  const { ignorados, ...stored } = dataset;
+  localStorage.setItem(projectStorageKey(DATASET_KEY), JSON.stringify({ ...stored, enviadoEm: new Date().toISOString() }));
+}
+
+export function clearStoredDataset(){
+  try { localStorage.removeItem(projectStorageKey(DATASET_KEY)); } catch(err) { /* localStorage indisponível */ }
+}
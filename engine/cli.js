@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+// CLI do motor de ranking, com o mesmo resultado do navegador.
+//   tribussola rank --weights 30,40,30 [--zscores <csv>] [--names <csv>] [--format json|csv|md]
+//                   [--method linear|topsis|promethee|wpm] [--tiers gmm|jenks|faixas|indist]
+//                   [--criteria <json>] [--zsource csv|mean|wmedian] [--pareto-sigma]
+//                   [--missing imputar|reponderar|excluir] [--utilities "custo=exponencial,2 ..."]
+//                   [--cost estatico|tco|vpl] [--years <n>] [--rate <% a.a.>] [--descriptions <json>]
+import { readFileSync, existsSync, createReadStream } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  parseCSVStream, describeCsvWarning, DEFAULT_CRITERIA, AGGREGATION_METHODS, DEFAULT_AGGREGATION, TIERING_STRATEGIES, DEFAULT_TIERING,
+  STANDARDIZATION_METHODS, standardizeRaw, rankSolutions, smartCluster, getClusterName,
+  MISSING_POLICIES, DEFAULT_MISSING_POLICY, applyMissingPolicy, UTILITY_TYPES, parseUtility, hasActiveUtilities,
+  describeUtility, COST_METRICS, COST_HORIZON_MAX, DEFAULT_COST_MODEL, isCostModelActive, describeCostModel,
+  applyCostModel, migrateDescriptions
+} from './index.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULTS = {
+  zscores: resolve(ROOT, 'data/Matriz de Decisão - Zscores para dash.csv'),
+  names: resolve(ROOT, 'data/Matriz de Decisão - só nomes e coordenadas.csv'),
+  criteria: resolve(ROOT, 'data/criterios.json'),
+  descriptions: resolve(ROOT, 'solution_description5.json')
+};
+const FORMATS = ['json', 'csv', 'md'];
+const FLAGS = new Set(['pareto-sigma', 'help']);
+
+const USAGE = `Uso: tribussola rank --weights 30,40,30 [opções]
+
+  --weights <lista>    pesos na ordem dos critérios (percentuais ou frações; são normalizados)
+  --zscores <csv>      CSV de Zscores (padrão: data/Matriz de Decisão - Zscores para dash.csv)
+  --names <csv>        CSV de nomes e coordenadas (padrão: data/Matriz de Decisão - só nomes e coordenadas.csv)
+  --criteria <json>    definição dos critérios (padrão: data/criterios.json, se existir)
+  --method <id>        ${Object.keys(AGGREGATION_METHODS).join(' | ')} (padrão: ${DEFAULT_AGGREGATION})
+  --tiers <id>         ${Object.keys(TIERING_STRATEGIES).join(' | ')} (padrão: ${DEFAULT_TIERING})
+  --zsource <id>       csv | ${Object.keys(STANDARDIZATION_METHODS).join(' | ')} (padrão: csv)
+  --pareto-sigma       Pareto com incerteza (1σ)
+  --missing <id>       Zscores/erros vazios: ${Object.keys(MISSING_POLICIES).join(' | ')} (padrão: ${DEFAULT_MISSING_POLICY})
+  --utilities <lista>  curvas por critério, "id=tipo,param,..." separadas por espaço
+                       (ex.: "custo=exponencial,2 qualidade=limiar,-1,1.5"; tipos: ${Object.keys(UTILITY_TYPES).join(' | ')});
+                       critérios não citados usam a "utilidade" de criterios.json (ou linear)
+  --cost <id>          custo no ranking: ${Object.keys(COST_METRICS).join(' | ')} (padrão: ${DEFAULT_COST_MODEL.metrica})
+  --years <n>          horizonte do TCO/VPL em anos, 1 a ${COST_HORIZON_MAX} (padrão: ${DEFAULT_COST_MODEL.horizonte})
+  --rate <%>           taxa de desconto do VPL, % a.a. (padrão: ${DEFAULT_COST_MODEL.taxa * 100})
+  --descriptions <json> descrições com capex/opex para o TCO/VPL (padrão: solution_description5.json)
+  --format <fmt>       ${FORMATS.join(' | ')} (padrão: json)`;
+
+function parseArgs(argv){
+  const [command, ...rest] = argv;
+  const opts = {};
+  for(let i = 0; i < rest.length; i++){
+    const arg = rest[i];
+    if(!arg.startsWith('--')) throw new Error(`Argumento inesperado: ${arg}`);
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    if(FLAGS.has(key)){ opts[key] = true; continue; }
+    const value = inline ?? rest[++i];
+    if(value === undefined) throw new Error(`Faltou o valor de --${key}`);
+    opts[key] = value;
+  }
+  return { command, opts };
+}
+
+function loadCriteria(file){
+  if(!file && !existsSync(DEFAULTS.criteria)) return DEFAULT_CRITERIA;
+  const data = JSON.parse(readFileSync(file || DEFAULTS.criteria, 'utf8'));
+  const criterios = Array.isArray(data) ? data : data.criterios;
+  if(!Array.isArray(criterios) || criterios.length < 2) throw new Error(`${file || DEFAULTS.criteria} deve listar ao menos 2 critérios`);
+  return criterios;
+}
+
+function parseWeights(text, criteria){
+  const values = String(text).split(/[,;\s]+/).filter(Boolean).map(v => Number(v));
+  if(values.length !== criteria.length || values.some(v => !Number.isFinite(v) || v < 0)){
+    throw new Error(`--weights precisa de ${criteria.length} valores não negativos (${criteria.map(c => c.nome).join(', ')})`);
+  }
+  const sum = values.reduce((a, b) => a + b, 0);
+  if(sum <= 0) throw new Error('--weights não pode somar zero');
+  return values.map(v => v / sum);
+}
+
+// Curvas padrão de criterios.json, sobrescritas pelas de --utilities
+function parseUtilities(text, criteria){
+  const utilities = Object.fromEntries(criteria.map(c => [c.id, { tipo: 'linear', ...(c.utilidade || {}) }]));
+  String(text || '').split(/\s+/).filter(Boolean).forEach(entry => {
+    const [id, spec] = entry.split(/=(.*)/s);
+    if(!utilities[id]) throw new Error(`--utilities: critério desconhecido "${id}" (${criteria.map(c => c.id).join(', ')})`);
+    const cfg = parseUtility(spec ?? '');
+    if(!cfg) throw new Error(`--utilities: curva inválida para ${id}: "${spec ?? ''}" (tipos: ${Object.keys(UTILITY_TYPES).join(', ')})`);
+    utilities[id] = cfg;
+  });
+  return utilities;
+}
+
+// Mesmo modelo do painel de custo: horizonte inteiro e taxa em % a.a.
+function parseCostModel(opts){
+  const metrica = opts.cost || DEFAULT_COST_MODEL.metrica;
+  if(!(metrica in COST_METRICS)) throw new Error(`Modelo de custo desconhecido: ${metrica}`);
+  const horizonte = opts.years === undefined ? DEFAULT_COST_MODEL.horizonte : Number(opts.years);
+  if(!Number.isInteger(horizonte) || horizonte < 1 || horizonte > COST_HORIZON_MAX){
+    throw new Error(`--years precisa ser um inteiro de 1 a ${COST_HORIZON_MAX}`);
+  }
+  const taxa = opts.rate === undefined ? DEFAULT_COST_MODEL.taxa : Number(String(opts.rate).replace(',', '.')) / 100;
+  if(!Number.isFinite(taxa)) throw new Error('--rate precisa ser um número (% a.a.)');
+  return { metrica, horizonte, taxa };
+}
+
+function loadDescriptions(file){
+  const json = JSON.parse(readFileSync(file || DEFAULTS.descriptions, 'utf8'));
+  return migrateDescriptions(json).descricoes?.itens || [];
+}
+
+function toRows(items, decimals){
+  const maxCluster = Math.max(...items.map(it => it.cluster || 0));
+  return [...items].sort((a,b) => b.nota - a.nota).map((it, i) => ({
+    posicao: i + 1,
+    tier: getClusterName(it.cluster, maxCluster),
+    nome: it.nome,
+    coord: it.coordStr || '',
+    nota: Number(it.nota.toFixed(decimals)),
+    margemErro: Number(it.margemErro.toFixed(decimals)),
+    dominadaPor: it.dominatedBy || [],
+    ...(it.faltantes ? { faltantes: it.faltantes.descricao } : {})
+  }));
+}
+
+const csvCell = v => {
+  const s = Array.isArray(v) ? v.join(' ') : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+function format(rows, fmt, decimals, meta){
+  if(fmt === 'json') return JSON.stringify({ ...meta, ranking: rows }, null, 2);
+  const cols = ['posicao', 'tier', 'nome', 'coord', 'nota', 'margemErro', 'dominadaPor'];
+  const fixed = (r, c) => (c === 'nota' || c === 'margemErro') ? r[c].toFixed(decimals) : r[c];
+  if(fmt === 'csv') return [cols.join(','), ...rows.map(r => cols.map(c => csvCell(fixed(r, c))).join(','))].join('\n');
+  const mdCell = v => String(Array.isArray(v) ? v.join(', ') : v).replace(/\|/g, '\\|');
+  return [
+    `| ${cols.join(' | ')} |`,
+    `| ${cols.map(c => (c === 'nota' || c === 'margemErro' || c === 'posicao') ? '---:' : '---').join(' | ')} |`,
+    ...rows.map(r => `| ${cols.map(c => mdCell(fixed(r, c))).join(' | ')} |`)
+  ].join('\n');
+}
+
+// CSV lido em streaming; linhas problemáticas vão para o stderr sem interromper
+async function readCSV(path){
+  const table = await parseCSVStream(createReadStream(path));
+  table.avisos.forEach(w => console.error(`Aviso (${path}): ${describeCsvWarning(w)}`));
+  return table;
+}
+
+async function rank(opts){
+  const criteria = loadCriteria(opts.criteria);
+  if(!opts.weights) throw new Error('Informe --weights');
+  const weights = parseWeights(opts.weights, criteria);
+  const method = opts.method || DEFAULT_AGGREGATION;
+  if(!(method in AGGREGATION_METHODS)) throw new Error(`Método desconhecido: ${method}`);
+  const tiers = opts.tiers || DEFAULT_TIERING;
+  if(!(tiers in TIERING_STRATEGIES)) throw new Error(`Estratégia de tiers desconhecida: ${tiers}`);
+  const fmt = opts.format || 'json';
+  if(!FORMATS.includes(fmt)) throw new Error(`Formato desconhecido: ${fmt}`);
+
+  const namesParsed = await readCSV(opts.names || DEFAULTS.names);
+  const zsource = opts.zsource || 'csv';
+  let zData;
+  if(zsource === 'csv') zData = await readCSV(opts.zscores || DEFAULTS.zscores);
+  else if(zsource in STANDARDIZATION_METHODS) zData = standardizeRaw(namesParsed, criteria, { method: zsource });
+  else throw new Error(`Fonte de Zscores desconhecida: ${zsource}`);
+  const missing = opts.missing || DEFAULT_MISSING_POLICY;
+  if(!(missing in MISSING_POLICIES)) throw new Error(`Política de dados faltantes desconhecida: ${missing}`);
+  const utilities = parseUtilities(opts.utilities, criteria);
+  const costModel = parseCostModel(opts);
+  // Mesma ordem do navegador: Zscores -> modelo de custo -> dados faltantes
+  if(isCostModelActive(costModel)){
+    zData = applyCostModel(zData, namesParsed, loadDescriptions(opts.descriptions), costModel, {
+      criteria, method: zsource === 'csv' ? 'wmedian' : zsource
+    });
+    if(zData.costModel.semDados.length){
+      console.error(`Sem capex/opex (custo tratado por --missing ${missing}): ${zData.costModel.semDados.join(', ')}`);
+    }
+  }
+  zData = applyMissingPolicy(zData, missing, { criteria });
+
+  const { items, excluded, decimals } = rankSolutions(zData, namesParsed, weights, {
+    method, criteria, utilities, paretoUncertainty: !!opts['pareto-sigma']
+  });
+  // No csv/md, quem teve dados faltantes é avisado no stderr
+  [...items, ...excluded].filter(it => it.faltantes).forEach(it =>
+    console.error(`Dados faltantes (${missing}): ${it.nome}${it.coordStr ? ` (${it.coordStr})` : ''} — ${it.faltantes.descricao}`));
+  const rows = toRows(smartCluster(items, tiers), decimals);
+  const meta = {
+    pesos: Object.fromEntries(criteria.map((c, i) => [c.nome, Math.round(weights[i] * 1000) / 10])),
+    metodo: method,
+    tiers,
+    ...(hasActiveUtilities(utilities) ? { utilidades: Object.fromEntries(criteria.map(c => [c.nome, describeUtility(utilities[c.id])])) } : {}),
+    ...(isCostModelActive(costModel) ? { custo: describeCostModel(costModel) } : {}),
+    ...(excluded.length ? { excluidas: excluded.map(it => ({ nome: it.nome, coord: it.coordStr || '', motivo: it.faltantes.descricao })) } : {})
+  };
+  return format(rows, fmt, decimals, meta);
+}
+
+try {
+  const { command, opts } = parseArgs(process.argv.slice(2));
+  if(!command || command === '--help' || opts.help){
+    console.log(USAGE);
+  } else if(command === 'rank'){
+    console.log(await rank(opts));
+  } else {
+    throw new Error(`Comando desconhecido: ${command}`);
+  }
+} catch(err) {
+  console.error(`Erro: ${err.message || err}`);
+  console.error(USAGE);
+  process.exitCode = 1;
+}
@@ -0,0 +1,46 @@
+// -------- Coordenadas da árvore (id canônico) --------
+// Toda fonte de dados (CSV de Zscores, CSV de nomes, JSON de descrições, URL)
+// identifica a solução pela coordenada na árvore. Os arquivos escrevem a mesma
+// coordenada de jeitos diferentes ("III.1a", "iii-1-A", "III.1.a"); aqui ela vira
+// um único id canônico ("III.1.a"), usado como chave em todas as junções.
+
+const COORD_RE = /^([IVXLCDM]+)\s*[.\-]\s*(\d+)\s*(?:[.\-]?\s*([a-z]))?$/i;
+
+// "III.1a" -> { pri: 'III', sec: 1, ter: 'a' }; sem terceiro nível, ter = ''
+export function parseCoord(s){
+  if(!s) return null;
+  const m = String(s).trim().match(COORD_RE);
+  if(!m) return null;
+  return {
+    pri: m[1].toUpperCase(),
+    sec: parseInt(m[2], 10),
+    ter: (m[3] || '').toLowerCase()
+  };
+}
+
+export function romanToInt(r){
+  const map={I:1,V:5,X:10,L:50,C:100,D:500,M:1000}; let n=0, prev=0;
+  for(const ch of r.split('').reverse()){ const v=map[ch]||0; if(v<prev) n-=v; else n+=v, prev=v; }
+  return n;
+}
+
+// Id canônico ("III.1.a", "I.2") ou null se não for uma coordenada
+export function canonicalId(s){
+  const c = parseCoord(s);
+  return c ? [c.pri, c.sec, c.ter].filter(part => part !== '').join('.') : null;
+}
+
+// Indexa uma lista pelo id canônico de cada elemento. Devolve o mapa id -> posição
+// (a primeira ocorrência vence) e as posições com id repetido ou ilegível.
+export function indexById(list, getId){
+  const byId = new Map();
+  const duplicados = [], invalidos = [];
+  list.forEach((entry, i) => {
+    const raw = getId(entry, i);
+    const id = canonicalId(raw);
+    if(!id){ invalidos.push({ pos: i, valor: raw ?? '' }); return; }
+    if(byId.has(id)){ duplicados.push({ pos: i, id, primeira: byId.get(id) }); return; }
+    byId.set(id, i);
+  });
+  return { byId, duplicados, invalidos };
+}
@@ -0,0 +1,237 @@
+// -------- Leitura de CSV (RFC 4180) --------
+// Tokenizador em streaming: recebe o texto em pedaços, respeita aspas (com
+// separadores, "" e quebras de linha dentro do campo), aceita CRLF/LF/CR e ignora
+// o BOM. O separador (, ; ou tab) é deduzido do cabeçalho. Depois da leitura,
+// cada coluna é classificada como número ou texto, com a convenção decimal da
+// própria coluna ("1.234,56" ou "1,234.56"); células vazias viram null.
+// Células que não puderam ser lidas também viram null e geram um aviso por linha,
+// assim como as convertidas em silêncio (marcador de ausente como "-", "n/a" ou
+// vazio virando null, separador de milhar removido), com a coluna e o texto original.
+
+const SEPARATORS = [',', ';', '\t'];
+// Marcadores de valor ausente (além da célula vazia)
+const MISSING = new Set(['', 'na', 'n/a', 'n/d', 'nd', 'null', 'nan', '-', '—']);
+// Parcela mínima de células legíveis para a coluna ser numérica
+const NUMERIC_SHARE = 0.8;
+
+// Convenções: decimal com vírgula (milhar com ponto) e decimal com ponto (milhar com vírgula)
+const CONVENTIONS = {
+  ',': { decimal: ',', milhar: '.', re: /^[+-]?(?:\d{1,3}(?:\.\d{3})+|\d+)(?:,\d+)?(?:e[+-]?\d+)?$/i },
+  '.': { decimal: '.', milhar: ',', re: /^[+-]?(?:\d{1,3}(?:,\d{3})+|\d+)?(?:\.\d+)?(?:e[+-]?\d+)?$/i }
+};
+
+const isMissing = s => s == null || MISSING.has(String(s).trim().toLowerCase());
+// Espaços (inclusive não separáveis) servem de separador de milhar nas duas convenções
+const compact = s => String(s).trim().replace(/^"|"$/g, '').replace(/(\d)\s+(?=\d)/g, '$1');
+
+// Número segundo uma convenção decimal (',' ou '.'); null se não for legível
+export function parseNumber(s, decimal = ','){
+  if(isMissing(s)) return null;
+  const conv = CONVENTIONS[decimal] || CONVENTIONS[','];
+  const text = compact(s);
+  if(!/\d/.test(text) || !conv.re.test(text)) return null;
+  const num = Number(text.split(conv.milhar).join('').replace(conv.decimal, '.'));
+  return Number.isFinite(num) ? num : null;
+}
+
+// Valor avulso (célula ou campo de JSON) -> número ou null. Números passam direto;
+// em texto, a convenção sai do próprio valor: com ponto e vírgula, o último é o
+// decimal; só com vírgula, decimal com vírgula, a não ser que forme grupos de
+// milhar (1,234,567); só com ponto, idem ao contrário.
+export function toNumber(value){
+  if(typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if(isMissing(value)) return null;
+  const text = compact(value);
+  const comma = text.lastIndexOf(','), dot = text.lastIndexOf('.');
+  let decimal;
+  if(comma >= 0 && dot >= 0) decimal = comma > dot ? ',' : '.';
+  else if(comma >= 0) decimal = /^[+-]?\d{1,3}(,\d{3}){2,}$/.test(text) ? '.' : ',';
+  else decimal = /^[+-]?\d{1,3}(\.\d{3}){2,}$/.test(text) ? ',' : '.';
+  return parseNumber(text, decimal);
+}
+
+// Separador mais frequente fora de aspas na primeira linha
+function detectSeparator(line){
+  const counts = new Map(SEPARATORS.map(sep => [sep, 0]));
+  let quoted = false;
+  for(const ch of line){
+    if(ch === '"') quoted = !quoted;
+    else if(!quoted && counts.has(ch)) counts.set(ch, counts.get(ch) + 1);
+  }
+  const [best, n] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  return n > 0 ? best : ',';
+}
+
+// Tokenizador incremental. push(pedaço) devolve os registros completos até ali
+// ({ linha, campos }, linha = linha física onde o registro começa); end() devolve o resto.
+export function createCSVParser({ separator = null } = {}){
+  let sep = separator;
+  let pending = '';          // texto guardado até o separador ser conhecido
+  let started = false;       // BOM já tratado
+  let field = '', fields = [], quoted = false, quoteSeen = false, fieldQuoted = false;
+  let line = 1, recordLine = 1, lastCR = false;
+
+  const endField = () => {
+    fields.push(fieldQuoted ? field : field.trim());
+    field = ''; fieldQuoted = false; quoteSeen = false;
+  };
+  const endRecord = out => {
+    endField();
+    // Linha em branco (um único campo vazio) não é registro
+    if(fields.length > 1 || fields[0] !== '') out.push({ linha: recordLine, campos: fields });
+    fields = [];
+    recordLine = line;
+  };
+
+  function consume(text, out){
+    for(const ch of text){
+      if(lastCR){
+        lastCR = false;
+        if(ch === '\n') continue; // CRLF já tratado no CR
+      }
+      if(quoted){
+        if(quoteSeen){
+          quoteSeen = false;
+          if(ch === '"'){ field += '"'; continue; } // "" dentro de aspas
+          quoted = false; // aspas fechadas; o caractere segue o fluxo normal
+        } else if(ch === '"'){
+          quoteSeen = true;
+          continue;
+        } else {
+          if(ch === '\n' || ch === '\r') line++;
+          if(ch === '\r') lastCR = true;
+          field += ch;
+          continue;
+        }
+      }
+      if(ch === '"' && field.trim() === '' && !fieldQuoted){
+        quoted = true; fieldQuoted = true; field = '';
+      } else if(ch === sep){
+        endField();
+      } else if(ch === '\n' || ch === '\r'){
+        line++;
+        lastCR = ch === '\r';
+        endRecord(out);
+      } else {
+        field += ch; // inclusive aspas soltas no meio de campo sem aspas
+      }
+    }
+  }
+
+  return {
+    push(chunk){
+      let text = String(chunk);
+      if(!started){
+        text = text.replace(/^\uFEFF/, '');
+        started = text.length > 0;
+      }
+      const out = [];
+      if(sep){ consume(text, out); return out; }
+      pending += text;
+      const firstBreak = pending.search(/[\r\n]/);
+      if(firstBreak < 0) return out;
+      sep = detectSeparator(pending.slice(0, firstBreak));
+      consume(pending, out);
+      pending = '';
+      return out;
+    },
+    end(){
+      const out = [];
+      if(!sep){ sep = detectSeparator(pending); consume(pending, out); pending = ''; }
+      if(quoteSeen){ quoted = false; quoteSeen = false; }
+      if(field !== '' || fields.length || fieldQuoted) endRecord(out);
+      return out;
+    },
+    get separator(){ return sep; }
+  };
+}
+
+// Registros -> tabela tipada { header, rows, linhas, colunas, avisos, separador };
+// linhas[i] = linha do arquivo onde começa rows[i]
+function buildTable(records, separator){
+  if(!records.length) return { header: [], rows: [], linhas: [], colunas: {}, avisos: [], separador: separator };
+  const header = records[0].campos.map(h => h.trim());
+  const body = records.slice(1);
+  const avisos = [];
+  // linha -> { linha, celulas: [{ coluna, valor }], coagidas: [{ coluna, valor, para }], campos? }
+  const rowWarnings = new Map();
+  const warn = linha => {
+    if(!rowWarnings.has(linha)) rowWarnings.set(linha, { linha, celulas: [], coagidas: [] });
+    return rowWarnings.get(linha);
+  };
+
+  body.forEach(({ linha, campos }) => {
+    if(campos.length !== header.length) warn(linha).campos = { esperado: header.length, encontrado: campos.length };
+  });
+
+  // Classificação de cada coluna e convenção decimal
+  const colunas = {};
+  const decided = [];
+  header.forEach((h, j) => {
+    const values = body.map(r => r.campos[j]).filter(v => !isMissing(v));
+    const ok = Object.fromEntries(Object.keys(CONVENTIONS).map(d => [d, values.filter(v => parseNumber(v, d) !== null).length]));
+    const best = ok[','] === ok['.'] ? null : (ok[','] > ok['.'] ? ',' : '.');
+    const hits = Math.max(ok[','], ok['.']);
+    const numeric = values.length > 0 && hits > 0 && hits >= NUMERIC_SHARE * values.length;
+    colunas[h] = { tipo: numeric ? 'numero' : 'texto', decimal: numeric ? best : null, ausentes: 0 };
+    if(numeric && best) decided.push(best);
+  });
+  // Empate (só inteiros, ou "1.234" ambíguo): segue as demais colunas do arquivo;
+  // sem nenhuma pista, vírgula quando o separador é ";" e ponto nos demais casos
+  const fileDecimal = decided.length
+    ? (decided.filter(d => d === ',').length >= decided.length / 2 ? ',' : '.')
+    : (separator === ';' ? ',' : '.');
+  Object.values(colunas).forEach(c => { if(c.tipo === 'numero' && !c.decimal) c.decimal = fileDecimal; });
+
+  const rows = body.map(({ linha, campos }) => {
+    const o = {};
+    header.forEach((h, j) => {
+      const raw = campos[j];
+      const col = colunas[h];
+      if(isMissing(raw)){
+        o[h] = null;
+        col.ausentes++;
+        // Campo que nem existe na linha já está no aviso de número de campos
+        if(raw !== undefined) warn(linha).coagidas.push({ coluna: h, valor: raw, para: null });
+        return;
+      }
+      if(col.tipo === 'texto'){ o[h] = raw; return; }
+      const num = parseNumber(raw, col.decimal);
+      if(num === null) warn(linha).celulas.push({ coluna: h, valor: raw });
+      else if(compact(raw).includes(CONVENTIONS[col.decimal].milhar) || /\d\s+\d/.test(raw)) warn(linha).coagidas.push({ coluna: h, valor: raw, para: num });
+      o[h] = num;
+    });
+    return o;
+  });
+
+  rowWarnings.forEach(w => avisos.push(w));
+  avisos.sort((a, b) => a.linha - b.linha);
+  return { header, rows, linhas: body.map(r => r.linha), colunas, avisos, separador: separator };
+}
+
+// Texto completo -> tabela tipada
+export function parseCSV(text){
+  const parser = createCSVParser();
+  const records = [...parser.push(text || ''), ...parser.end()];
+  return buildTable(records, parser.separator);
+}
+
+// Fluxo (ReadableStream do fetch, stream do Node ou iterável de pedaços) -> tabela tipada
+export async function parseCSVStream(source){
+  const parser = createCSVParser();
+  const decoder = new TextDecoder('utf-8');
+  const records = [];
+  const take = chunk => records.push(...parser.push(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true })));
+  if(source?.getReader){
+    const reader = source.getReader();
+    for(;;){
+      const { done, value } = await reader.read();
+      if(done) break;
+      take(value);
+    }
+  } else {
+    for await (const chunk of source) take(chunk);
+  }
+  records.push(...parser.push(decoder.decode()), ...parser.end());
+  return buildTable(records, parser.separator);
+}
@@ -0,0 +1,1844 @@
+// Motor de ranking do Tribússola, sem dependência de DOM: leitura de CSV,
+// critérios, Zscores, agregação, incertezas, Pareto e tiers. Usado pelo app.js
+// no navegador e pelo CLI (engine/cli.js) no Node, com resultados idênticos.
+
+import { parseCoord, romanToInt, canonicalId, indexById } from './coords.js';
+import { parseCSV, parseCSVStream, createCSVParser, parseNumber, toNumber } from './csv.js';
+export { parseCoord, romanToInt, canonicalId, indexById };
+export { parseCSV, parseCSVStream, createCSVParser, parseNumber, toNumber };
+
+// -------- Mensagens (i18n) --------
+// Os textos do motor saem em pt-BR (como no CLI). A interface pode instalar um
+// tradutor t(chave, params, textoPadrão) e o idioma dos números; sem tradutor,
+// ou sem a chave no catálogo, vale o texto padrão daqui.
+let translator = null;
+let numberLocale = null; // null = formatação original (toFixed)
+
+export function setTranslator(t, locale = null){
+  translator = typeof t === 'function' ? t : null;
+  numberLocale = locale;
+}
+
+function msg(key, text, params = {}){
+  if(translator) return translator(key, params, text);
+  return text.replace(/\{(\w+)\}/g, (m, name) => params[name] ?? m);
+}
+
+// Número com casas fixas no idioma da interface; fallback em pt-BR (vírgula) quando ptComma
+function fixed(value, decimals, ptComma = false){
+  if(numberLocale) return new Intl.NumberFormat(numberLocale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(value);
+  const out = value.toFixed(decimals);
+  return ptComma ? out.replace('.', ',') : out;
+}
+
+// -------- helpers de header/coord --------
+export function headerLike(header, key){
+  const norm = s => s.toLowerCase().replace(/\s+/g,'');
+  const K = norm(key);
+  return header.find(h => norm(h).includes(K));
+}
+
+// Coluna de coordenadas (CSV de nomes e, quando houver, CSV de Zscores)
+export function coordColumn(header){
+  return headerLike(header, 'coordenadas') || headerLike(header, 'coord');
+}
+
+// Referência de cada linha do zData para enrichWithNames: { idx, id, pos, key }. key é o id
+// canônico da coluna de coordenadas ('' se ilegível); sem a coluna, key fica undefined
+// e a linha casa por posição (pos, a linha no CSV de Zscores) com o CSV de nomes.
+export function zRowRefs(zData){
+  const col = coordColumn(zData.header);
+  return zData.rows.map((row, i) => {
+    const pos = zData.origem?.[i] ?? i;
+    return { idx: i, id: pos + 1, pos, key: col ? canonicalId(row[col]) || '' : undefined };
+  });
+}
+
+// zData só com as linhas keep (índices em zData.rows), para ranquear sem as soluções
+// excluídas: TOPSIS/PROMETHEE normalizam e comparam entre as linhas presentes. 'origem'
+// guarda a posição de cada linha no CSV original (junção por posição com os nomes).
+export function selectZRows(zData, keep){
+  return {
+    ...zData,
+    rows: keep.map(i => zData.rows[i]),
+    origem: keep.map(i => zData.origem?.[i] ?? i),
+    ...(zData.faltantes ? { faltantes: keep.map(i => zData.faltantes[i]) } : {})
+  };
+}
+
+// -------- Critérios de decisão --------
+// Ordem dos critérios = ordem dos pesos. Com 3 critérios, a ordem também é a dos
+// canais R, G, B do triângulo (entrada.js).
+export const DEFAULT_CRITERIA = [
+  { id: 'custo',     nome: 'Custo',     coluna: 'zcusto', coluna_erro: 's_zcusto', direcao: 'menor', cor: '#ff6b6b',
+    coluna_bruta: 'custo anual', coluna_bruta_erro: 's custo anual' },
+  { id: 'qualidade', nome: 'Qualidade', coluna: 'zqual',  coluna_erro: 's_zqual',  direcao: 'maior', cor: '#51cf66',
+    coluna_bruta: 'qualidade',   coluna_bruta_erro: 's qualidade' },
+  { id: 'prazo',     nome: 'Prazo',     coluna: 'zprazo', coluna_erro: 's_zprazo', direcao: 'menor', cor: '#4dabf7',
+    coluna_bruta: 'prazo',       coluna_bruta_erro: 's prazo' }
+];
+
+// +1 quando maior é melhor, -1 quando menor é melhor
+export const criteriaDirections = criteria => criteria.map(c => c.direcao === 'menor' ? -1 : 1);
+
+// Aceita pesos como vetor (na ordem dos critérios) ou {r,g,b} vindo do triângulo
+export function toWeightVector(weights){
+  return Array.isArray(weights) ? weights : [weights.r, weights.g, weights.b];
+}
+
+// "30.0% Custo, 40.0% Qualidade e 30.0% Prazo"
+export function describeWeights(weights, criteria = DEFAULT_CRITERIA){
+  const w = toWeightVector(weights);
+  const parts = criteria.map((c, i) => `${fixed((w[i] || 0) * 100, 1)}% ${c.nome}`);
+  return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} ${msg('lista.e', 'e')} ${parts[parts.length - 1]}` : parts.join('');
+}
+
+// -------- colunas do CSV de Zscores --------
+export function detectZColumns(header, criteria = DEFAULT_CRITERIA){
+  const norm = s => s.toLowerCase().replace(/\s+/g,'');
+  const zCols = criteria.map(c => headerLike(header, c.coluna));
+  const sCols = criteria.map(c => c.coluna_erro
+    ? (headerLike(header, c.coluna_erro) || headerLike(header, c.coluna_erro.replace(/_/g,'')))
+    : undefined);
+
+  const missing = criteria.filter((c, i) => !zCols[i]).map(c => c.nome);
+  if(missing.length) throw new Error(msg('erro.colunasZ', 'CSV de Zscores deve ter colunas Z para: {lista}.', { lista: missing.join(', ') }));
+
+  // Covariâncias: colunas "cov(A,B)" associadas aos critérios pelo nome
+  const n = criteria.length;
+  const covCols = criteria.map(() => new Array(n).fill(null));
+  const covHeaders = header.filter(h => norm(h).startsWith('cov'));
+  let hasCovariances = false;
+  covHeaders.forEach(h => {
+    const m = h.match(/cov\s*\(\s*([^,]+?)\s*,\s*([^)]+?)\s*\)/i);
+    if(!m) return;
+    const find = part => criteria.findIndex(c => norm(part).includes(norm(c.coluna)) || norm(c.coluna).includes(norm(part)));
+    const a = find(m[1]), b = find(m[2]);
+    if(a < 0 || b < 0 || a === b) return;
+    covCols[a][b] = covCols[b][a] = h;
+    hasCovariances = true;
+  });
+  // Formato antigo: últimas 3 colunas são cov(C,Q), cov(C,P), cov(Q,P) na ordem dos critérios
+  if(!hasCovariances && n === 3){
+    const last = header.slice(-3);
+    if(last.length === 3 && last.some(col => col.toLowerCase().includes('cov'))){
+      [[0,1],[0,2],[1,2]].forEach(([a, b], k) => { covCols[a][b] = covCols[b][a] = last[k]; });
+      hasCovariances = true;
+    }
+  }
+
+  const hasErrors = sCols.every(Boolean);
+  return { zCols, sCols, covCols, hasCovariances, hasErrors };
+}
+
+// Lê de cada linha os Zscores, os erros padrão e a matriz de covariância entre critérios
+export function readZRows(zData, criteria = DEFAULT_CRITERIA){
+  const { zCols, sCols, covCols, hasCovariances, hasErrors } = detectZColumns(zData.header, criteria);
+  const refs = zRowRefs(zData);
+  return zData.rows.map((row, i) => {
+    // Z ausente entra como 0, mas fica registrado em faltantes (índices dos critérios);
+    // os escores tratam esses critérios como indisponíveis (ver fillMissing)
+    const zRaw = zCols.map(col => toNumber(row[col]));
+    const faltantes = zRaw.flatMap((v, k) => v === null ? [k] : []);
+    const z = zRaw.map(v => v ?? 0);
+    const { key, pos } = refs[i];
+    if(!hasErrors) return { idx: i, pos, key, z, s: null, cov: null, faltantes };
+    const s = sCols.map(col => toNumber(row[col]) ?? 0);
+
+    // Validação: valores de erro padrão devem ser razoáveis (0 a 100)
+    // Se estiverem muito grandes, pode ser erro de parsing
+    if(s.some(v => v > 100)){
+      console.warn(`⚠️ Valores de erro padrão muito grandes na linha ${i+1}: ${criteria.map((c, k) => `s${c.nome}=${s[k]}`).join(', ')}`);
+      console.warn(`   Valores originais: ${sCols.map(col => `"${row[col]}"`).join(', ')}`);
+    }
+
+    const cov = s.map((si, a) => s.map((sj, b) => {
+      if(a === b) return si * si;
+      return hasCovariances && covCols[a][b] ? toNumber(row[covCols[a][b]]) ?? 0 : 0;
+    }));
+    return { idx: i, pos, key, z, s, cov, faltantes };
+  });
+}
+
+// Escore linear: Σ direção·peso·Z — com os 3 critérios padrão, Zranking = (-r*zc) + (g*zq) + (-b*zp)
+const linearScore = (z, w, dirs) => z.reduce((sum, v, i) => sum + dirs[i] * (w[i] || 0) * v, 0);
+
+// Critérios faltantes de uma linha recebem a média (orientada e ponderada pelos pesos)
+// dos critérios disponíveis da própria linha. No escore linear isso é exatamente
+// redistribuir o peso do faltante entre os demais; nos outros métodos, aproximação.
+function fillMissing(Z, faltantes, w, dirs){
+  return Z.map((z, i) => {
+    const miss = faltantes[i];
+    if(!miss?.length) return z;
+    let sum = 0, wSum = 0;
+    z.forEach((v, k) => { if(!miss.includes(k)){ sum += dirs[k] * (w[k] || 0) * v; wSum += w[k] || 0; } });
+    const mean = wSum > 0 ? sum / wSum : 0;
+    return z.map((v, k) => miss.includes(k) ? dirs[k] * mean : v);
+  });
+}
+
+// -------- Padronização (Zscores a partir dos valores brutos) --------
+// Tolerância para apontar divergência entre o Z calculado e o do CSV pré-calculado
+export const ZSCORE_TOLERANCE = 0.1;
+export const STANDARDIZATION_METHODS = {
+  mean:    'Média / desvio-padrão',
+  wmedian: 'Mediana ponderada / MAD'
+};
+
+// Mediana ponderada: primeiro valor cuja soma acumulada de pesos atinge metade do total
+function weightedMedian(values, weights){
+  const pairs = values.map((v, i) => [v, weights[i]]).sort((a, b) => a[0] - b[0]);
+  const total = pairs.reduce((a, [, w]) => a + w, 0);
+  let acc = 0;
+  for(const [v, w] of pairs){
+    acc += w;
+    if(acc >= total / 2) return v;
+  }
+  return pairs.length ? pairs[pairs.length - 1][0] : 0;
+}
+
+// Centro e escala de um critério. Na mediana ponderada, o peso de cada valor é
+// 1/s² (valores mais precisos pesam mais) e a escala é o MAD ponderado × 1,4826.
+function standardizationParams(x, s, method){
+  const n = x.length;
+  const mean = x.reduce((a, v) => a + v, 0) / n;
+  const std = Math.sqrt(x.reduce((a, v) => a + (v - mean)**2, 0) / Math.max(n - 1, 1));
+  if(method !== 'wmedian') return { center: mean, scale: std || 1 };
+
+  const positive = s.filter(v => v > 0);
+  const floor = positive.length ? Math.min(...positive) : 1;
+  const w = s.map(v => 1 / Math.max(v, floor)**2);
+  const center = weightedMedian(x, w);
+  const mad = weightedMedian(x.map(v => Math.abs(v - center)), w) * 1.4826;
+  return { center, scale: mad || std || 1 };
+}
+
+// Gera um zData ({header, rows}) a partir das colunas brutas do CSV de nomes
+// ("Custo Anual (R$)", "s Custo Anual (R$)", ...). Os cabeçalhos gerados são as
+// próprias chaves coluna/coluna_erro dos critérios, então computeRanking os encontra.
+// O erro propagado é s_Z = s_x / escala (a incerteza do centro/escala é ignorada).
+export function standardizeRaw(namesParsed, criteria = DEFAULT_CRITERIA, {method = 'wmedian'} = {}){
+  const {header, rows} = namesParsed;
+  const rawCols = criteria.map(c => c.coluna_bruta ? headerLike(header, c.coluna_bruta) : undefined);
+  const rawErrCols = criteria.map(c => c.coluna_bruta_erro ? headerLike(header, c.coluna_bruta_erro) : undefined);
+  const missing = criteria.filter((c, i) => !rawCols[i]).map(c => c.nome);
+  if(missing.length) throw new Error(msg('erro.valoresBrutos', 'CSV de nomes não tem valores brutos para: {lista}.', { lista: missing.join(', ') }));
+
+  const params = criteria.map((c, i) => {
+    const x = rows.map(row => toNumber(row[rawCols[i]]) ?? 0);
+    const sx = rows.map(row => rawErrCols[i] ? toNumber(row[rawErrCols[i]]) ?? 0 : 0);
+    return { x, sx, ...standardizationParams(x, sx, method) };
+  });
+
+  // Colunas Z primeiro: headerLike pega a primeira coluna que contém a chave.
+  // A coordenada de cada linha vai junto, para a junção com os nomes ser pela chave.
+  const zHeader = criteria.map(c => c.coluna);
+  const sHeader = criteria.map(c => c.coluna_erro || `s_${c.coluna}`);
+  const coordCol = coordColumn(header);
+  const outRows = rows.map((row, r) => {
+    const o = {};
+    params.forEach(({ x, sx, center, scale }, i) => {
+      o[zHeader[i]] = (x[r] - center) / scale;
+      o[sHeader[i]] = sx[r] / scale;
+    });
+    if(coordCol) o[coordCol] = row[coordCol];
+    return o;
+  });
+  return {
+    header: [...zHeader, ...sHeader, ...(coordCol ? [coordCol] : [])],
+    rows: outRows,
+    params: params.map(({ center, scale }) => ({ center, scale }))
+  };
+}
+
+// Compara Zscores calculados com os do CSV pré-calculado: pela coordenada quando os
+// dois têm a coluna, senão linha a linha. linha = posição no zData calculado.
+export function compareZScores(computed, shipped, criteria = DEFAULT_CRITERIA, tolerance = ZSCORE_TOLERANCE){
+  const a = readZRows(computed, criteria);
+  const b = readZRows(shipped, criteria);
+  const diffs = [];
+  const keyed = a.every(r => r.key !== undefined) && b.every(r => r.key !== undefined);
+  const bByKey = keyed ? new Map(b.map(r => [r.key, r])) : null;
+  const pairs = keyed
+    ? a.map((ra, i) => [i, ra, bByKey.get(ra.key)]).filter(([, , rb]) => rb)
+    : a.slice(0, b.length).map((ra, i) => [i, ra, b[i]]);
+  if(pairs.length !== a.length || pairs.length !== b.length){
+    diffs.push({ linha: null, criterio: null, campo: 'linhas', calculado: a.length, arquivo: b.length, diferenca: a.length - b.length });
+  }
+  pairs.forEach(([i, ra, rb]) => {
+    criteria.forEach((c, k) => {
+      const dz = ra.z[k] - rb.z[k];
+      if(Math.abs(dz) > tolerance) diffs.push({ linha: i, criterio: c.nome, campo: 'Z', calculado: ra.z[k], arquivo: rb.z[k], diferenca: dz });
+      if(ra.s && rb.s){
+        const ds = ra.s[k] - rb.s[k];
+        if(Math.abs(ds) > tolerance) diffs.push({ linha: i, criterio: c.nome, campo: 's_Z', calculado: ra.s[k], arquivo: rb.s[k], diferenca: ds });
+      }
+    });
+  });
+  return { compared: pairs.length * criteria.length, diffs };
+}
+
+// -------- Modelo de custo plurianual (TCO / VPL) --------
+// Fluxo de caixa de cada solução: capex no mês 0 e opex mensal constante. O custo
+// que entra no ranking passa a ser o TCO ou o VPL no horizonte escolhido,
+// repadronizado no lugar do ZCusto estático.
+export const COST_METRICS = {
+  estatico: 'Custo anual (Zscore do CSV)',
+  tco:      'TCO (custo total no horizonte)',
+  vpl:      'VPL do custo (descontado)'
+};
+export const COST_HORIZON_MAX = 5;
+export const DEFAULT_COST_MODEL = { metrica: 'estatico', horizonte: 3, taxa: 0.1 };
+
+export function isCostModelActive(model){
+  return !!model && model.metrica !== 'estatico' && !!COST_METRICS[model.metrica];
+}
+
+// Preço ao cliente tem prioridade (mesmo valor exibido no modal); senão, custo interno
+export function costFlow(solution){
+  const src = solution?.preco_cliente?.capex_brl != null ? solution.preco_cliente : solution;
+  const capex = toNumber(src?.capex_brl), opexMensal = toNumber(src?.opex_mensal_brl);
+  if(capex === null || opexMensal === null) return null;
+  return { capex, opexMensal };
+}
+
+export function describeCostModel(model){
+  if(!isCostModelActive(model)) return msg('custo.metrica.estatico', COST_METRICS.estatico);
+  const anos = model.horizonte > 1
+    ? msg('custo.anos', '{n} anos', { n: model.horizonte })
+    : msg('custo.ano', '{n} ano', { n: model.horizonte });
+  return model.metrica === 'vpl'
+    ? msg('custo.descricaoVpl', 'VPL do custo em {anos} a {taxa}% a.a.', { anos, taxa: fixed(model.taxa * 100, 1, true) })
+    : msg('custo.descricaoTco', 'TCO em {anos}', { anos });
+}
+
+// Taxa anual efetiva -> taxa mensal equivalente
+const monthlyRate = taxaAnual => Math.pow(1 + (taxaAnual || 0), 1 / 12) - 1;
+
+// Custo acumulado mês a mês (índice 0 = capex). Com desconto, cada opex vale opex/(1+i)^m.
+export function cumulativeCost(flow, {horizonte = DEFAULT_COST_MODEL.horizonte, taxa = 0} = {}){
+  const months = Math.round(horizonte * 12);
+  const i = monthlyRate(taxa);
+  const out = [flow.capex];
+  for(let m = 1; m <= months; m++) out.push(out[m - 1] + flow.opexMensal / Math.pow(1 + i, m));
+  return out;
+}
+
+export function totalCostOfOwnership(flow, horizonte){
+  return flow.capex + 12 * horizonte * flow.opexMensal;
+}
+
+export function presentCost(flow, horizonte, taxa){
+  const curve = cumulativeCost(flow, { horizonte, taxa });
+  return curve[curve.length - 1];
+}
+
+// Meses em que a curva acumulada de A cruza a de B (interpolação linear no mês).
+// mais_barata indica qual fica mais barata depois do cruzamento.
+export function breakevenCrossings(curveA, curveB){
+  const out = [];
+  const n = Math.min(curveA.length, curveB.length);
+  for(let m = 1; m < n; m++){
+    const d0 = curveA[m - 1] - curveB[m - 1];
+    const d1 = curveA[m] - curveB[m];
+    if(d0 === 0 || d0 * d1 >= 0) continue;
+    const t = d0 / (d0 - d1);
+    out.push({
+      mes: m - 1 + t,
+      valor: curveA[m - 1] + t * (curveA[m] - curveA[m - 1]),
+      mais_barata: d1 < 0 ? 'a' : 'b'
+    });
+  }
+  return out;
+}
+
+// Valor de custo por linha do zData, casando a coordenada canônica do CSV de nomes com
+// o id das soluções. A incerteza relativa do custo anual bruto (s/valor) é mantida.
+// Linha sem capex/opex na descrição vem como null.
+export function costModelValues(zData, namesParsed, solutions, model = DEFAULT_COST_MODEL, criteria = DEFAULT_CRITERIA){
+  const { horizonte, taxa, metrica } = { ...DEFAULT_COST_MODEL, ...model };
+  const costCrit = criteria.find(c => c.id === 'custo');
+  const rawCol = costCrit?.coluna_bruta ? headerLike(namesParsed.header, costCrit.coluna_bruta) : undefined;
+  const rawErrCol = costCrit?.coluna_bruta_erro ? headerLike(namesParsed.header, costCrit.coluna_bruta_erro) : undefined;
+  const list = solutions || [];
+  const { byId } = indexById(list, s => s.id);
+  const rows = enrichWithNames(zRowRefs(zData), namesParsed);
+
+  return rows.map(r => {
+    const solution = list[byId.get(r.coordStr)];
+    const flow = costFlow(solution);
+    if(!flow) return null;
+    const raw = namesParsed.rows[r.nameIdx] || {};
+    const x = rawCol ? toNumber(raw[rawCol]) ?? NaN : NaN;
+    const sx = rawErrCol ? toNumber(raw[rawErrCol]) ?? NaN : NaN;
+    const tco = totalCostOfOwnership(flow, horizonte);
+    const vpl = presentCost(flow, horizonte, taxa);
+    return {
+      idx: r.idx, nome: r.nome, coordStr: r.coordStr, flow, tco, vpl,
+      valor: metrica === 'vpl' ? vpl : tco,
+      erroRelativo: x > 0 && Number.isFinite(sx) ? sx / x : 0
+    };
+  });
+}
+
+// zData com a coluna Z de custo (e seu erro) trocada pelo TCO/VPL repadronizado
+// (por padrão mediana ponderada, como o ZCusto do CSV). Covariâncias com o custo são reescaladas mantendo a correlação original.
+// Soluções sem capex/opex ficam com o custo vazio (tratado por applyMissingPolicy) e
+// são listadas em costModel.semDados.
+export function applyCostModel(zData, namesParsed, solutions, model = DEFAULT_COST_MODEL, {criteria = DEFAULT_CRITERIA, method = 'wmedian'} = {}){
+  if(!isCostModelActive(model)) return zData;
+  const k = criteria.findIndex(c => c.id === 'custo');
+  if(k < 0) throw new Error(msg('erro.semCriterioCusto', 'Modelo de custo exige um critério com id "custo".'));
+  const values = costModelValues(zData, namesParsed, solutions, model, criteria);
+  const semDados = enrichWithNames(zRowRefs(zData), namesParsed)
+    .filter((r, i) => !values[i]).map(r => r.coordStr || r.nome);
+  if(semDados.length === values.length){
+    throw new Error(msg('erro.semCapexOpex', 'Sem capex/opex em solution_description para: {lista}.', { lista: semDados.join(', ') }));
+  }
+  const x = values.map(v => v ? v.valor : null);
+  const sx = values.map(v => v ? v.valor * v.erroRelativo : null);
+  const { center, scale } = standardizationParams(x.filter(v => v !== null), sx.filter(v => v !== null), method);
+
+  const { zCols, sCols, covCols } = detectZColumns(zData.header, criteria);
+  const sCol = sCols[k] || criteria[k].coluna_erro || `s_${criteria[k].coluna}`;
+  const header = zData.header.includes(sCol) ? zData.header : [...zData.header, sCol];
+  const rows = zData.rows.map((row, i) => {
+    const out = { ...row };
+    if(x[i] === null){
+      out[zCols[k]] = null;
+      out[sCol] = null;
+      return out;
+    }
+    const sOld = toNumber(row[sCol]) ?? 0;
+    const sNew = sx[i] / scale;
+    out[zCols[k]] = (x[i] - center) / scale;
+    out[sCol] = sNew;
+    covCols[k].forEach(col => {
+      if(col && Number.isFinite(sOld) && sOld > 0) out[col] = (toNumber(row[col]) ?? 0) * sNew / sOld;
+    });
+    return out;
+  });
+  return { ...zData, header, rows, costModel: { ...DEFAULT_COST_MODEL, ...model, center, scale, values, semDados } };
+}
+
+// -------- Dados faltantes --------
+// Z (ou erro padrão s_Z) vazio ou ilegível não vira mais 0 em silêncio: applyMissingPolicy
+// aplica uma política explícita e guarda em zData.faltantes[linha] a política e os
+// índices dos critérios afetados (null nas linhas completas).
+//   imputar:    Z = média do critério; s_Z inflado pela dispersão do critério
+//   reponderar: o critério fica vazio e a linha é pontuada só com os disponíveis
+//   excluir:    a linha sai do ranking (rankSolutions a devolve em excluded)
+// Z ainda vazio na hora do escore é sempre tratado como em reponderar.
+export const MISSING_POLICIES = {
+  imputar:    'Imputar a média (incerteza inflada)',
+  reponderar: 'Só critérios disponíveis (pesos redistribuídos)',
+  excluir:    'Excluir a solução'
+};
+export const DEFAULT_MISSING_POLICY = 'imputar';
+
+export function applyMissingPolicy(zData, policy = DEFAULT_MISSING_POLICY, {criteria = DEFAULT_CRITERIA} = {}){
+  const politica = policy in MISSING_POLICIES ? policy : DEFAULT_MISSING_POLICY;
+  const { zCols, sCols, covCols, hasErrors } = detectZColumns(zData.header, criteria);
+  const cell = (row, col) => col ? toNumber(row[col]) : null;
+  // Faltante: Z ausente, ou s_Z ausente quando o arquivo traz erros padrão
+  const missing = zData.rows.map(row => criteria.flatMap((c, k) =>
+    cell(row, zCols[k]) === null || (hasErrors && cell(row, sCols[k]) === null) ? [k] : []));
+  if(!missing.some(m => m.length)) return zData;
+
+  // Estatísticas de cada critério nas linhas com valor
+  const stats = criteria.map((c, k) => {
+    const z = zData.rows.map(row => cell(row, zCols[k])).filter(v => v !== null);
+    const sv = hasErrors ? zData.rows.map(row => cell(row, sCols[k])).filter(v => v !== null) : [];
+    const mean = z.length ? z.reduce((a, v) => a + v, 0) / z.length : 0;
+    const variance = z.length > 1 ? z.reduce((a, v) => a + (v - mean)**2, 0) / (z.length - 1) : 1;
+    const meanSq = sv.length ? sv.reduce((a, v) => a + v * v, 0) / sv.length : 0;
+    return { mean, sImputed: Math.sqrt(variance + meanSq), sMax: sv.length ? Math.max(...sv) : 0 };
+  });
+
+  const rows = zData.rows.map((row, i) => {
+    if(!missing[i].length) return row;
+    const out = { ...row };
+    missing[i].forEach(k => {
+      const zMissing = cell(row, zCols[k]) === null;
+      if(politica === 'reponderar'){
+        out[zCols[k]] = null;
+      } else {
+        // Z imputado: incerteza = dispersão do critério + erro típico; só s_Z faltando: maior s_Z observado
+        if(zMissing) out[zCols[k]] = stats[k].mean;
+        if(sCols[k]) out[sCols[k]] = zMissing ? stats[k].sImputed : stats[k].sMax;
+      }
+      // Correlação com um valor imputado ou descartado é desconhecida
+      covCols[k].forEach(col => { if(col) out[col] = 0; });
+    });
+    return out;
+  });
+  const faltantes = missing.map(m => m.length ? { politica, criterios: m } : null);
+  return { ...zData, rows, faltantes, missingPolicy: politica };
+}
+
+// Frase curta para tabela, modal e relatório, ex.: "média imputada em Prazo (incerteza inflada)"
+export function describeMissing(info, criteria = DEFAULT_CRITERIA){
+  if(!info?.criterios?.length) return '';
+  const lista = info.criterios.map(k => criteria[k]?.nome ?? `#${k + 1}`).join(', ');
+  if(info.politica === 'excluir') return msg('faltantes.excluida', 'faltam dados de {lista}', { lista });
+  if(info.politica === 'reponderar') return msg('faltantes.reponderada', 'sem {lista}: nota só com os demais critérios', { lista });
+  return msg('faltantes.imputada', 'média imputada em {lista} (incerteza inflada)', { lista });
+}
+
+// -------- Amostragem correlacionada dos Zscores --------
+// Gerador pseudoaleatório com semente (mulberry32) - mesmo resultado a cada render
+export function seededRandom(seed){
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Normal padrão via Box-Muller
+export function gaussianSampler(rand){
+  let spare = null;
+  return () => {
+    if(spare !== null){ const v = spare; spare = null; return v; }
+    let u = 0, v = 0;
+    while(u === 0) u = rand();
+    while(v === 0) v = rand();
+    const mag = Math.sqrt(-2 * Math.log(u));
+    spare = mag * Math.sin(2 * Math.PI * v);
+    return mag * Math.cos(2 * Math.PI * v);
+  };
+}
+
+// Decomposição de Cholesky (M = L·Lᵀ); retorna null se M não for positiva definida
+function cholesky(M){
+  const n = M.length;
+  const L = M.map(() => new Array(n).fill(0));
+  for(let i = 0; i < n; i++){
+    for(let j = 0; j <= i; j++){
+      let sum = M[i][j];
+      for(let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if(i === j){
+        if(sum < -1e-12) return null;
+        L[i][i] = Math.sqrt(Math.max(sum, 0));
+      } else {
+        L[i][j] = L[j][j] > 0 ? sum / L[j][j] : 0;
+      }
+    }
+  }
+  return L;
+}
+
+// Média e fator de Cholesky da covariância entre critérios de cada linha
+function buildSamplingModels(zData, criteria = DEFAULT_CRITERIA){
+  return readZRows(zData, criteria).map(({ idx, z, cov, faltantes }) => {
+    if(!cov) return { mean: z, L: null, faltantes };
+    let L = cholesky(cov);
+    if(!L){
+      // Covariâncias incompatíveis com os desvios: encolhe os termos fora da
+      // diagonal até a matriz ficar positiva definida (no limite, erros independentes)
+      let shrink = 1;
+      while(!L && shrink > 0){
+        shrink = Math.max(0, shrink - 0.05);
+        L = cholesky(cov.map((line, a) => line.map((v, c) => a === c ? v : v * shrink)));
+      }
+      console.warn(`⚠️ Matriz de covariância não positiva definida na linha ${idx+1}; covariâncias reduzidas a ${(shrink*100).toFixed(0)}%.`);
+    }
+    return { mean: z, L, faltantes };
+  });
+}
+
+// Um sorteio do vetor de Zscores de cada linha: mean + L·e, com e ~ N(0, I)
+function drawZSample(models, normal){
+  return models.map(({ mean, L }) => {
+    if(!L) return mean;
+    const e = mean.map(() => normal());
+    return mean.map((m, i) => {
+      let v = m;
+      for(let k = 0; k <= i; k++) v += L[i][k] * e[k];
+      return v;
+    });
+  });
+}
+
+// -------- Curvas de utilidade por critério --------
+// Cada curva transforma o Z orientado como benefício (maior = melhor) num valor na
+// mesma escala [-3, 3], antes da agregação. Configuração por id do critério, ex.:
+//   { custo: {tipo:'exponencial', rho:2}, qualidade: {tipo:'limiar', limiar:-1, saciedade:1.5} }
+export const UTILITY_Z_MIN = -3;
+export const UTILITY_Z_MAX = 3;
+export const UTILITY_TYPES = {
+  linear:      'Linear',
+  por_partes:  'Linear por partes',
+  exponencial: 'Exponencial (aversão a risco)',
+  limiar:      'Limiar e saciedade'
+};
+
+// Parâmetros de cada curva, na ordem do texto "tipo,param,..." (link e CLI)
+export const UTILITY_PARAM_KEYS = {
+  linear:      [],
+  por_partes:  ['pontos'],
+  exponencial: ['rho'],
+  limiar:      ['limiar', 'saciedade']
+};
+
+export const clampZ = z => Math.min(UTILITY_Z_MAX, Math.max(UTILITY_Z_MIN, z));
+
+// "-3:-3; 0:1; 3:3" -> [[-3, -3], [0, 1], [3, 3]] (aceita vírgula decimal)
+export function parseUtilityPoints(text){
+  return String(text).split(';')
+    .map(p => p.split(':').map(v => parseFloat(v.replace(',', '.'))))
+    .filter(p => p.length === 2 && p.every(Number.isFinite));
+}
+
+// "exponencial,2", "limiar,-1,1.5", "por_partes,-3:-3;0:1;3:3" -> {tipo, ...};
+// parâmetros ausentes ficam com o padrão de utilityFunction; tipo desconhecido -> null
+export function parseUtility(text){
+  const [tipo, ...values] = String(text).trim().split(',');
+  if(!UTILITY_PARAM_KEYS[tipo]) return null;
+  const cfg = { tipo };
+  UTILITY_PARAM_KEYS[tipo].forEach((key, i) => {
+    if(values[i] === undefined) return;
+    cfg[key] = key === 'pontos' ? parseUtilityPoints(values[i]) : parseFloat(values[i]);
+  });
+  return cfg;
+}
+
+// Devolve u(z) para uma configuração de curva
+export function utilityFunction(cfg){
+  const span = UTILITY_Z_MAX - UTILITY_Z_MIN;
+  switch(cfg?.tipo){
+    case 'por_partes': {
+      // pontos [[x, y], ...] ordenados por x; constante fora do intervalo
+      const pts = [...(cfg.pontos || [])].sort((a, b) => a[0] - b[0]);
+      if(pts.length < 2) return z => z;
+      return z => {
+        if(z <= pts[0][0]) return pts[0][1];
+        for(let i = 1; i < pts.length; i++){
+          const [x0, y0] = pts[i-1], [x1, y1] = pts[i];
+          if(z <= x1) return x1 === x0 ? y1 : y0 + (y1 - y0) * (z - x0) / (x1 - x0);
+        }
+        return pts[pts.length - 1][1];
+      };
+    }
+    case 'exponencial': {
+      // rho > 0: côncava (avesso a risco); rho < 0: convexa; rho = 0: linear
+      const rho = Number(cfg.rho) || 0;
+      if(Math.abs(rho) < 1e-9) return z => z;
+      return z => {
+        const t = (clampZ(z) - UTILITY_Z_MIN) / span;
+        return UTILITY_Z_MIN + span * (1 - Math.exp(-rho * t)) / (1 - Math.exp(-rho));
+      };
+    }
+    case 'limiar': {
+      // Abaixo do limiar vale o mínimo; acima da saciedade, o máximo; rampa no meio
+      const lo = Number(cfg.limiar ?? -1), hi = Number(cfg.saciedade ?? 1);
+      if(!(hi > lo)) return z => (z >= lo ? UTILITY_Z_MAX : UTILITY_Z_MIN);
+      return z => UTILITY_Z_MIN + span * Math.min(1, Math.max(0, (z - lo) / (hi - lo)));
+    }
+    default:
+      return z => z;
+  }
+}
+
+export function hasActiveUtilities(utilities){
+  return !!utilities && Object.values(utilities).some(u => u && u.tipo && u.tipo !== 'linear');
+}
+
+// Aplica as curvas a uma matriz Z (na orientação original de cada critério)
+function applyUtilities(Z, fns, dirs){
+  return Z.map(z => z.map((v, i) => dirs[i] * fns[i](dirs[i] * v)));
+}
+
+// Envolve um método de agregação para aplicar as curvas antes do escore
+function withUtilities(agg, utilities, criteria){
+  if(!hasActiveUtilities(utilities)) return agg;
+  const fns = criteria.map(c => utilityFunction(utilities[c.id]));
+  return { ...agg, linear: false, scores: (Z, w, dirs) => agg.scores(applyUtilities(Z, fns, dirs), w, dirs) };
+}
+
+export function describeUtility(cfg){
+  const tipo = UTILITY_TYPES[cfg?.tipo] ? cfg.tipo : 'linear';
+  const label = msg(`utilidade.tipo.${tipo}`, UTILITY_TYPES[tipo]);
+  switch(tipo){
+    case 'por_partes':  return `${label}: ${(cfg.pontos || []).map(([x, y]) => `(${x}; ${y})`).join(' ')}`;
+    case 'exponencial': return `${label}: ρ = ${cfg.rho}`;
+    case 'limiar':      return `${label}: ${msg('utilidade.descricaoLimiar', 'limiar Z = {limiar}, saciedade Z = {saciedade}', { limiar: cfg.limiar, saciedade: cfg.saciedade })}`;
+    default:            return label;
+  }
+}
+
+// -------- Métodos de agregação (MCDA) --------
+// Cada método recebe Z = [[z1, z2, ...], ...], os pesos (vetor na ordem dos critérios)
+// e as direções (+1 maior é melhor, -1 menor é melhor) e devolve um escore por linha
+// (maior = melhor). toNota leva o escore para a escala 0-10 e notaScale converte o
+// desvio do escore em margem de erro na mesma escala.
+export const DEFAULT_AGGREGATION = 'linear';
+const AGG_UNCERTAINTY_SAMPLES = 600;
+const PROMETHEE_P = 2; // limiar de preferência estrita, em desvios-padrão de Z
+
+// Orienta os critérios como benefício (maior = melhor)
+const toBenefit = (z, dirs) => z.map((v, i) => dirs[i] * v);
+
+function topsisScores(Z, w, dirs){
+  const B = Z.map(z => toBenefit(z, dirs));
+  const cols = dirs.map((_, c) => c);
+  const norms = cols.map(c => Math.sqrt(B.reduce((sum, row) => sum + row[c]**2, 0)) || 1);
+  const V = B.map(row => row.map((v, c) => (w[c] || 0) * v / norms[c]));
+  const ideal = cols.map(c => Math.max(...V.map(v => v[c])));
+  const antiIdeal = cols.map(c => Math.min(...V.map(v => v[c])));
+  const dist = (a, b) => Math.sqrt(a.reduce((sum, v, c) => sum + (v - b[c])**2, 0));
+  return V.map(v => {
+    const dPlus = dist(v, ideal), dMinus = dist(v, antiIdeal);
+    return dPlus + dMinus > 0 ? dMinus / (dPlus + dMinus) : 0.5;
+  });
+}
+
+function prometheeScores(Z, w, dirs){
+  const wSum = w.reduce((a, v) => a + (v || 0), 0) || 1;
+  const B = Z.map(z => toBenefit(z, dirs));
+  const n = B.length;
+  if(n < 2) return B.map(() => 0);
+  // Função de preferência linear (tipo V): 0 em d<=0, 1 em d>=PROMETHEE_P
+  const pref = d => Math.min(Math.max(d, 0) / PROMETHEE_P, 1);
+  return B.map((a, i) => {
+    let phi = 0;
+    B.forEach((o, j) => {
+      if(i === j) return;
+      a.forEach((v, c) => {
+        phi += (w[c] || 0) * (pref(v - o[c]) - pref(o[c] - v)) / wSum;
+      });
+    });
+    return phi / (n - 1); // fluxo líquido em [-1, 1]
+  });
+}
+
+function weightedProductScores(Z, w, dirs){
+  const wSum = w.reduce((a, v) => a + (v || 0), 0) || 1;
+  // Produto exige valores positivos: usa o percentil Φ(z) de cada critério
+  return Z.map(z => toBenefit(z, dirs).reduce((prod, v, c) => prod * Math.pow(Math.max(normalCdf(v), 1e-9), (w[c] || 0) / wSum), 1));
+}
+
+export const AGGREGATION_METHODS = {
+  linear: {
+    label: 'Soma ponderada (linear)',
+    linear: true,
+    scores: (Z, w, dirs) => Z.map(z => linearScore(z, w, dirs)),
+    toNota: s => ((s + 3) / 6) * 10,
+    notaScale: 10 / 6
+  },
+  topsis: {
+    label: 'TOPSIS',
+    scores: topsisScores,
+    toNota: s => s * 10,
+    notaScale: 10
+  },
+  promethee: {
+    label: 'PROMETHEE II',
+    scores: prometheeScores,
+    toNota: s => (s + 1) * 5,
+    notaScale: 5
+  },
+  wpm: {
+    label: 'Produto ponderado',
+    scores: weightedProductScores,
+    toNota: s => s * 10,
+    notaScale: 10
+  }
+};
+
+export function getAggregationMethod(method){
+  return AGGREGATION_METHODS[method] || AGGREGATION_METHODS[DEFAULT_AGGREGATION];
+}
+
+// Escore no ponto médio e desvio-padrão do escore propagado por Monte Carlo
+// (para métodos sem fórmula fechada de variância)
+function aggregateWithUncertainty(zData, w, agg, {samples = AGG_UNCERTAINTY_SAMPLES, seed = 54321, criteria = DEFAULT_CRITERIA} = {}){
+  const dirs = criteriaDirections(criteria);
+  const models = buildSamplingModels(zData, criteria);
+  const faltantes = models.map(m => m.faltantes);
+  const scores = agg.scores(fillMissing(models.map(m => m.mean), faltantes, w, dirs), w, dirs);
+  const normal = gaussianSampler(seededRandom(seed));
+  const sum = new Array(models.length).fill(0), sumSq = new Array(models.length).fill(0);
+  for(let s = 0; s < samples; s++){
+    agg.scores(fillMissing(drawZSample(models, normal), faltantes, w, dirs), w, dirs).forEach((v, i) => { sum[i] += v; sumSq[i] += v * v; });
+  }
+  const sd = sum.map((v, i) => {
+    const mean = v / samples;
+    return Math.sqrt(Math.max(0, sumSq[i] / samples - mean * mean));
+  });
+  return { scores, sd };
+}
+
+// -------- ranking bruto --------
+export function computeRanking(zData, weights, {method = DEFAULT_AGGREGATION, criteria = DEFAULT_CRITERIA, utilities = null} = {}){
+  // Curvas de utilidade não lineares tiram o método da fórmula fechada de variância
+  const agg = withUtilities(getAggregationMethod(method), utilities, criteria);
+  // pesos já estão entre 0 e 1 (não percentual) - vêm do entrada.js
+  const w = toWeightVector(weights);
+  const dirs = criteriaDirections(criteria);
+
+  const results = readZRows(zData, criteria).map(({ idx, pos, key, z, cov, faltantes })=>{
+    // Critérios faltantes saem da conta e os pesos dos demais são renormalizados
+    const avail = w.map((v, k) => faltantes.includes(k) ? 0 : (v || 0));
+    const wSum = avail.reduce((a, v) => a + v, 0);
+    const wRow = faltantes.length ? avail.map(v => wSum > 0 ? v / wSum : 0) : w;
+    const Zranking = linearScore(z, wRow, dirs);
+    
+    let s_Zrank = 0;
+    
+    if(cov){
+      // Var(Σ dᵢ·wᵢ·Zᵢ) = Σᵢ Σⱼ dᵢ·dⱼ·wᵢ·wⱼ·Cov(Zᵢ,Zⱼ)
+      // Com os 3 critérios padrão (Z = -r*C + g*Q - b*P):
+      // Var(Z) = r²*Var(C) + g²*Var(Q) + b²*Var(P) 
+      //         - 2*r*g*Cov(C,Q) + 2*r*b*Cov(C,P) - 2*g*b*Cov(Q,P)
+      // Sem covariâncias no CSV, os termos fora da diagonal são zero.
+      let variance = 0;
+      for(let a = 0; a < cov.length; a++){
+        for(let b = 0; b < cov.length; b++){
+          variance += dirs[a] * dirs[b] * (wRow[a] || 0) * (wRow[b] || 0) * cov[a][b];
+        }
+      }
+      s_Zrank = Math.sqrt(Math.max(0, variance));
+    }
+    
+    const info = zData.faltantes?.[idx] || (faltantes.length ? { politica: 'reponderar', criterios: faltantes } : null);
+    return { idx, id:(pos+1), pos, key, Zranking, s_Zrank, ...(info ? { faltantes: { ...info, descricao: describeMissing(info, criteria) } } : {}) };
+  });
+
+  // Métodos não lineares: Zranking/s_Zrank passam a ser o escore do método e seu desvio
+  if(!agg.linear){
+    const { scores, sd } = aggregateWithUncertainty(zData, w, agg, { criteria });
+    results.forEach((res, i) => { res.Zranking = scores[i]; res.s_Zrank = sd[i]; });
+  }
+
+  // Reescalonamento para nota absoluta 0-10 baseado em distribuição gaussiana
+  const Z_MIN = -3;
+  const Z_MAX = 3;
+  const Z_RANGE = Z_MAX - Z_MIN; // 6
+  
+  // Calcula número de casas decimais baseado no menor erro (2 algarismos significativos)
+  function significativeDecimalPlaces(n){
+    if(n === 0) return 2;
+    const absN = Math.abs(n);
+    
+    // Converte para notação científica para identificar posição do primeiro dígito
+    const exp = Math.floor(Math.log10(absN));
+    
+    // Número de casas decimais para números < 1 é |expoente|, para >= 1 é 2
+    if(exp < 0){
+      // Para 0.01 (exp=-2), precisamos de 2 casas
+      // Para 0.001 (exp=-3), precisamos de 3 casas
+      return Math.abs(exp);
+    } else {
+      // Para números >= 1, sempre 2 casas
+      return 2;
+    }
+  }
+  
+  // Erros em unidades equivalentes de Z (idêntico a s_Zrank no método linear)
+  const sZValues = results.map(r => r.s_Zrank * agg.notaScale * Z_RANGE / 10).filter(e => e > 0);
+  // Se não houver erros, usa 2 casas decimais padrão
+  const numDecimals = sZValues.length > 0 
+    ? significativeDecimalPlaces(Math.min(...sZValues))
+    : 2;
+  
+  const processed = results.map(r => {
+    // Mapeia de [-3, +3] para [0, 10] - escala absoluta baseada em distribuição gaussiana
+    let nota;
+    if(!agg.linear) {
+      // Demais métodos já têm escala própria limitada
+      nota = Math.min(10, Math.max(0, agg.toNota(r.Zranking)));
+    } else if(r.Zranking <= Z_MIN) {
+      nota = 0; // Zranking <= -3 → nota 0
+    } else if(r.Zranking >= Z_MAX) {
+      nota = 10; // Zranking >= +3 → nota 10
+    } else {
+      // Interpolação linear entre -3 e +3
+      nota = ((r.Zranking - Z_MIN) / Z_RANGE) * 10;
+    }
+    
+    // Reescalona margem de erro proporcionalmente para a escala 0-10
+    const margemErroReescalada = r.s_Zrank * agg.notaScale;
+    const multiplier = Math.pow(10, numDecimals);
+    return { 
+      ...r, 
+      metodo: method in AGGREGATION_METHODS ? method : DEFAULT_AGGREGATION,
+      nota: Math.round(nota * multiplier) / multiplier,
+      margemErro: Math.round(margemErroReescalada * multiplier) / multiplier
+    };
+  });
+  
+  // Retorna os resultados junto com o número de casas decimais
+  return { items: processed, decimals: numDecimals };
+}
+
+// -------- Fronteira de Pareto (independente dos pesos) --------
+// Direção de cada critério vem da definição (ex.: custo e prazo: menor é melhor).
+// Com useUncertainty, A só domina B se for pelo menos tão bom em todos os critérios
+// e melhor por mais de k·σ combinado em algum deles (dominância robusta).
+export function paretoAnalysis(zData, {useUncertainty = false, k = 1, criteria = DEFAULT_CRITERIA} = {}){
+  const dir = criteriaDirections(criteria);
+  const pts = readZRows(zData, criteria).map(({ z, s, faltantes }) => ({ z, s: s || z.map(() => 0), faltantes }));
+
+  // Critério faltante em qualquer dos dois não entra na comparação
+  const dominates = (a, b) => {
+    let strictly = false;
+    for(let c = 0; c < dir.length; c++){
+      if(a.faltantes.includes(c) || b.faltantes.includes(c)) continue;
+      const gain = dir[c] * (a.z[c] - b.z[c]);
+      if(gain < 0) return false;
+      const tol = useUncertainty ? k * Math.sqrt(a.s[c]**2 + b.s[c]**2) : 0;
+      if(gain > tol) strictly = true;
+    }
+    return strictly;
+  };
+
+  return pts.map((b, i) => {
+    const dominatedBy = [];
+    pts.forEach((a, j) => { if(j !== i && dominates(a, b)) dominatedBy.push(j); });
+    return { idx: i, dominated: dominatedBy.length > 0, dominatedBy };
+  });
+}
+
+// Anexa a cada item os rótulos das soluções que o dominam
+export function attachPareto(items, pareto){
+  const labelByIdx = new Map(items.map(it => [it.idx, it.coordStr || it.nome]));
+  return items.map(it => ({
+    ...it,
+    dominatedBy: (pareto[it.idx]?.dominatedBy || []).map(j => labelByIdx.get(j) ?? `Sol ${j+1}`)
+  }));
+}
+
+// -------- Vencedor por ponto do triângulo --------
+// Devolve uma função (pesos) -> índice da linha que fica em 1º, com o mesmo
+// método de agregação de computeRanking; usada pelo overlay de regiões do entrada.js
+export function rankingWinnerFn(zData, method = DEFAULT_AGGREGATION, criteria = DEFAULT_CRITERIA, utilities = null){
+  const scoreFn = rankingScoreFn(zData, method, criteria, utilities);
+  return (weights) => {
+    let best = -1, bestScore = -Infinity;
+    scoreFn(weights).forEach((score, i) => {
+      if(score > bestScore){ bestScore = score; best = i; }
+    });
+    return best;
+  };
+}
+
+// (pesos) -> escore de cada linha, sem incerteza (mesmo Zranking de computeRanking)
+export function rankingScoreFn(zData, method = DEFAULT_AGGREGATION, criteria = DEFAULT_CRITERIA, utilities = null){
+  const agg = withUtilities(getAggregationMethod(method), utilities, criteria);
+  const dirs = criteriaDirections(criteria);
+  const rows = readZRows(zData, criteria);
+  const Z = rows.map(row => row.z);
+  const faltantes = rows.map(row => row.faltantes);
+  return (weights) => {
+    const w = toWeightVector(weights);
+    return agg.scores(fillMissing(Z, faltantes, w, dirs), w, dirs);
+  };
+}
+
+// -------- Robustez a inversão de ranking --------
+// Quanto os pesos precisam mudar para trocar posições vizinhas e até onde cada
+// peso pode ir (com os demais mantendo a proporção) sem tirar o 1º colocado.
+const ROBUSTNESS_STEP = 0.005;
+const FLIP_MAX_ITER = 40;
+
+// Move o peso do critério i para v; os demais mantêm a proporção entre si
+function shiftWeight(w, i, v){
+  const rest = 1 - w[i];
+  return w.map((x, j) => j === i ? v : (rest > 1e-12 ? x * (1 - v) / rest : (1 - v) / (w.length - 1)));
+}
+
+// Faixa [lo, hi] do peso do critério i em que leader fica à frente de todos os rivais.
+// null = aguenta até o limite (0% ou 100%)
+function criterionTolerance(scoreFn, w, leader, rivals, i){
+  const holds = v => {
+    const s = scoreFn(shiftWeight(w, i, v));
+    return rivals.every(r => s[leader] >= s[r]);
+  };
+  const edge = dir => {
+    let ok = w[i];
+    for(;;){
+      const next = Math.min(1, Math.max(0, ok + dir * ROBUSTNESS_STEP));
+      if(next === ok) return null;
+      if(!holds(next)){
+        // bisseção entre o último ponto que segura e o primeiro que inverte
+        let a = ok, b = next;
+        for(let k = 0; k < 30; k++){ const m = (a + b) / 2; if(holds(m)) a = m; else b = m; }
+        return (a + b) / 2;
+      }
+      ok = next;
+    }
+  };
+  return { lo: edge(-1), hi: edge(+1) };
+}
+
+// Menor mudança de pesos (distância euclidiana no simplex) que empata a e b.
+// Newton projetado no plano Σw = 1: exato para o método linear, aproximado nos demais.
+// Devolve null quando nenhuma combinação de pesos inverte o par (ex.: dominância de Pareto).
+function pairFlipDistance(scoreFn, w, a, b){
+  const n = w.length, h = 1e-5;
+  const gap = v => { const s = scoreFn(v); return s[a] - s[b]; };
+  let cur = [...w];
+  for(let it = 0; it < FLIP_MAX_ITER; it++){
+    const D = gap(cur);
+    if(Math.abs(D) < 1e-9) break;
+    // Derivada ao longo de eⱼ - 1/n (direções que preservam a soma dos pesos)
+    const g = cur.map((_, j) => gap(cur.map((x, k) => x + h * ((k === j ? 1 : 0) - 1 / n))) - D).map(v => v / h);
+    const mean = g.reduce((acc, v) => acc + v, 0) / n;
+    const gp = g.map(v => v - mean);
+    const norm2 = gp.reduce((acc, v) => acc + v * v, 0);
+    if(norm2 < 1e-18) return null;
+    const next = cur.map((x, j) => Math.max(0, x - D * gp[j] / norm2));
+    const sum = next.reduce((acc, v) => acc + v, 0);
+    const moved = next.map(v => v / sum);
+    if(moved.every((v, j) => Math.abs(v - cur[j]) < 1e-12)) return null;
+    cur = moved;
+  }
+  if(Math.abs(gap(cur)) > 1e-6) return null;
+  const distance = Math.sqrt(cur.reduce((acc, v, j) => acc + (v - w[j]) ** 2, 0));
+  return { distance, weights: cur };
+}
+
+// order: idx das linhas na ordem atual do ranking (1º primeiro)
+export function rankReversalAnalysis(zData, weights, order, {method = DEFAULT_AGGREGATION, criteria = DEFAULT_CRITERIA, utilities = null} = {}){
+  const scoreFn = rankingScoreFn(zData, method, criteria, utilities);
+  const w = toWeightVector(weights);
+  const flips = order.slice(0, -1).map((a, k) => {
+    const b = order[k + 1];
+    const flip = pairFlipDistance(scoreFn, w, a, b);
+    return { posicao: k + 1, a, b, distance: flip?.distance ?? null, weights: flip?.weights ?? null };
+  });
+  const tolerance = order.length > 1
+    ? criteria.map((c, i) => ({ criterio: c.nome, peso: w[i], ...criterionTolerance(scoreFn, w, order[0], order.slice(1), i) }))
+    : [];
+  return { flips, tolerance };
+}
+
+const pctWeight = v => `${fixed(v * 100, 1, true)}%`;
+
+// Frase curta para o pódio, ex.: "Ouro se mantém a menos que o peso de prazo suba acima de 48%"
+export function describeRobustness(analysis, leaderLabel){
+  if(!analysis?.tolerance?.length) return '';
+  const conds = [];
+  analysis.tolerance.forEach(t => {
+    const nome = t.criterio.toLowerCase();
+    if(t.hi !== null) conds.push(msg('robustez.sobe', 'o peso de {criterio} suba acima de {peso}', { criterio: nome, peso: pctWeight(t.hi) }));
+    if(t.lo !== null) conds.push(msg('robustez.cai', 'o peso de {criterio} caia abaixo de {peso}', { criterio: nome, peso: pctWeight(t.lo) }));
+  });
+  if(!conds.length) return msg('robustez.semInversao', '{lider} se mantém em 1º com qualquer peso isolado de critério.', { lider: leaderLabel });
+  return msg('robustez.mantem', '{lider} se mantém em 1º a menos que {condicoes}.', { lider: leaderLabel, condicoes: conds.join(` ${msg('lista.ou', 'ou')} `) });
+}
+
+// Versão serializável para o relatório PDF
+export function robustnessReport(analysis, items, criteria){
+  if(!analysis || !items?.length) return null;
+  const byIdx = new Map(items.map(it => [it.idx, it]));
+  const label = idx => { const it = byIdx.get(idx); return it ? (it.coordStr || it.nome) : `#${idx + 1}`; };
+  const leader = byIdx.get(analysis.flips[0]?.a);
+  const pct = v => v === null ? null : Math.round(v * 1000) / 10;
+  return {
+    frase: describeRobustness(analysis, leader ? (leader.coordStr ? `${leader.nome} (${leader.coordStr})` : leader.nome) : msg('robustez.primeiro', '1º')),
+    tolerancias: analysis.tolerance.map(t => ({ criterio: t.criterio, peso: pct(t.peso), min: pct(t.lo), max: pct(t.hi) })),
+    inversoes: analysis.flips.map(f => ({
+      posicao: f.posicao,
+      a: label(f.a),
+      b: label(f.b),
+      distancia: pct(f.distance),
+      pesos: f.weights ? criteria.map((c, i) => ({ nome: c.nome, peso: pct(f.weights[i]) })) : null
+    }))
+  };
+}
+
+// -------- Simulação Monte Carlo (probabilidade de posição) --------
+export const MC_SAMPLES = 4000;
+
+// Sorteia amostras correlacionadas dos Zscores de cada solução (ex.: ZCusto,
+// ZQualidade, ZPrazo), recalcula o escore do método de agregação em cada sorteio
+// e conta em que posição cada solução termina. Com 'rows' (índices das linhas
+// elegíveis), só essas disputam posições; as demais ficam null no resultado.
+export function simulateRankProbabilities(zData, weights, {samples = MC_SAMPLES, seed = 12345, method = DEFAULT_AGGREGATION, criteria = DEFAULT_CRITERIA, utilities = null, rows = null} = {}){
+  const agg = withUtilities(getAggregationMethod(method), utilities, criteria);
+  const w = toWeightVector(weights);
+  const dirs = criteriaDirections(criteria);
+  const allModels = buildSamplingModels(zData, criteria);
+  const members = rows ? rows.filter(i => allModels[i]) : allModels.map((_, i) => i);
+  const models = members.map(i => allModels[i]);
+  const n = models.length;
+  if(!n) return [];
+
+  const normal = gaussianSampler(seededRandom(seed));
+
+  // counts[i][k] = nº de sorteios em que a solução i terminou na posição k (0 = 1º)
+  const counts = models.map(() => new Array(n).fill(0));
+  const order = models.map((_, i) => i);
+
+  for(let s = 0; s < samples; s++){
+    const scores = agg.scores(fillMissing(drawZSample(models, normal), models.map(m => m.faltantes), w, dirs), w, dirs);
+    order.sort((a, c) => scores[c] - scores[a]);
+    order.forEach((i, pos) => { counts[i][pos]++; });
+  }
+
+  const result = allModels.map(() => null);
+  counts.forEach((c, k) => {
+    const rankDist = c.map(v => v / samples);
+    result[members[k]] = {
+      idx: members[k],
+      pFirst: rankDist[0],
+      pTop3: rankDist.slice(0, 3).reduce((a, v) => a + v, 0),
+      rankDist
+    };
+  });
+  return result;
+}
+
+export function formatPct(p){
+  return `${fixed(p * 100, p > 0 && p < 0.01 ? 1 : 0)}%`;
+}
+
+// -------- Matriz de dominância P(A > B) --------
+// Função de distribuição acumulada da normal padrão (aproximação de Abramowitz-Stegun 7.1.26)
+export function normalCdf(x){
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// P(Zranking_A > Zranking_B) assumindo erros normais e independentes entre soluções.
+// s_Zrank já inclui variâncias e covariâncias de cada linha (ver computeRanking).
+export function dominanceProbability(a, b){
+  const diff = a.Zranking - b.Zranking;
+  const sd = Math.sqrt(a.s_Zrank**2 + b.s_Zrank**2);
+  if(sd === 0) return diff > 0 ? 1 : (diff < 0 ? 0 : 0.5);
+  return normalCdf(diff / sd);
+}
+
+// Matriz completa, ordenada pelo ranking: matrix[i][j] = P(item i > item j)
+export function pairwiseDominance(items){
+  const sorted = [...items].sort((a,b) => b.Zranking - a.Zranking);
+  const matrix = sorted.map((a, i) => sorted.map((b, j) => i === j ? null : dominanceProbability(a, b)));
+  return { items: sorted, matrix };
+}
+
+// -------- enriquece com nomes/coords --------
+// Junção pela coordenada canônica: a linha com key (ver zRowRefs) pega a linha do CSV de
+// nomes com o mesmo id. Sem coluna de coordenadas no CSV de Zscores (key undefined), a
+// linha i dos Zscores é a linha i dos nomes. nameIdx = linha casada no CSV de nomes (ou null).
+export function enrichWithNames(rows, namesParsed){
+  const nameCol  = headerLike(namesParsed.header, 'nome') || namesParsed.header[0];
+  const coordCol = coordColumn(namesParsed.header);
+  const { byId } = indexById(namesParsed.rows, row => coordCol ? row[coordCol] : null);
+  return rows.map(r=>{
+    const pos = r.pos ?? r.idx;
+    const nameIdx = r.key !== undefined ? byId.get(r.key) ?? null : (namesParsed.rows[pos] ? pos : null);
+    const row = nameIdx != null ? namesParsed.rows[nameIdx] : null;
+    const nome = row?.[nameCol] ?? `Sol ${r.id}`;
+    const coordOriginal = (coordCol && row?.[coordCol]) || r.key || '';
+    const coordStr = canonicalId(coordOriginal) || coordOriginal;
+    return { ...r, nome, coordStr, coordOriginal, coord: parseCoord(coordStr), nameIdx };
+  });
+}
+
+// -------- Integridade entre as fontes (junção pela coordenada) --------
+// Cruza os ids canônicos do CSV de Zscores (quando tem coluna de coordenadas), do CSV
+// de nomes e do JSON de descrições: órfãos (id em uma fonte e não na outra), ids
+// repetidos ou ilegíveis e ids fora de controle_de_versao.linhas_ativas.
+// Cada problema: { nivel: 'erro'|'aviso', arquivo, tipo, id, mensagem }.
+export const INTEGRITY_TYPES = ['orfao', 'duplicado', 'inativo', 'invalido'];
+
+export function integrityReport({zData, namesParsed, descriptions}){
+  const problems = [];
+  const add = (nivel, arquivo, tipo, id, key, text, params = {}) =>
+    problems.push({ nivel, arquivo, tipo, id: id ?? null, mensagem: msg(key, text, params) });
+
+  // Nomes: fonte de referência das coordenadas
+  const coordCol = namesParsed?.header ? coordColumn(namesParsed.header) : null;
+  const names = coordCol ? indexById(namesParsed.rows, row => row[coordCol]) : null;
+  if(names){
+    names.invalidos.forEach(({ pos, valor }) =>
+      add('aviso', 'nomes', 'invalido', null, 'dados.coordInvalida', 'Linha {linha}: coordenada "{coord}" não reconhecida (formato I.1 ou I.1.a).', { linha: pos + 2, coord: valor }));
+    names.duplicados.forEach(({ pos, id }) =>
+      add('erro', 'nomes', 'duplicado', id, 'dados.coordRepetida', 'Linha {linha}: coordenada {coord} repetida.', { linha: pos + 2, coord: id }));
+  }
+
+  // Zscores: pela chave quando há coluna de coordenadas; senão, mesma quantidade de linhas
+  const zCoordCol = zData?.header ? coordColumn(zData.header) : null;
+  if(zCoordCol){
+    const z = indexById(zData.rows, row => row[zCoordCol]);
+    z.invalidos.forEach(({ pos, valor }) =>
+      add('aviso', 'zscores', 'invalido', null, 'integridade.zCoordInvalida', 'Zscores, linha {linha}: coordenada "{coord}" não reconhecida; a linha fica sem nome.', { linha: pos + 2, coord: valor }));
+    z.duplicados.forEach(({ pos, id }) =>
+      add('erro', 'zscores', 'duplicado', id, 'integridade.zCoordRepetida', 'Zscores, linha {linha}: coordenada {coord} repetida.', { linha: pos + 2, coord: id }));
+    if(names){
+      [...z.byId.keys()].filter(id => !names.byId.has(id)).forEach(id =>
+        add('erro', 'alinhamento', 'orfao', id, 'integridade.zSemNome', 'Coordenada {coord} tem Zscores, mas não está no CSV de nomes.', { coord: id }));
+      [...names.byId.keys()].filter(id => !z.byId.has(id)).forEach(id =>
+        add('aviso', 'alinhamento', 'orfao', id, 'integridade.nomeSemZ', 'Coordenada {coord} está no CSV de nomes, mas não tem Zscores; fica fora do ranking.', { coord: id }));
+    }
+  } else if(zData?.rows?.length && namesParsed?.rows?.length && zData.rows.length !== namesParsed.rows.length){
+    add('erro', 'alinhamento', 'orfao', null, 'dados.linhasDesalinhadas', 'CSV de Zscores tem {z} linhas e o de nomes tem {n}; as linhas são associadas por posição.', { z: zData.rows.length, n: namesParsed.rows.length });
+  }
+
+  // Descrições: ids das soluções contra as coordenadas dos nomes
+  const items = Array.isArray(descriptions?.itens) ? descriptions.itens : null;
+  if(items){
+    const withId = items.filter(item => item && item.id);
+    if(withId.length < items.length) add('aviso', 'descricoes', 'invalido', null, 'dados.itemSemId', '{n} item(ns) sem "id" no JSON de descrições.', { n: items.length - withId.length });
+    const desc = indexById(withId, item => item.id);
+    desc.invalidos.forEach(({ valor }) =>
+      add('aviso', 'descricoes', 'invalido', null, 'integridade.idInvalido', 'Descrição com id "{id}" que não é uma coordenada.', { id: valor }));
+    desc.duplicados.forEach(({ id }) =>
+      add('erro', 'descricoes', 'duplicado', id, 'integridade.idRepetido', 'Descrição {id} repetida; vale a primeira.', { id }));
+    if(names?.byId.size){
+      [...names.byId.keys()].filter(id => !desc.byId.has(id)).forEach(id =>
+        add('aviso', 'descricoes', 'orfao', id, 'dados.coordSemDescricao', 'Coordenada {coord} sem descrição no JSON; o detalhe da solução não abre.', { coord: id }));
+      [...desc.byId.keys()].filter(id => !names.byId.has(id)).forEach(id =>
+        add('aviso', 'descricoes', 'orfao', id, 'dados.descricaoSemLinha', 'Descrição {id} sem linha correspondente no CSV de nomes.', { id }));
+    }
+
+    // Linhas ativas declaradas no próprio JSON
+    const active = descriptions.controle_de_versao?.linhas_ativas;
+    if(Array.isArray(active)){
+      const activeIds = new Set(active.map(canonicalId).filter(Boolean));
+      const ids = new Set([...(names ? names.byId.keys() : []), ...desc.byId.keys()]);
+      [...ids].filter(id => !activeIds.has(id)).forEach(id =>
+        add('aviso', 'descricoes', 'inativo', id, 'integridade.foraDasAtivas', 'Coordenada {coord} não está em controle_de_versao.linhas_ativas.', { coord: id }));
+      const total = descriptions.controle_de_versao.numero_total_de_linhas_ativas;
+      if(Number.isInteger(total) && total !== active.length){
+        add('aviso', 'descricoes', 'inativo', null, 'integridade.totalAtivas', 'controle_de_versao declara {total} linhas ativas, mas lista {n}.', { total, n: active.length });
+      }
+    }
+  }
+
+  return {
+    ok: !problems.some(p => p.nivel === 'erro'),
+    problemas: problems,
+    contagem: Object.fromEntries(INTEGRITY_TYPES.map(tipo => [tipo, problems.filter(p => p.tipo === tipo).length]))
+  };
+}
+
+// -------- Validação de um conjunto de dados (upload) --------
+// Aviso do leitor de CSV ({ linha, celulas, coagidas, campos? }) em uma frase
+export function describeCsvWarning(w){
+  const parts = [];
+  if(w.campos) parts.push(msg('csv.campos', '{encontrado} campos, esperados {esperado}', w.campos));
+  if(w.celulas?.length) parts.push(msg('csv.celulas', 'valores ilegíveis em {lista}', {
+    lista: w.celulas.map(c => `"${c.coluna}" ("${c.valor}")`).join(', ')
+  }));
+  if(w.coagidas?.length) parts.push(msg('csv.coagidas', 'valores convertidos em {lista}', {
+    lista: w.coagidas.map(c => `"${c.coluna}" ("${c.valor}" → ${c.para ?? msg('csv.ausente', 'ausente')})`).join(', ')
+  }));
+  return msg('csv.linha', 'Linha {linha}: {detalhe}.', { linha: w.linha, detalhe: parts.join('; ') });
+}
+
+// Avisos do leitor que sobram depois de tirar as células já tratadas (chave "linha|coluna")
+function csvWarnings(table, handled = new Set()){
+  const pending = (w, cells) => (cells || []).filter(c => !handled.has(`${w.linha}|${c.coluna}`));
+  return (table?.avisos || [])
+    .map(w => ({ ...w, celulas: pending(w, w.celulas), coagidas: pending(w, w.coagidas) }))
+    .filter(w => w.campos || w.celulas.length || w.coagidas.length);
+}
+
+// Confere Zscores, nomes e descrições antes de usá-los: colunas obrigatórias e
+// números legíveis, mais o relatório de integridade entre as fontes (integrityReport).
+// "erro" impede o uso; "aviso" só informa.
+export function validateDataset({zData, namesParsed, descriptions}, criteria = DEFAULT_CRITERIA){
+  const issues = [];
+  const add = (nivel, arquivo, key, text, params) => issues.push({ nivel, arquivo, mensagem: msg(key, text, params) });
+
+  // Zscores: colunas por critério e células numéricas
+  let zCols = [];
+  if(!zData?.rows?.length){
+    add('erro', 'zscores', 'dados.zVazio', 'CSV de Zscores sem linhas.');
+  } else {
+    try {
+      const cols = detectZColumns(zData.header, criteria);
+      if(!cols.hasErrors) add('aviso', 'zscores', 'dados.semErros', 'Sem colunas de erro padrão (s_Z) para todos os critérios; as notas ficam sem margem de erro.');
+      zCols = [...cols.zCols, ...(cols.hasErrors ? cols.sCols : []), ...new Set(cols.covCols.flat().filter(Boolean))];
+    } catch(err) {
+      issues.push({ nivel: 'erro', arquivo: 'zscores', mensagem: err.message });
+    }
+    // Células que o leitor não conseguiu ler viram null; o valor original está nos avisos dele
+    const unreadable = new Map();
+    (zData.avisos || []).forEach(w => (w.celulas || []).forEach(c => unreadable.set(`${w.linha}|${c.coluna}`, c.valor)));
+    const handled = new Set();
+    zData.rows.forEach((row, i) => zCols.forEach(col => {
+      const linha = zData.linhas?.[i] ?? i + 2;
+      const v = row[col];
+      const cell = `${linha}|${col}`;
+      if(unreadable.has(cell) || (typeof v === 'string' && toNumber(v) === null)){
+        handled.add(cell);
+        add('erro', 'zscores', 'dados.celulaNaoNumerica', 'Linha {linha}, coluna "{coluna}": "{valor}" não é um número.', { linha, coluna: col, valor: unreadable.get(cell) ?? v });
+      } else if(v === undefined || v === null){
+        handled.add(cell);
+        add('aviso', 'zscores', 'dados.celulaVazia', 'Linha {linha}, coluna "{coluna}": vazia; tratada pela política de dados faltantes.', { linha, coluna: col });
+      }
+    }));
+    csvWarnings(zData, handled).forEach(w => issues.push({ nivel: 'aviso', arquivo: 'zscores', mensagem: describeCsvWarning(w) }));
+  }
+
+  // Nomes: colunas de nome, coordenada e valores brutos
+  if(!namesParsed?.rows?.length){
+    add('erro', 'nomes', 'dados.nomesVazio', 'CSV de nomes sem linhas.');
+  } else {
+    const nameCol = headerLike(namesParsed.header, 'nome');
+    const coordCol = coordColumn(namesParsed.header);
+    if(!nameCol) add('erro', 'nomes', 'dados.semColunaNome', 'CSV de nomes sem coluna "nome".');
+    if(!coordCol) add('aviso', 'nomes', 'dados.semColunaCoord', 'CSV de nomes sem coluna de coordenadas; árvore e detalhes das soluções ficam indisponíveis.');
+    const missingRaw = criteria.filter(c => !c.coluna_bruta || !headerLike(namesParsed.header, c.coluna_bruta)).map(c => c.nome);
+    if(missingRaw.length) add('aviso', 'nomes', 'dados.semBrutos', 'Sem valores brutos para {lista}; Zscores calculados no navegador ficam indisponíveis.', { lista: missingRaw.join(', ') });
+    csvWarnings(namesParsed).forEach(w => issues.push({ nivel: 'aviso', arquivo: 'nomes', mensagem: describeCsvWarning(w) }));
+  }
+
+  // Descrições: precisa da lista de itens; ids e coordenadas ficam com a integridade
+  const items = Array.isArray(descriptions?.itens) ? descriptions.itens : null;
+  if(!items) add('erro', 'descricoes', 'dados.semItens', 'JSON de descrições sem a lista "itens".');
+
+  integrityReport({ zData, namesParsed, descriptions }).problemas.forEach(p => issues.push(p));
+
+  return {
+    ok: !issues.some(i => i.nivel === 'erro'),
+    erros: issues.filter(i => i.nivel === 'erro'),
+    avisos: issues.filter(i => i.nivel === 'aviso'),
+    resumo: { linhasZ: zData?.rows?.length || 0, linhasNomes: namesParsed?.rows?.length || 0, itens: items?.length || 0 }
+  };
+}
+
+// -------- Descrições das soluções (esquema e migração) --------
+// O JSON de descrições mudou de formato ao longo das versões (solution_description
+// a solution_description5). migrateDescriptions converte qualquer uma para o formato
+// atual (DESCRIPTION_SCHEMA_VERSION) e validateSchema confere o resultado contra o
+// JSON Schema (solution_description.schema.json). Formatos:
+//   1 (v5/v6): nome, tronco, descricao, governanca_legenda, riscos
+//   2 (v8):    nome_curto, linha, sinal_dados, processamento_dados, prazo_estimado_liberacao_dias
+//   3 (v9.x):  + prazos_dias por item, mapeamento_sinais e controle_de_versao
+export const DESCRIPTION_SCHEMA_VERSION = 3;
+const SIGNAL_INSIDE = '🟢';
+const SIGNAL_OUTSIDE = '🔵';
+
+// Versão declarada (versao_esquema) ou deduzida pelos campos dos itens
+export function descriptionSchemaVersion(json){
+  if(Number.isInteger(json?.versao_esquema)) return json.versao_esquema;
+  const items = Array.isArray(json?.itens) ? json.itens : [];
+  if(!items.some(item => item && ('nome_curto' in item || 'linha' in item))) return 1;
+  if(!json.mapeamento_sinais && !items.some(item => item?.prazos_dias)) return 2;
+  return 3;
+}
+
+const annualCost = src => {
+  const capex = toNumber(src?.capex_brl), opex = toNumber(src?.opex_mensal_brl);
+  return capex !== null && opex !== null ? capex + 12 * opex : undefined;
+};
+
+function renameKey(obj, from, to){
+  if(!(from in obj)) return;
+  if(!(to in obj)) obj[to] = obj[from];
+  delete obj[from];
+}
+
+// Cada passo recebe o JSON na versão n (cópia) e devolve na versão n+1
+const DESCRIPTION_MIGRATIONS = {
+  1: json => {
+    json.itens = (json.itens || []).map(item => {
+      const out = { ...item };
+      renameKey(out, 'nome', 'nome_curto');
+      renameKey(out, 'tronco', 'linha');
+      renameKey(out, 'descricao', 'descricao_para_leigos');
+      renameKey(out, 'riscos', 'riscos_chave');
+      // Na legenda antiga, 🟢 = dados "dormem" dentro da SEG; o resto fica com o fornecedor
+      if(out.sinal_dados == null && Array.isArray(out.governanca_legenda)){
+        out.sinal_dados = out.governanca_legenda.includes(SIGNAL_INSIDE) ? SIGNAL_INSIDE : SIGNAL_OUTSIDE;
+      }
+      if(!out.processamento_dados && out.governanca_explica) out.processamento_dados = { onde: out.governanca_explica };
+      if(out.custo_ano1_brl == null && annualCost(out) != null) out.custo_ano1_brl = annualCost(out);
+      if(out.preco_cliente && out.preco_cliente.preco_cliente_ano1_brl == null && annualCost(out.preco_cliente) != null){
+        out.preco_cliente = { ...out.preco_cliente, preco_cliente_ano1_brl: annualCost(out.preco_cliente) };
+      }
+      if(out.prazo_estimado_liberacao_dias == null && out.prazos_dias?.total != null) out.prazo_estimado_liberacao_dias = out.prazos_dias.total;
+      return out;
+    });
+    return json;
+  },
+  2: json => {
+    json.itens = (json.itens || []).map(item => {
+      const out = { ...item };
+      if(!out.prazos_dias && out.prazo_estimado_liberacao_dias != null) out.prazos_dias = { total: out.prazo_estimado_liberacao_dias };
+      return out;
+    });
+    const ids = json.itens.map(item => item.id).filter(Boolean);
+    if(!json.mapeamento_sinais){
+      json.mapeamento_sinais = Object.fromEntries(json.itens.filter(item => item.id && item.sinal_dados)
+        .map(item => [item.id, { captura: item.sinal_dados, processamento: item.sinal_dados }]));
+    }
+    if(!json.controle_de_versao) json.controle_de_versao = { numero_total_de_linhas_ativas: ids.length, linhas_ativas: ids };
+    return json;
+  }
+};
+
+// -> { descricoes, de, para, migrado }; versões futuras ou desconhecidas passam sem mudança
+export function migrateDescriptions(json){
+  const de = descriptionSchemaVersion(json);
+  if(!json || typeof json !== 'object' || de >= DESCRIPTION_SCHEMA_VERSION || !DESCRIPTION_MIGRATIONS[de]){
+    return { descricoes: json, de, para: de, migrado: false };
+  }
+  let out = JSON.parse(JSON.stringify(json));
+  for(let v = de; v < DESCRIPTION_SCHEMA_VERSION; v++) out = DESCRIPTION_MIGRATIONS[v](out);
+  out.versao_esquema = DESCRIPTION_SCHEMA_VERSION;
+  return { descricoes: out, de, para: DESCRIPTION_SCHEMA_VERSION, migrado: true };
+}
+
+// Subconjunto do JSON Schema usado no esquema das descrições: $ref local (#/$defs/...),
+// type, const, enum, required, properties, additionalProperties, items, minItems,
+// minimum, maximum, minLength e pattern. Devolve [{ caminho, mensagem }].
+const schemaType = v => Array.isArray(v) ? 'array' : v === null ? 'null' : typeof v;
+const typeMatches = (v, type) => type === 'integer' ? Number.isInteger(v)
+  : type === 'number' ? typeof v === 'number' && Number.isFinite(v)
+  : schemaType(v) === type;
+
+export function validateSchema(value, schema, root = schema){
+  const problems = [];
+  const add = (caminho, key, text, params) => problems.push({ caminho: caminho || '(raiz)', mensagem: msg(key, text, params) });
+  const resolve = ref => ref.replace(/^#\//, '').split('/').reduce((node, k) => node?.[k], root);
+
+  const walk = (v, s, path) => {
+    if(!s) return;
+    if(s.$ref){
+      const target = resolve(s.$ref);
+      if(!target){ add(path, 'esquema.refInvalida', 'Referência {ref} não encontrada no esquema.', { ref: s.$ref }); return; }
+      walk(v, target, path);
+    }
+    if(s.type){
+      const types = [].concat(s.type);
+      if(!types.some(type => typeMatches(v, type))){
+        add(path, 'esquema.tipo', 'Esperado {esperado}, encontrado {encontrado}.', { esperado: types.join(' | '), encontrado: schemaType(v) });
+        return;
+      }
+    }
+    if('const' in s && v !== s.const) add(path, 'esquema.const', 'Esperado {esperado}, encontrado {valor}.', { esperado: JSON.stringify(s.const), valor: JSON.stringify(v) });
+    if(s.enum && !s.enum.includes(v)) add(path, 'esquema.enum', 'Valor {valor} fora dos permitidos ({lista}).', { valor: JSON.stringify(v), lista: s.enum.join(', ') });
+    if(typeof v === 'number'){
+      if(s.minimum != null && v < s.minimum) add(path, 'esquema.minimo', 'Valor {valor} abaixo do mínimo {min}.', { valor: v, min: s.minimum });
+      if(s.maximum != null && v > s.maximum) add(path, 'esquema.maximo', 'Valor {valor} acima do máximo {max}.', { valor: v, max: s.maximum });
+    }
+    if(typeof v === 'string'){
+      if(s.minLength != null && v.length < s.minLength) add(path, 'esquema.vazio', 'Texto vazio.');
+      if(s.pattern && !new RegExp(s.pattern, 'u').test(v)) add(path, 'esquema.padrao', '"{valor}" fora do formato esperado.', { valor: v });
+    }
+    if(Array.isArray(v)){
+      if(s.minItems != null && v.length < s.minItems) add(path, 'esquema.minItens', 'Lista com {n} item(ns); mínimo {min}.', { n: v.length, min: s.minItems });
+      if(s.items) v.forEach((item, i) => walk(item, s.items, `${path}[${i}]`));
+    }
+    if(schemaType(v) === 'object'){
+      (s.required || []).forEach(key => {
+        if(!(key in v)) add(path, 'esquema.obrigatorio', 'Campo obrigatório "{campo}" ausente.', { campo: key });
+      });
+      Object.entries(v).forEach(([key, child]) => {
+        const childPath = path ? `${path}.${key}` : key;
+        if(s.properties?.[key]) walk(child, s.properties[key], childPath);
+        else if(s.additionalProperties === false) add(childPath, 'esquema.naoPermitido', 'Campo não previsto no esquema.');
+        else if(s.additionalProperties && typeof s.additionalProperties === 'object') walk(child, s.additionalProperties, childPath);
+      });
+    }
+  };
+  walk(value, schema, '');
+  return problems;
+}
+
+// -------- Clustering (mistura gaussiana por EM) --------
+// Mistura gaussiana 1D ajustada por EM sobre a nota, com erro de medida por item:
+// nota_i ~ Σₖ πₖ·N(μₖ, σₖ² + e_i²), e_i = margemErro. O número de componentes sai do
+// BIC, com no mínimo 3 (o pódio precisa de Ouro/Prata/Bronze). Cada item recebe membership (probabilidade por cluster, 1 = melhor) e o
+// cluster é o mais provável.
+const GMM_MIN_COMPONENTS = 3;
+const GMM_MAX_ITER = 200;
+const GMM_TOL = 1e-8;
+
+function fitGaussianMixture(x, e, k){
+  const n = x.length;
+  const sorted = [...x].sort((a, b) => a - b);
+  const mean = x.reduce((a, b) => a + b, 0) / n;
+  const totalVar = Math.max(1e-6, x.reduce((s, v) => s + (v - mean) ** 2, 0) / n);
+  const minVar = 1e-6 * Math.max(1, totalVar);
+
+  // Inicialização determinística: médias nos quantis, variâncias iguais
+  let mu = Array.from({ length: k }, (_, j) => sorted[Math.min(n - 1, Math.floor((j + 0.5) * n / k))]);
+  let v = new Array(k).fill(totalVar / (k * k));
+  let pi = new Array(k).fill(1 / k);
+  let resp = [];
+  let logLik = -Infinity;
+
+  for(let it = 0; it < GMM_MAX_ITER; it++){
+    // E: responsabilidades com variância total σₖ² + e_i²
+    let ll = 0;
+    resp = x.map((xi, i) => {
+      const dens = mu.map((m, j) => {
+        const s2 = v[j] + e[i] * e[i];
+        return pi[j] * Math.exp(-0.5 * (xi - m) ** 2 / s2) / Math.sqrt(2 * Math.PI * s2);
+      });
+      const tot = dens.reduce((a, b) => a + b, 0) || 1e-300;
+      ll += Math.log(tot);
+      return dens.map(d => d / tot);
+    });
+
+    // M: médias ponderadas pela precisão; variância intrínseca por momentos
+    for(let j = 0; j < k; j++){
+      const nk = resp.reduce((s, r) => s + r[j], 0);
+      pi[j] = Math.max(nk / n, 1e-12);
+      if(nk < 1e-9) continue;
+      let sw = 0, swx = 0;
+      x.forEach((xi, i) => { const w = resp[i][j] / (v[j] + e[i] * e[i]); sw += w; swx += w * xi; });
+      mu[j] = swx / sw;
+      const excess = x.reduce((s, xi, i) => s + resp[i][j] * ((xi - mu[j]) ** 2 - e[i] * e[i]), 0) / nk;
+      v[j] = Math.max(minVar, excess);
+    }
+
+    if(Math.abs(ll - logLik) < GMM_TOL * Math.max(1, Math.abs(ll))){ logLik = ll; break; }
+    logLik = ll;
+  }
+
+  // parâmetros livres: k médias + k variâncias + (k-1) pesos
+  const bic = -2 * logLik + (3 * k - 1) * Math.log(n);
+  return { mu, v, pi, resp, logLik, bic };
+}
+
+export function gmmCluster(items, maxComponents = 8){
+  if(items.length <= 1) return items.map((item, i) => ({...item, cluster: 1, membership: [1], certainty: 1}));
+  if(items.length <= 3) return items.map((item, i) => ({...item, cluster: i+1, membership: null, certainty: 1}));
+
+  const sorted = [...items].sort((a,b) => b.nota - a.nota);
+  const x = sorted.map(item => item.nota);
+  const e = sorted.map(item => item.margemErro || 0);
+  const n = x.length;
+
+  let best = null;
+  for(let k = Math.min(GMM_MIN_COMPONENTS, n - 1); k <= Math.min(maxComponents, n - 1); k++){
+    const fit = fitGaussianMixture(x, e, k);
+    if(!best || fit.bic < best.bic) best = fit;
+  }
+
+  // Componentes sem itens atribuídos somem; rótulos ordenados pela média (1 = melhor)
+  const argmax = r => r.reduce((bi, p, j) => (p > r[bi] ? j : bi), 0);
+  const used = [...new Set(best.resp.map(argmax))].sort((a, b) => best.mu[b] - best.mu[a]);
+
+  return sorted.map((item, i) => {
+    const r = best.resp[i];
+    const mass = used.reduce((s, j) => s + r[j], 0) || 1;
+    const membership = used.map(j => r[j] / mass);
+    const cluster = used.indexOf(argmax(r)) + 1;
+    return { ...item, cluster, membership, certainty: membership[cluster - 1] };
+  });
+}
+
+// Texto de pertinência quando há ambiguidade, ex.: "82% Ouro / 18% Prata"
+const MEMBERSHIP_AMBIGUOUS = 0.9;
+export function describeMembership(item, totalClusters){
+  if(!item.membership || (item.certainty ?? 1) >= MEMBERSHIP_AMBIGUOUS) return '';
+  return item.membership
+    .map((p, j) => ({ p, j }))
+    .sort((a, b) => b.p - a.p)
+    .slice(0, 2)
+    .filter(m => m.p >= 0.01)
+    .map(m => `${Math.round(m.p * 100)}% ${getClusterName(m.j + 1, totalClusters)}`)
+    .join(' / ');
+}
+
+// -------- Estratégias de tiers --------
+// Todas devolvem os itens ordenados por nota (desc.) com cluster 1 = melhor tier.
+const JENKS_MIN_GVF = 0.9;           // aderência mínima (goodness of variance fit)
+const FIXED_BANDS = [8, 6, 4, 2, 0]; // limite inferior de cada faixa de nota (Ouro ≥ 8, Prata ≥ 6, ...)
+const INDISTINGUISHABLE_K = 1;       // diferença de nota dentro de k·σ combinado = mesmo grupo
+
+// Quebras naturais de Jenks (programação dinâmica de Fisher); k pelo menor GVF ≥ JENKS_MIN_GVF
+export function jenksCluster(items, maxClasses = 8){
+  const sorted = [...items].sort((a,b) => b.nota - a.nota);
+  const n = sorted.length;
+  if(n <= 3) return sorted.map((item, i) => ({ ...item, cluster: i+1, membership: null, certainty: 1 }));
+  const x = sorted.map(it => it.nota).reverse(); // crescente
+  const pre = [0], pre2 = [0];
+  x.forEach((v, i) => { pre.push(pre[i] + v); pre2.push(pre2[i] + v * v); });
+  const ssd = (i, j) => { // soma dos desvios quadráticos de x[i..j]
+    const m = j - i + 1, s1 = pre[j+1] - pre[i];
+    return (pre2[j+1] - pre2[i]) - s1 * s1 / m;
+  };
+  const total = ssd(0, n - 1);
+
+  const breaksFor = k => {
+    // cost[c][j]: menor SSD para x[0..j] em c+1 classes; back guarda o início da última
+    const cost = Array.from({ length: k }, () => new Array(n).fill(Infinity));
+    const back = Array.from({ length: k }, () => new Array(n).fill(0));
+    for(let j = 0; j < n; j++) cost[0][j] = ssd(0, j);
+    for(let c = 1; c < k; c++){
+      for(let j = c; j < n; j++){
+        for(let i = c; i <= j; i++){
+          const v = cost[c-1][i-1] + ssd(i, j);
+          if(v < cost[c][j]){ cost[c][j] = v; back[c][j] = i; }
+        }
+      }
+    }
+    const starts = [];
+    for(let c = k - 1, j = n - 1; c > 0; c--){ const i = back[c][j]; starts.unshift(i); j = i - 1; }
+    return { starts, gvf: total > 0 ? 1 - cost[k-1][n-1] / total : 1 };
+  };
+
+  let chosen = null;
+  for(let k = Math.min(3, n); k <= Math.min(maxClasses, n); k++){
+    chosen = breaksFor(k);
+    if(chosen.gvf >= JENKS_MIN_GVF) break;
+  }
+  // classe crescente → tier decrescente (1 = melhor)
+  const classes = chosen.starts.length + 1;
+  return sorted.map((item, r) => {
+    const pos = n - 1 - r;
+    const cls = chosen.starts.filter(st => st <= pos).length;
+    return { ...item, cluster: classes - cls, membership: null, certainty: 1 };
+  });
+}
+
+// Faixas fixas de nota: o nome do tier não depende das demais soluções
+export function bandCluster(items){
+  return [...items].sort((a,b) => b.nota - a.nota).map(item => {
+    const band = FIXED_BANDS.findIndex(lo => item.nota >= lo);
+    return { ...item, cluster: (band < 0 ? FIXED_BANDS.length - 1 : band) + 1, membership: null, certainty: 1 };
+  });
+}
+
+// Encadeia vizinhos cuja diferença de nota cabe no erro combinado √(eᵢ² + eⱼ²)
+export function indistinguishableCluster(items){
+  const sorted = [...items].sort((a,b) => b.nota - a.nota);
+  let cluster = 1;
+  return sorted.map((item, i) => {
+    if(i > 0){
+      const prev = sorted[i-1];
+      const sigma = Math.hypot(prev.margemErro || 0, item.margemErro || 0);
+      if(prev.nota - item.nota > INDISTINGUISHABLE_K * sigma) cluster++;
+    }
+    return { ...item, cluster, membership: null, certainty: 1 };
+  });
+}
+
+export const TIERING_STRATEGIES = {
+  gmm:     { label: 'Mistura gaussiana (EM)',          cluster: items => gmmCluster(items, 8) },
+  jenks:   { label: 'Quebras naturais (Jenks)',        cluster: items => jenksCluster(items, 8) },
+  faixas:  { label: 'Faixas fixas de nota',            cluster: bandCluster },
+  indist:  { label: 'Estatisticamente indistinguíveis', cluster: indistinguishableCluster }
+};
+export const DEFAULT_TIERING = 'gmm';
+
+export function getTieringStrategy(id){
+  return TIERING_STRATEGIES[id] || TIERING_STRATEGIES[DEFAULT_TIERING];
+}
+
+export function smartCluster(items, strategy = DEFAULT_TIERING){
+  return getTieringStrategy(strategy).cluster(items);
+}
+
+// -------- Nomes dos clusters --------
+export const CLUSTER_NAMES = ['Ouro', 'Prata', 'Bronze', 'Ferro', 'Barro', 'Lama', 'Nem Olhe', 'Olhe Menos'];
+
+export function getClusterName(clusterId, totalClusters){
+  if(!clusterId || isNaN(clusterId) || clusterId < 1) return msg('tier.na', 'N/A');
+  if(clusterId <= CLUSTER_NAMES.length) return msg(`tier.${clusterId}`, CLUSTER_NAMES[clusterId - 1]);
+  return msg('tier.generico', 'Cluster {n}', { n: clusterId });
+}
+
+// -------- Estabilidade dos tiers (bootstrap) --------
+// Sorteia cada nota dentro da sua margem de erro, reclusteriza e conta quantas
+// vezes cada item fica no mesmo tier de referência e cada par cai junto.
+export const TIER_BOOTSTRAP_RUNS = 200;
+
+export function tierStability(items, {runs = TIER_BOOTSTRAP_RUNS, seed = 2024, cluster = smartCluster} = {}){
+  const n = items.length;
+  const normal = gaussianSampler(seededRandom(seed));
+  const keep = new Array(n).fill(0);
+  const together = Array.from({ length: n }, () => new Array(n).fill(0));
+
+  for(let r = 0; r < runs; r++){
+    const perturbed = items.map((it, i) => ({ ref: i, nota: it.nota + (it.margemErro || 0) * normal(), margemErro: it.margemErro }));
+    const tiers = new Array(n);
+    cluster(perturbed).forEach(p => { tiers[p.ref] = p.cluster; });
+    for(let i = 0; i < n; i++){
+      if(tiers[i] === items[i].cluster) keep[i]++;
+      for(let j = 0; j < n; j++) if(tiers[i] === tiers[j]) together[i][j]++;
+    }
+  }
+  return {
+    stability: keep.map(k => k / runs),
+    coassignment: together.map(row => row.map(c => c / runs))
+  };
+}
+
+// Anexa tierStability (fração de sorteios no mesmo tier) a cada item
+export function attachTierStability(items, result){
+  return items.map((it, i) => ({ ...it, tierStability: result.stability[i] }));
+}
+
+// -------- Pipeline completo (navegador e CLI) --------
+// Mesmo encadeamento do botão "Confirma": escore, ordenação pelo Zranking,
+// nomes/coordenadas e marcação de Pareto. Os tiers ficam a cargo de smartCluster.
+// Linhas com dados faltantes sob a política "excluir" vêm à parte, em excluded.
+export function rankSolutions(zData, namesParsed, weights, {method = DEFAULT_AGGREGATION, criteria = DEFAULT_CRITERIA, utilities = null, paretoUncertainty = false} = {}){
+  const { items, decimals } = computeRanking(zData, toWeightVector(weights), { method, criteria, utilities });
+  items.sort((a,b)=> b.Zranking - a.Zranking);
+  const pareto = paretoAnalysis(zData, { useUncertainty: paretoUncertainty, criteria });
+  const ranked = attachPareto(enrichWithNames(items, namesParsed), pareto);
+  const isExcluded = it => it.faltantes?.politica === 'excluir';
+  return {
+    items: ranked.filter(it => !isExcluded(it)),
+    excluded: ranked.filter(isExcluded).map(it => ({ ...it, exclusionReasons: [it.faltantes.descricao] })),
+    decimals
+  };
+}
+
+// -------- Decisão em grupo --------
+// Cada participante tem seus pesos; o grupo combina por média aritmética ou
+// geométrica dos pesos, ou por contagem de Borda sobre os rankings individuais.
+export const GROUP_METHODS = {
+  media:      'Média aritmética dos pesos',
+  geometrica: 'Média geométrica dos pesos',
+  borda:      'Contagem de Borda'
+};
+export const DEFAULT_GROUP_METHOD = 'media';
+const GEOMETRIC_FLOOR = 1e-6; // peso zero não anula o critério na média geométrica
+
+export function combineWeights(weightList, method = DEFAULT_GROUP_METHOD){
+  const vectors = weightList.map(toWeightVector);
+  const n = vectors[0]?.length || 0;
+  const combined = Array.from({ length: n }, (_, i) => method === 'geometrica'
+    ? Math.exp(vectors.reduce((s, w) => s + Math.log(Math.max(GEOMETRIC_FLOOR, w[i] || 0)), 0) / vectors.length)
+    : vectors.reduce((s, w) => s + (w[i] || 0), 0) / vectors.length);
+  const sum = combined.reduce((a, b) => a + b, 0) || 1;
+  return combined.map(v => v / sum);
+}
+
+// orders: listas de idx do melhor para o pior; 1º recebe n-1 pontos, último 0
+export function bordaCount(orders){
+  const points = new Map();
+  orders.forEach(order => order.forEach((idx, pos) => {
+    points.set(idx, (points.get(idx) || 0) + (order.length - 1 - pos));
+  }));
+  return points;
+}
+
+// Coeficiente de concordância W de Kendall (1 = todos iguais, 0 = nenhuma concordância)
+export function kendallW(orders){
+  const m = orders.length, n = orders[0]?.length || 0;
+  if(m < 2 || n < 2) return 1;
+  const rankSum = new Map();
+  orders.forEach(order => order.forEach((idx, pos) => rankSum.set(idx, (rankSum.get(idx) || 0) + pos + 1)));
+  const mean = m * (n + 1) / 2;
+  let S = 0;
+  rankSum.forEach(R => { S += (R - mean) ** 2; });
+  return 12 * S / (m * m * (n ** 3 - n));
+}
+
+// participants: [{nome, weights}]. Devolve o ranking combinado com a posição
+// de cada participante por solução e o índice de discordância (1 - W de Kendall).
+export function groupRanking(zData, namesParsed, participants, {combine = DEFAULT_GROUP_METHOD, method = DEFAULT_AGGREGATION, criteria = DEFAULT_CRITERIA, utilities = null} = {}){
+  const opts = { method, criteria, utilities };
+  const individual = participants.map(p => rankSolutions(zData, namesParsed, p.weights, opts));
+  const orders = individual.map(r => r.items.map(it => it.idx));
+  const positionsOf = idx => orders.map(order => order.indexOf(idx) + 1);
+
+  let items, weights = null;
+  if(combine === 'borda'){
+    // Nota e margem exibidas são a média entre os participantes
+    const points = bordaCount(orders);
+    const byIdx = individual.map(r => new Map(r.items.map(it => [it.idx, it])));
+    items = individual[0].items.map(it => {
+      const all = byIdx.map(m => m.get(it.idx));
+      return {
+        ...it,
+        nota: all.reduce((s, x) => s + x.nota, 0) / all.length,
+        margemErro: all.reduce((s, x) => s + x.margemErro, 0) / all.length,
+        pontosBorda: points.get(it.idx)
+      };
+    }).sort((a, b) => (b.pontosBorda - a.pontosBorda) || (b.nota - a.nota));
+  } else {
+    weights = combineWeights(participants.map(p => p.weights), combine);
+    items = rankSolutions(zData, namesParsed, weights, opts).items;
+  }
+
+  const W = kendallW(orders);
+  return {
+    combine,
+    weights,
+    decimals: individual[0]?.decimals ?? 2,
+    items: items.map(it => ({ ...it, posicoes: positionsOf(it.idx) })),
+    kendallW: W,
+    disagreement: 1 - W
+  };
+}
+
+// -------- Comparação de cenários --------
+// Um cenário é um retrato serializável de um ranking confirmado (pesos, método,
+// tiers e posições), para guardar com um nome e comparar com outros depois.
+export function solutionKey(item){
+  return item.coordStr || item.nome;
+}
+
+export function scenarioSnapshot(nome, {items, excluded = [], decimals = 2, weights, criteria = DEFAULT_CRITERIA, method = DEFAULT_AGGREGATION, tiering = DEFAULT_TIERING, utilities = null, constraints = null}){
+  const sorted = [...items].sort((a, b) => b.nota - a.nota);
+  const totalTiers = Math.max(0, ...sorted.map(it => it.cluster || 0));
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    nome,
+    criadoEm: new Date().toISOString(),
+    pesos: toWeightVector(weights),
+    criterios: criteria.map(c => ({ id: c.id, nome: c.nome })),
+    metodo: method,
+    tiering,
+    utilidades: utilities,
+    restricoes: constraints,
+    decimals,
+    itens: sorted.map((it, i) => ({
+      chave: solutionKey(it),
+      nome: it.nome,
+      coordStr: it.coordStr || '',
+      posicao: i + 1,
+      nota: it.nota,
+      margemErro: it.margemErro,
+      tier: it.cluster || null,
+      tierNome: getClusterName(it.cluster, totalTiers)
+    })),
+    excluidas: excluded.map(it => ({ chave: solutionKey(it), nome: it.nome, coordStr: it.coordStr || '' }))
+  };
+}
+
+// Alinha as soluções de 2+ cenários pela chave. O primeiro é a base: variação
+// positiva = subiu de posição (ou de tier) em relação a ela. Ordem das linhas
+// segue a base; soluções ausentes ou excluídas num cenário ficam null.
+export function compareScenarios(scenarios){
+  if(!scenarios.length) return [];
+  const lookups = scenarios.map(s => new Map(s.itens.map(it => [it.chave, it])));
+  const keys = [];
+  const seen = new Set();
+  scenarios.forEach(s => s.itens.forEach(it => { if(!seen.has(it.chave)){ seen.add(it.chave); keys.push(it); } }));
+  const basePos = key => lookups[0].get(key)?.posicao ?? Infinity;
+  const bestPos = key => Math.min(...lookups.map(m => m.get(key)?.posicao ?? Infinity));
+  keys.sort((a, b) => (basePos(a.chave) - basePos(b.chave)) || (bestPos(a.chave) - bestPos(b.chave)));
+
+  return keys.map(({ chave, nome, coordStr }) => {
+    const base = lookups[0].get(chave) || null;
+    return {
+      chave, nome, coordStr,
+      cenarios: lookups.map((m, i) => {
+        const it = m.get(chave);
+        if(!it){
+          const excluida = scenarios[i].excluidas?.some(e => e.chave === chave) || false;
+          return { ausente: true, excluida };
+        }
+        return {
+          posicao: it.posicao,
+          nota: it.nota,
+          tier: it.tier,
+          tierNome: it.tierNome,
+          deltaPosicao: i && base ? base.posicao - it.posicao : 0,
+          deltaTier: i && base && base.tier && it.tier ? base.tier - it.tier : 0
+        };
+      })
+    };
+  });
+}
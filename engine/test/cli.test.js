@@ -0,0 +1,82 @@
+// Testes do CLI (node --test): o ranking do "tribussola rank" deve ser o mesmo do
+// navegador, que encadeia Zscores -> modelo de custo -> dados faltantes -> rankSolutions
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import {
+  parseCSV, applyCostModel, applyMissingPolicy, rankSolutions, smartCluster, getClusterName, migrateDescriptions
+} from '../index.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '../..');
+const CLI = resolve(ROOT, 'engine/cli.js');
+const read = file => readFileSync(resolve(ROOT, file), 'utf8');
+const run = (...args) => promisify(execFile)(process.execPath, [CLI, 'rank', ...args], { cwd: ROOT });
+
+const zscores = parseCSV(read('data/Matriz de Decisão - Zscores para dash.csv'));
+const names = parseCSV(read('data/Matriz de Decisão - só nomes e coordenadas.csv'));
+const criteria = JSON.parse(read('data/criterios.json')).criterios;
+const descriptions = migrateDescriptions(JSON.parse(read('solution_description5.json'))).descricoes;
+
+// Mesmo encadeamento de getZData + botão "Confirma" (app.js), sem o DOM
+function browserRanking(weights, {method = 'linear', utilities = {}, costModel = { metrica: 'estatico' }, missing = 'imputar'} = {}){
+  const curves = Object.fromEntries(criteria.map(c => [c.id, { tipo: 'linear', ...(c.utilidade || {}), ...(utilities[c.id] || {}) }]));
+  let zData = applyCostModel(zscores, names, descriptions.itens, costModel, { criteria, method: 'wmedian' });
+  zData = applyMissingPolicy(zData, missing, { criteria });
+  const { items, decimals } = rankSolutions(zData, names, weights, { method, criteria, utilities: curves });
+  const clustered = smartCluster(items, 'gmm');
+  const maxCluster = Math.max(...clustered.map(it => it.cluster || 0));
+  return [...clustered].sort((a, b) => b.nota - a.nota).map(it => ({
+    coord: it.coordStr || '',
+    nome: it.nome,
+    tier: getClusterName(it.cluster, maxCluster),
+    nota: Number(it.nota.toFixed(decimals))
+  }));
+}
+
+const cliRanking = stdout => JSON.parse(stdout).ranking.map(({ coord, nome, tier, nota }) => ({ coord, nome, tier, nota }));
+
+test('CLI: ranking padrão igual ao do navegador', async () => {
+  const { stdout } = await run('--weights', '30,40,30', '--format', 'json');
+  assert.deepEqual(cliRanking(stdout), browserRanking([0.3, 0.4, 0.3]));
+});
+
+test('CLI: TOPSIS igual ao do navegador', async () => {
+  const { stdout } = await run('--weights', '20,50,30', '--method', 'topsis', '--format', 'json');
+  assert.deepEqual(cliRanking(stdout), browserRanking([0.2, 0.5, 0.3], { method: 'topsis' }));
+});
+
+test('CLI: curvas de utilidade e TCO iguais aos do navegador', async () => {
+  const { stdout } = await run('--weights', '30,40,30', '--utilities', 'custo=exponencial,2 qualidade=limiar,-1,1.5',
+    '--cost', 'tco', '--years', '5', '--format', 'json');
+  const expected = browserRanking([0.3, 0.4, 0.3], {
+    utilities: { custo: { tipo: 'exponencial', rho: 2 }, qualidade: { tipo: 'limiar', limiar: -1, saciedade: 1.5 } },
+    costModel: { metrica: 'tco', horizonte: 5, taxa: 0.1 }
+  });
+  assert.deepEqual(cliRanking(stdout), expected);
+  const meta = JSON.parse(stdout);
+  assert.ok(meta.custo);
+  assert.ok(meta.utilidades);
+});
+
+test('CLI: VPL com exclusão por dados faltantes igual ao do navegador', async () => {
+  const { stdout } = await run('--weights', '30,40,30', '--cost', 'vpl', '--rate', '12', '--missing', 'excluir', '--format', 'json');
+  const expected = browserRanking([0.3, 0.4, 0.3], { costModel: { metrica: 'vpl', horizonte: 3, taxa: 0.12 }, missing: 'excluir' });
+  assert.deepEqual(cliRanking(stdout), expected);
+});
+
+test('CLI: csv com uma linha por solução', async () => {
+  const { stdout } = await run('--weights', '30,40,30', '--format', 'csv');
+  const lines = stdout.trim().split('\n');
+  assert.equal(lines[0], 'posicao,tier,nome,coord,nota,margemErro,dominadaPor');
+  assert.equal(lines.length - 1, zscores.rows.length);
+});
+
+test('CLI: opções inválidas terminam com erro', async () => {
+  await assert.rejects(run('--weights', '30,40'), err => err.code === 1 && /--weights precisa de 3 valores/.test(err.stderr));
+  await assert.rejects(run('--weights', '30,40,30', '--utilities', 'custo=xx'), err => err.code === 1 && /curva inválida/.test(err.stderr));
+  await assert.rejects(run('--weights', '30,40,30', '--cost', 'tco', '--years', '9'), err => err.code === 1 && /--years/.test(err.stderr));
+});
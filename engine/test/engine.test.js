@@ -0,0 +1,148 @@
+// Testes do motor (node --test): escore, modelo de custo e dados faltantes
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_CRITERIA, computeRanking, rankSolutions, applyCostModel, applyMissingPolicy, selectZRows
+} from '../index.js';
+
+const HEADER = ['coordenadas', 'zcusto', 's_zcusto', 'zqual', 's_zqual', 'zprazo', 's_zprazo'];
+const zRow = (coord, [c, q, p], [sc, sq, sp] = [0.5, 0.5, 0.5]) =>
+  ({ coordenadas: coord, zcusto: c, s_zcusto: sc, zqual: q, s_zqual: sq, zprazo: p, s_zprazo: sp });
+
+const zData = () => ({
+  header: HEADER,
+  rows: [
+    zRow('I.1', [-1, 1, -1]),
+    zRow('I.2', [1, -1, 1]),
+    zRow('II.1', [0, 2, 0]),
+    zRow('II.2', [2, 0, -2])
+  ]
+});
+
+const names = {
+  header: ['coordenadas', 'nome', 'custo anual', 's custo anual'],
+  rows: [
+    { coordenadas: 'I.1', nome: 'Alfa', 'custo anual': 1000, 's custo anual': 100 },
+    { coordenadas: 'I.2', nome: 'Beta', 'custo anual': 3000, 's custo anual': 300 },
+    { coordenadas: 'II.1', nome: 'Gama', 'custo anual': 2000, 's custo anual': 200 },
+    { coordenadas: 'II.2', nome: 'Delta', 'custo anual': 4000, 's custo anual': 400 }
+  ]
+};
+
+const byCoord = items => Object.fromEntries(items.map(it => [it.coordStr, it]));
+
+// -------- computeRanking --------
+test('computeRanking: soma ponderada com a direção de cada critério', () => {
+  const { items } = computeRanking(zData(), [0.5, 0.3, 0.2]);
+  // custo e prazo: menor é melhor
+  assert.equal(items[0].Zranking, 0.5 * 1 + 0.3 * 1 + 0.2 * 1);
+  assert.equal(items[2].Zranking, 0.3 * 2);
+  items.forEach(it => assert.ok(it.nota >= 0 && it.nota <= 10));
+});
+
+test('computeRanking: sem covariâncias, s_Zrank é a raiz da soma de (w·s)²', () => {
+  const { items } = computeRanking(zData(), [0.5, 0.3, 0.2]);
+  const expected = Math.sqrt((0.5 * 0.5) ** 2 + (0.3 * 0.5) ** 2 + (0.2 * 0.5) ** 2);
+  assert.ok(Math.abs(items[0].s_Zrank - expected) < 1e-12);
+});
+
+test('computeRanking: TOPSIS depende das linhas presentes', () => {
+  const all = computeRanking(zData(), [0.4, 0.4, 0.2], { method: 'topsis' }).items;
+  const sub = computeRanking(selectZRows(zData(), [0, 1, 2]), [0.4, 0.4, 0.2], { method: 'topsis' }).items;
+  assert.equal(sub.length, 3);
+  assert.notEqual(sub[0].Zranking, all[0].Zranking);
+});
+
+test('computeRanking: curva de utilidade muda o escore', () => {
+  const plain = computeRanking(zData(), [1, 0, 0]).items;
+  const curved = computeRanking(zData(), [1, 0, 0], { utilities: { custo: { tipo: 'exponencial', rho: 2 } } }).items;
+  assert.notEqual(curved[0].Zranking, plain[0].Zranking);
+  // a ordem pelo critério único se mantém (curva monotônica)
+  const order = items => [...items].sort((a, b) => b.Zranking - a.Zranking).map(it => it.idx);
+  assert.deepEqual(order(curved), order(plain));
+});
+
+// -------- applyCostModel --------
+const solutions = [
+  { id: 'I.1', capex_brl: 10000, opex_mensal_brl: 100 },
+  { id: 'I.2', capex_brl: 0, opex_mensal_brl: 1000 },
+  { id: 'II.1', preco_cliente: { capex_brl: 5000, opex_mensal_brl: 500 }, capex_brl: 1, opex_mensal_brl: 1 },
+  { id: 'II.2', capex_brl: 20000, opex_mensal_brl: 0 }
+];
+
+test('applyCostModel: estático devolve o mesmo zData', () => {
+  const z = zData();
+  assert.equal(applyCostModel(z, names, solutions, { metrica: 'estatico' }), z);
+});
+
+test('applyCostModel: TCO repadronizado segue a ordem do custo total', () => {
+  const out = applyCostModel(zData(), names, solutions, { metrica: 'tco', horizonte: 3, taxa: 0.1 });
+  const tco = out.costModel.values.map(v => v.tco);
+  // preco_cliente tem prioridade sobre o custo interno
+  assert.equal(tco[2], 5000 + 500 * 36);
+  const zc = out.rows.map(r => r.zcusto);
+  const rank = xs => xs.map(x => xs.filter(y => y < x).length);
+  assert.deepEqual(rank(zc), rank(tco));
+  assert.deepEqual(out.costModel.semDados, []);
+});
+
+test('applyCostModel: VPL desconta o opex e fica abaixo do TCO', () => {
+  const out = applyCostModel(zData(), names, solutions, { metrica: 'vpl', horizonte: 3, taxa: 0.1 });
+  out.costModel.values.forEach(v => assert.ok(v.vpl <= v.tco));
+});
+
+test('applyCostModel: sem capex/opex, o custo fica vazio para a política de faltantes', () => {
+  const partial = solutions.filter(s => s.id !== 'II.2');
+  const out = applyCostModel(zData(), names, partial, { metrica: 'tco', horizonte: 3 });
+  assert.deepEqual(out.costModel.semDados, ['II.2']);
+  assert.equal(out.rows[3].zcusto, null);
+  const imputed = applyMissingPolicy(out, 'imputar');
+  assert.deepEqual(imputed.faltantes[3], { politica: 'imputar', criterios: [0] });
+  assert.throws(() => applyCostModel(zData(), names, [], { metrica: 'tco' }), /capex\/opex/);
+});
+
+// -------- applyMissingPolicy --------
+const withGap = () => {
+  const z = zData();
+  z.rows[1] = { ...z.rows[1], zprazo: '', s_zprazo: '' };
+  return z;
+};
+
+test('applyMissingPolicy: sem lacunas devolve o mesmo zData', () => {
+  const z = zData();
+  assert.equal(applyMissingPolicy(z, 'imputar'), z);
+});
+
+test('applyMissingPolicy: imputar usa a média e infla a incerteza', () => {
+  const out = applyMissingPolicy(withGap(), 'imputar');
+  const mean = (-1 + 0 - 2) / 3;
+  assert.ok(Math.abs(out.rows[1].zprazo - mean) < 1e-12);
+  assert.ok(out.rows[1].s_zprazo > 0.5);
+  assert.deepEqual(out.faltantes, [null, { politica: 'imputar', criterios: [2] }, null, null]);
+});
+
+test('applyMissingPolicy: reponderar pontua só com os critérios disponíveis', () => {
+  const out = applyMissingPolicy(withGap(), 'reponderar');
+  assert.equal(out.rows[1].zprazo, null);
+  const { items } = computeRanking(out, [0.5, 0.3, 0.2]);
+  // pesos 0,5 e 0,3 renormalizados: Z = (-0,5·1 + 0,3·(-1)) / 0,8
+  assert.ok(Math.abs(items[1].Zranking - (-0.5 - 0.3) / 0.8) < 1e-12);
+});
+
+test('applyMissingPolicy: excluir tira a solução do ranking', () => {
+  const out = applyMissingPolicy(withGap(), 'excluir');
+  const { items, excluded } = rankSolutions(out, names, [0.5, 0.3, 0.2], { criteria: DEFAULT_CRITERIA });
+  assert.equal(items.length, 3);
+  assert.deepEqual(excluded.map(it => it.nome), ['Beta']);
+  assert.ok(!byCoord(items)['I.2']);
+});
+
+// -------- selectZRows --------
+test('selectZRows: a junção por posição com os nomes sobrevive ao filtro', () => {
+  const noCoord = zData();
+  noCoord.header = HEADER.slice(1);
+  noCoord.rows = noCoord.rows.map(({ coordenadas, ...row }) => row);
+  const { items } = rankSolutions(selectZRows(noCoord, [1, 3]), names, [0.5, 0.3, 0.2]);
+  assert.deepEqual(items.map(it => it.nome).sort(), ['Beta', 'Delta']);
+  items.forEach(it => assert.ok(it.dominatedBy.every(d => ['I.2', 'II.2'].includes(d))));
+});
@@ -3,6 +3,10 @@ export const DEFAULTS = {
   canvasId: 'tri',
   imgSrc: 'public/triangulo2.png',
   vertexToChannel: ['B','R','G'], // [top,left,right] -> B,R,G (Prazo, Custo, Qualidade)
+  slidersSel: '#weightsPanel', // usado por initPesos (N critérios)
+  // Textos e números do diálogo (ver i18n.js); sem tradutor, pt-BR
+  t: (key, params = {}, text = key) => String(text).replace(/\{(\w+)\}/g, (m, k) => params[k] ?? m),
+  formatNumber: (v, decimals) => v.toFixed(decimals),
   ui: {
     rSel: '#r', gSel: '#g', bSel: '#b',
     confirmBtnSel: '#confirm',
@@ -134,15 +138,69 @@ function detectVerticesByAlpha(img,w,h){
   }
 }
 
-function drawScene(ctx, canvas, img, rect, point){
+// Regiões de vencedor: para cada célula do simplex, qual solução fica em 1º
+const REGION_STEP=3;
+const regionColor=(i,n)=>`hsl(${Math.round(i*360/Math.max(n,1))},70%,55%)`;
+function buildWinnerOverlay(canvas,V,map,winnerAt,labels){
+  const off=document.createElement('canvas'); off.width=canvas.width; off.height=canvas.height;
+  const octx=off.getContext('2d');
+  const minX=Math.floor(Math.min(V.top.x,V.left.x,V.right.x)), maxX=Math.ceil(Math.max(V.top.x,V.left.x,V.right.x));
+  const minY=Math.floor(Math.min(V.top.y,V.left.y,V.right.y)), maxY=Math.ceil(Math.max(V.top.y,V.left.y,V.right.y));
+  const cols=Math.ceil((maxX-minX)/REGION_STEP)+1, rows=Math.ceil((maxY-minY)/REGION_STEP)+1;
+  const grid=new Int16Array(cols*rows).fill(-1);
+  for(let j=0;j<rows;j++) for(let i=0;i<cols;i++){
+    const px=minX+i*REGION_STEP+REGION_STEP/2, py=minY+j*REGION_STEP+REGION_STEP/2;
+    const wts=barycentric(px,py,V.top,V.left,V.right);
+    if(!inside(wts,0)) continue;
+    const [r,g,b]=baryToRGB(wts,map);
+    grid[j*cols+i]=winnerAt({r,g,b});
+  }
+  const n=labels.length, seen=new Set();
+  for(let j=0;j<rows;j++) for(let i=0;i<cols;i++){
+    const k=grid[j*cols+i]; if(k<0) continue; seen.add(k);
+    const right=i+1<cols?grid[j*cols+i+1]:k, down=j+1<rows?grid[(j+1)*cols+i]:k;
+    const border=(right>=0&&right!==k)||(down>=0&&down!==k);
+    octx.fillStyle=border?'#000':regionColor(k,n);
+    octx.globalAlpha=border?0.9:0.55;
+    octx.fillRect(minX+i*REGION_STEP,minY+j*REGION_STEP,REGION_STEP,REGION_STEP);
+  }
+  // Legenda apenas com as soluções que vencem em alguma região
+  octx.globalAlpha=1; octx.font='bold 13px system-ui, sans-serif'; octx.textAlign='left';
+  [...seen].sort((a,b)=>a-b).forEach((k,row)=>{
+    const ly=16+row*18;
+    octx.fillStyle=regionColor(k,n); octx.fillRect(10,ly-10,12,12);
+    octx.fillStyle='#eaeaea'; octx.fillText(labels[k]??`Sol ${k+1}`,28,ly);
+  });
+  return off;
+}
+
+function drawScene(ctx, canvas, img, rect, point, overlay, marks=[]){
   ctx.fillStyle='#000'; ctx.fillRect(0,0,canvas.width,canvas.height);
   ctx.drawImage(img,rect.x,rect.y,rect.w,rect.h);
+  if(overlay) ctx.drawImage(overlay,0,0);
+  // Pontos dos participantes (modo grupo): círculo colorido + rótulo
+  ctx.font='bold 11px system-ui, sans-serif'; ctx.textAlign='left';
+  marks.forEach(({x,y,color,label})=>{
+    ctx.fillStyle=color||'#ffd43b'; ctx.strokeStyle='#000'; ctx.lineWidth=1.5;
+    ctx.beginPath(); ctx.arc(x,y,6,0,Math.PI*2); ctx.fill(); ctx.stroke();
+    if(label){ ctx.lineWidth=3; ctx.strokeText(label,x+9,y+4); ctx.fillStyle='#fff'; ctx.fillText(label,x+9,y+4); }
+  });
   if(point){
     ctx.fillStyle='#fff'; ctx.strokeStyle='#000'; ctx.lineWidth=2;
     ctx.beginPath(); ctx.arc(point[0],point[1],8,0,Math.PI*2); ctx.fill(); ctx.stroke();
   }
 }
 
+// Modal Ok/Redefinir compartilhado pelo triângulo e pelos sliders
+function askConfirm({dlg,dlgText,dlgOk,dlgReset}, text, onOk){
+  dlgText.textContent=text;
+  dlg.showModal();
+  const ok=()=>{ dlg.close(); onOk(); cleanup(); };
+  const re=()=>{ dlg.close(); cleanup(); };
+  const cleanup=()=>{ dlgOk.removeEventListener('click',ok); dlgReset.removeEventListener('click',re); };
+  dlgOk.addEventListener('click',ok); dlgReset.addEventListener('click',re);
+}
+
 export async function initEntrada(opts={}){
   const cfg={...DEFAULTS,...opts, ui:{...DEFAULTS.ui, ...(opts.ui||{})}};
   const canvas=document.getElementById(cfg.canvasId);
@@ -217,10 +275,15 @@ export async function initEntrada(opts={}){
   const Vright={x:x+v.right.x,y:y+v.right.y};
 
   let rgb=[1/3,1/3,1/3]; let dragging=false;
+  let regions=null, showRegions=false, overlay=null, participants=[];
 
-  const drawFromRGB=()=>{ const [wt,wl,wr]=rgbToBary(rgb,cfg.vertexToChannel);
-    const px=wt*Vtop.x+wl*Vleft.x+wr*Vright.x, py=wt*Vtop.y+wl*Vleft.y+wr*Vright.y;
-    drawScene(ctx,canvas,img,rect,[px,py]); };
+  const toCanvas=(r,g,b)=>{ const [wt,wl,wr]=rgbToBary([r,g,b],cfg.vertexToChannel);
+    return [wt*Vtop.x+wl*Vleft.x+wr*Vright.x, wt*Vtop.y+wl*Vleft.y+wr*Vright.y]; };
+  const drawFromRGB=()=>{ const [px,py]=toCanvas(...rgb);
+    if(showRegions&&regions&&!overlay)
+      overlay=buildWinnerOverlay(canvas,{top:Vtop,left:Vleft,right:Vright},cfg.vertexToChannel,regions.winnerAt,regions.labels||[]);
+    const marks=participants.map(p=>{ const [x,y]=toCanvas(p.rgb.r,p.rgb.g,p.rgb.b); return {x,y,color:p.color,label:p.label}; });
+    drawScene(ctx,canvas,img,rect,[px,py],showRegions?overlay:null,marks); };
 
   function setPerc(r,g,b,draw=true){
     rEl.value=r.toFixed(2); gEl.value=g.toFixed(2); bEl.value=b.toFixed(2);
@@ -269,19 +332,82 @@ export async function initEntrada(opts={}){
   let onConfirm=null;
   btn.addEventListener('click',()=>{
     const [r,g,b]=rgb;
-    dlgText.textContent =
+    const pct=v=>cfg.formatNumber(v*100,2);
+    askConfirm({dlg,dlgText,dlgOk,dlgReset},
+      cfg.t('confirmar.triangulo',{r:pct(r),g:pct(g),b:pct(b)},
 `Suas prioridades de seleção da solução:
 
-${(r*100).toFixed(2)}% de peso para custo anual,
-${(g*100).toFixed(2)}% de qualidade (aderência a seus requisitos) e
-${(b*100).toFixed(2)}% para prazo.`;
-    dlg.showModal();
-    const ok=()=>{ dlg.close(); onConfirm&&onConfirm({r,g,b}); cleanup(); };
-    const re=()=>{ dlg.close(); cleanup(); };
-    const cleanup=()=>{ dlgOk.removeEventListener('click',ok); dlgReset.removeEventListener('click',re); };
-    dlgOk.addEventListener('click',ok); dlgReset.addEventListener('click',re);
+{r}% de peso para custo anual,
+{g}% de qualidade (aderência a seus requisitos) e
+{b}% para prazo.`),
+      ()=>onConfirm&&onConfirm({r,g,b}));
   });
 
   setPerc(33.3333,33.3333,33.3333); drawFromRGB();
-  return { getRGB:()=>({r:rgb[0],g:rgb[1],b:rgb[2]}), onConfirm:(fn)=>{onConfirm=fn;} };
+  return { getRGB:()=>({r:rgb[0],g:rgb[1],b:rgb[2]}), getWeights:()=>rgb.slice(), onConfirm:(fn)=>{onConfirm=fn;},
+    // Estado vindo de fora (links compartilháveis): pesos em 0..1, normalizados
+    setRGB:({r,g,b})=>{ const [R,G,B]=norm3p(r*100,g*100,b*100); setPerc(R,G,B); },
+    setWeights:(w)=>{ const [R,G,B]=norm3p(w[0]*100,w[1]*100,w[2]*100); setPerc(R,G,B); },
+    // Confirma sem o diálogo (restauração de um link)
+    confirm:()=>{ const [r,g,b]=rgb; onConfirm&&onConfirm({r,g,b}); },
+    // winnerAt({r,g,b}) -> índice da solução em 1º; labels[índice] -> rótulo na legenda
+    setWinnerRegions:({winnerAt,labels}={})=>{ regions=winnerAt?{winnerAt,labels}:null; overlay=null; drawFromRGB(); },
+    toggleWinnerRegions:(on=!showRegions)=>{ showRegions=!!on; drawFromRGB(); return showRegions; },
+    // Modo grupo: [{label, color, rgb:{r,g,b}}] desenhados sobre o triângulo
+    setParticipants:(list=[])=>{ participants=list.filter(p=>p&&p.rgb); drawFromRGB(); } };
+}
+
+// Sliders vinculados para N critérios (quando o triângulo não se aplica):
+// mover um slider redistribui o restante proporcionalmente entre os demais.
+export function initPesos(opts={}){
+  const cfg={...DEFAULTS,...opts, ui:{...DEFAULTS.ui, ...(opts.ui||{})}};
+  const criterios=cfg.criterios||[];
+  const host=document.querySelector(cfg.slidersSel);
+  const btn=document.querySelector(cfg.ui.confirmBtnSel);
+  const els={
+    dlg:document.querySelector(cfg.ui.confirmDlgSel), dlgText:document.querySelector(cfg.ui.confirmDlgTextSel),
+    dlgOk:document.querySelector(cfg.ui.confirmOkSel), dlgReset:document.querySelector(cfg.ui.confirmResetSel)
+  };
+  const n=criterios.length;
+  let perc=criterios.map(()=>100/Math.max(n,1));
+
+  host.innerHTML=criterios.map((c,i)=>`
+    <label class="weight-row">
+      <span class="swatch" style="--c:${c.cor||'#888'}"></span>
+      <span class="weight-name">${c.nome}</span>
+      <input type="range" min="0" max="100" step="0.5" data-i="${i}" />
+      <input type="number" min="0" max="100" step="0.5" data-i="${i}" /> %
+    </label>`).join('');
+  const ranges=[...host.querySelectorAll('input[type=range]')];
+  const nums=[...host.querySelectorAll('input[type=number]')];
+
+  const render=()=>perc.forEach((p,i)=>{ ranges[i].value=p.toFixed(2); nums[i].value=p.toFixed(2); });
+  function setPerc(values){
+    const tot=values.reduce((a,v)=>a+Math.max(0,v||0),0)||1;
+    perc=values.map(v=>Math.max(0,v||0)/tot*100); render();
+  }
+  function rebalance(focus,newVal){
+    newVal=clamp01p(newVal);
+    const rem=perc.reduce((a,v,i)=>i===focus?a:a+v,0);
+    perc=perc.map((v,i)=>i===focus?newVal:(rem?v*(100-newVal)/rem:(100-newVal)/Math.max(n-1,1)));
+    render();
+  }
+  [...ranges,...nums].forEach(el=>['input','change'].forEach(evt=>
+    el.addEventListener(evt,()=>rebalance(+el.dataset.i,parseFloat(el.value)||0))));
+
+  let onConfirm=null;
+  btn.addEventListener('click',()=>{
+    const w=perc.map(p=>p/100);
+    const linhas=criterios.map((c,i)=>cfg.t('confirmar.linhaCriterio',{pct:cfg.formatNumber(perc[i],2),criterio:c.nome.toLowerCase()},'{pct}% para {criterio}'));
+    askConfirm(els,
+      cfg.t('confirmar.sliders',{linhas:linhas.join(',\n')},
+`Suas prioridades de seleção da solução:
+
+{linhas}.`),
+      ()=>onConfirm&&onConfirm(w));
+  });
+
+  render();
+  return { getWeights:()=>perc.map(p=>p/100), setWeights:(w)=>setPerc(w.map(v=>v*100)), onConfirm:(fn)=>{onConfirm=fn;},
+    confirm:()=>onConfirm&&onConfirm(perc.map(p=>p/100)) };
 }
@@ -0,0 +1,125 @@
+// -------- Internacionalização (pt-BR, en, es) --------
+// Catálogos em i18n/<locale>.json no mesmo formato do fluxo de consentimento:
+// {"locale", "i18nNamespace", "messages": {"chave.pontuada": "texto com {param}"}}.
+// Também aceita arquivos com pares {key, text|label} espalhados (ex.: o JSON do
+// fluxo de consentimento), registrados como "<i18nNamespace>.<key>".
+
+export const SUPPORTED_LOCALES = {
+  'pt-BR': 'Português',
+  en: 'English',
+  es: 'Español'
+};
+export const DEFAULT_LOCALE = 'pt-BR';
+const LOCALE_KEY = 'noetika_locale';
+const CATALOG_DIR = 'i18n';
+
+let locale = DEFAULT_LOCALE;
+let messages = {};
+let fallback = {};
+
+// "en-US" -> "en", "pt" -> "pt-BR", "es-419" -> "es"; desconhecido -> null
+export function resolveLocale(tag){
+  if(!tag) return null;
+  const lower = String(tag).toLowerCase();
+  const exact = Object.keys(SUPPORTED_LOCALES).find(l => l.toLowerCase() === lower);
+  if(exact) return exact;
+  const base = lower.split(/[-_]/)[0];
+  return Object.keys(SUPPORTED_LOCALES).find(l => l.toLowerCase().split('-')[0] === base) || null;
+}
+
+// Preferência salva > idioma da sessão de tracking > navegador > pt-BR
+export function initialLocale(){
+  let saved = null;
+  try { saved = localStorage.getItem(LOCALE_KEY); } catch(err) { /* localStorage indisponível */ }
+  const sessionLanguage = (typeof trackingSession !== 'undefined' && trackingSession?.language) || window.trackingSession?.language;
+  return resolveLocale(saved) || resolveLocale(sessionLanguage) || resolveLocale(navigator.language) || DEFAULT_LOCALE;
+}
+
+// Achata pares {key, text|label} de um JSON qualquer em {namespace.key: texto}
+export function collectKeyText(json, namespace = json?.i18nNamespace){
+  const out = {};
+  const walk = node => {
+    if(Array.isArray(node)){ node.forEach(walk); return; }
+    if(!node || typeof node !== 'object') return;
+    if(typeof node.key === 'string' && typeof (node.text ?? node.label) === 'string'){
+      out[namespace ? `${namespace}.${node.key}` : node.key] = node.text ?? node.label;
+    }
+    Object.values(node).forEach(walk);
+  };
+  walk(json);
+  return out;
+}
+
+async function fetchCatalog(loc){
+  try {
+    const res = await fetch(`${CATALOG_DIR}/${loc}.json`);
+    if(!res.ok) throw new Error(res.statusText);
+    const json = await res.json();
+    return { ...collectKeyText(json), ...(json.messages || {}) };
+  } catch(err) {
+    console.warn(`Catálogo ${loc} indisponível:`, err.message || err);
+    return {};
+  }
+}
+
+// Registra mensagens extras (ex.: outro namespace) no idioma atual
+export function registerMessages(extra){
+  messages = { ...messages, ...extra };
+}
+
+export async function initI18n(loc = initialLocale()){
+  locale = resolveLocale(loc) || DEFAULT_LOCALE;
+  fallback = await fetchCatalog(DEFAULT_LOCALE);
+  messages = locale === DEFAULT_LOCALE ? fallback : await fetchCatalog(locale);
+  document.documentElement.lang = locale;
+  return locale;
+}
+
+export function getLocale(){
+  return locale;
+}
+
+// Persiste o idioma; quem chama decide como re-renderizar (ver app.js)
+export function saveLocale(loc){
+  try { localStorage.setItem(LOCALE_KEY, resolveLocale(loc) || DEFAULT_LOCALE); } catch(err) { /* sem persistência */ }
+}
+
+// t('podio.titulo'), t('alerta.minParticipantes', {n: 2}); sem a chave, usa o
+// pt-BR, depois o texto padrão informado e, por fim, a própria chave
+export function t(key, params = {}, defaultText){
+  const text = messages[key] ?? fallback[key] ?? defaultText ?? key;
+  return String(text).replace(/\{(\w+)\}/g, (m, name) => params[name] ?? m);
+}
+
+// Texto de arquivos de dados (ex.: projects.json): string única ou
+// {"pt-BR", "en", "es"}; sem o idioma atual, usa o pt-BR e depois o primeiro
+export function localized(value, defaultText = ''){
+  if(value == null) return defaultText;
+  if(typeof value !== 'object') return String(value);
+  return value[locale] ?? value[DEFAULT_LOCALE] ?? Object.values(value)[0] ?? defaultText;
+}
+
+// -------- Formatação conforme o idioma --------
+export function formatNumber(value, decimals = 2){
+  if(!Number.isFinite(value)) return '—';
+  return new Intl.NumberFormat(locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(value);
+}
+
+// Valores continuam em reais; muda só a notação (R$ 1.234,00 / R$1,234.00)
+export function formatMoney(value, currency = 'BRL'){
+  return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(value);
+}
+
+export function formatPercent(p, decimals = 0){
+  return new Intl.NumberFormat(locale, { style: 'percent', minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(p);
+}
+
+// -------- Textos estáticos do HTML --------
+// data-i18n (texto), data-i18n-title, data-i18n-placeholder, data-i18n-aria-label
+export function applyTranslations(root = document){
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n, {}, el.textContent); });
+  root.querySelectorAll('[data-i18n-html]').forEach(el => { el.innerHTML = t(el.dataset.i18nHtml, {}, el.innerHTML); });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle, {}, el.title); });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder, {}, el.placeholder); });
+  root.querySelectorAll('[data-i18n-aria-label]').forEach(el => { el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel, {}, el.getAttribute('aria-label'))); });
+}
@@ -0,0 +1,105 @@
+// -------- Projetos de decisão --------
+// projects.json lista os projetos servidos pelo dashboard (dados, rótulos dos
+// critérios, imagem do triângulo, ramos e legenda da árvore). O projeto vem do
+// endereço /p/<id>/; na raiz vale o 'padrao' do manifesto.
+import { localized } from './i18n.js';
+import { canonicalId } from './engine/index.js';
+
+export const PROJECTS_MANIFEST = 'projects.json';
+// Sem manifesto (ou projeto sem o campo), valem os arquivos do projeto original
+export const DEFAULT_PROJECT = {
+  id: 'seg',
+  nome: 'SEG Automotive',
+  dados: {
+    zscores: 'data/Matriz de Decisão - Zscores para dash.csv',
+    nomes: 'data/Matriz de Decisão - só nomes e coordenadas.csv',
+    descricoes: 'solution_description5.json',
+    criterios: 'data/criterios.json'
+  },
+  rotulos_criterios: {},
+  triangulo: 'public/triangulo2.png',
+  arvore: { ramos: {}, legenda: [] }
+};
+
+let current = DEFAULT_PROJECT;
+let isDefault = true;
+
+// "/p/seg/", "/p/seg/index.html" -> "seg"; fora de /p/ -> null
+export function projectSlugFromPath(pathname = window.location.pathname){
+  const m = /^\/p\/([^/]+)/.exec(pathname || '');
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+// Completa o projeto com os padrões; 'dados' e 'arvore' são mesclados campo a campo
+function withDefaults(project){
+  return {
+    ...DEFAULT_PROJECT,
+    ...project,
+    dados: { ...DEFAULT_PROJECT.dados, ...(project.dados || {}) },
+    rotulos_criterios: project.rotulos_criterios || {},
+    arvore: { ...DEFAULT_PROJECT.arvore, ...(project.arvore || {}) }
+  };
+}
+
+// Projeto do endereço (ou o padrão); id desconhecido cai no padrão com aviso
+export async function loadProject(slug = projectSlugFromPath()){
+  let manifest = null;
+  try {
+    const response = await fetch(PROJECTS_MANIFEST, {cache:'no-store'});
+    if(!response.ok) throw new Error(`Não foi possível carregar ${PROJECTS_MANIFEST}`);
+    manifest = await response.json();
+  } catch(err) {
+    console.warn(`Usando o projeto padrão (${DEFAULT_PROJECT.id}):`, err.message || err);
+  }
+  const projetos = Array.isArray(manifest?.projetos) ? manifest.projetos.filter(p => p?.id) : [];
+  const padrao = projetos.find(p => p.id === manifest?.padrao) || projetos[0] || DEFAULT_PROJECT;
+  let project = slug ? projetos.find(p => p.id === slug) : padrao;
+  if(!project){
+    console.warn(`Projeto "${slug}" não está em ${PROJECTS_MANIFEST}; usando ${padrao.id}`);
+    project = padrao;
+  }
+  current = withDefaults(project);
+  isDefault = current.id === padrao.id;
+  return { project: current, projetos: projetos.length ? projetos : [DEFAULT_PROJECT] };
+}
+
+export function getProject(){
+  return current;
+}
+
+// Chaves do localStorage por projeto; o padrão mantém a chave antiga
+// (dados enviados e cenários salvos antes dos projetos continuam valendo)
+export function projectStorageKey(base){
+  return isDefault ? base : `${base}:${current.id}`;
+}
+
+export function projectHref(id){
+  return `/p/${encodeURIComponent(id)}/`;
+}
+
+// Nome exibido do critério: rótulo do projeto, se houver
+export function criterionLabel(criterion, defaultText){
+  return localized(current.rotulos_criterios?.[criterion.id], defaultText);
+}
+
+// Ramo pela coordenada ("II", "II.1"); sem nome no manifesto -> null.
+// O primeiro nível sozinho não é coordenada canônica: compara só o romano
+const branchId = s => canonicalId(s) || String(s ?? '').trim().toUpperCase();
+
+export function branchLabel(coord){
+  const ramos = current.arvore?.ramos || {};
+  const entry = Object.entries(ramos).find(([k]) => branchId(k) === branchId(coord));
+  return entry ? localized(entry[1]) : null;
+}
+
+// Cor da folha: primeira entrada da legenda que lista a coordenada
+export function leafColor(coordStr){
+  const id = canonicalId(coordStr);
+  if(!id) return null;
+  const entry = (current.arvore?.legenda || []).find(l => (l.coordenadas || []).some(c => canonicalId(c) === id));
+  return entry?.cor || null;
+}
+
+export function treeLegend(){
+  return (current.arvore?.legenda || []).map(l => ({ cor: l.cor, texto: localized(l.texto) }));
+}
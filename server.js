@@ -35,6 +35,41 @@ const mimeTypes = {
   '.ico': 'image/x-icon'
 };
 
+// Projetos de decisão (projects.json): cada um em /p/<id>/
+const PROJECTS_MANIFEST = 'projects.json';
+
+// Ids do manifesto, relido a cada pedido (editar o arquivo não exige reiniciar)
+function projectIds() {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(projectDir, PROJECTS_MANIFEST), 'utf-8'));
+    return (manifest.projetos || []).map(p => p && p.id).filter(Boolean);
+  } catch (err) {
+    console.error(`⚠️  ${PROJECTS_MANIFEST} ilegível:`, err.message);
+    return [];
+  }
+}
+
+// /p/<id> -> redireciona para /p/<id>/ (caminhos relativos do app dependem da barra);
+// /p/<id>/<arquivo> -> o mesmo arquivo da raiz. Devolve o caminho a servir ou null se já respondeu
+function resolveProjectPath(filePath, req, res) {
+  const match = /^\/p\/([^/]+)(\/.*)?$/.exec(filePath);
+  if (!match) return filePath;
+
+  const slug = match[1];
+  if (!projectIds().includes(slug)) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(`404 Projeto não encontrado: ${slug}`);
+    return null;
+  }
+  if (!match[2]) {
+    const query = req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : '';
+    res.writeHead(301, { Location: `/p/${encodeURIComponent(slug)}/${query}` });
+    res.end();
+    return null;
+  }
+  return match[2];
+}
+
 // Proxy para backend Python
 function proxyToBackend(req, res) {
   // Coleta o body da requisição
@@ -95,6 +130,10 @@ function createServer() {
     return;
   }
   
+  // Projeto em /p/<id>/: mesmos arquivos da raiz; o app lê o id do endereço
+  filePath = resolveProjectPath(filePath, req, res);
+  if (filePath === null) return;
+
   // Se for raiz, serve index.html
   if (filePath === '/' || filePath === '') {
     filePath = '/index.html';
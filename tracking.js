@@ -10,11 +10,19 @@ const trackingSession = {
     screenResolution: `${window.screen.width}x${window.screen.height}`,
     language: navigator.language,
     referrer: document.referrer,
+    projectId: getProjectId(),
     events: [],
     ip: null,
     location: null
 };
 
+// Project id from /p/<slug>/ (app.js replaces it with the resolved project;
+// on the site root the backend falls back to the manifest's default project)
+function getProjectId() {
+    const match = /^\/p\/([^/]+)/.exec(window.location.pathname);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
 // Generate unique session ID
 function generateSessionId() {
     return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
@@ -98,7 +106,8 @@ function trackEvent(eventType, eventData = {}) {
         type: eventType,
         timestamp: new Date().toISOString(),
         data: eventData,
-        page: getCurrentPage()
+        page: getCurrentPage(),
+        projectId: trackingSession.projectId
     };
     
     trackingSession.events.push(event);
@@ -197,6 +206,7 @@ async function updateSessionWithLocation() {
                         type: 'location_updated',
                         timestamp: new Date().toISOString(),
                         page: getCurrentPage(),
+                        projectId: trackingSession.projectId,
                         data: { ip: trackingSession.ip, location: trackingSession.location }
                     }
                 })
@@ -238,7 +248,7 @@ window.addEventListener('beforeunload', () => {
     try {
         navigator.sendBeacon('/api/track', JSON.stringify({ 
             session: trackingSession, 
-            event: { type: 'session_end', timestamp: new Date().toISOString() }
+            event: { type: 'session_end', timestamp: new Date().toISOString(), projectId: trackingSession.projectId }
         }));
     } catch (e) {
         // Ignore errors on page unload
@@ -361,6 +371,8 @@ function downloadTrackingData(format = 'csv') {
 const existingSession = loadTrackingData();
 if (existingSession) {
     Object.assign(trackingSession, existingSession);
+    // The same session may continue in another project
+    trackingSession.projectId = getProjectId();
     console.log('📊 Loaded existing session:', trackingSession.sessionId);
 }
 